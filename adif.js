@@ -0,0 +1,180 @@
+// ADIF 3 log files (.adi)
+// Fields are <NAME:length>data; the header ends with <EOH> and each record
+// with <EOR>. Field names are case-insensitive and lengths count characters.
+// No DOM access.
+//
+// QSO records of the built-in log:
+//   { id, call, qsoDate 'YYYYMMDD', timeOn 'HHMMSS', timeOff 'HHMMSS',
+//     frequencyHz (TX), rxFrequencyHz (split only, else null), band, mode,
+//     submode, rstSent, rstRcvd, notes, pending, uploaded, uploadError }
+// pending lists the upload targets (qsoUploadKey() in loggers.js) that the
+// QSO has not reached yet.
+
+import { bandForFrequency } from './bands.js';
+
+export const ADIF_VERSION = '3.1.4';
+export const ADIF_PROGRAM_ID = 'IC7300WebTRX';
+
+// ADIF mode and submode for each IC-7300 mode
+const ADIF_MODES = {
+    0x00: { mode: 'SSB', submode: 'LSB' },
+    0x01: { mode: 'SSB', submode: 'USB' },
+    0x02: { mode: 'AM', submode: '' },
+    0x03: { mode: 'CW', submode: '' },
+    0x04: { mode: 'RTTY', submode: '' },
+    0x05: { mode: 'FM', submode: '' },
+    0x07: { mode: 'CW', submode: '' },   // CW-R
+    0x08: { mode: 'RTTY', submode: '' }  // RTTY-R
+};
+
+// Common choices for the mode field
+export const ADIF_MODE_NAMES = ['SSB', 'CW', 'AM', 'FM', 'RTTY', 'FT8', 'FT4', 'PSK', 'JS8', 'MFSK', 'OLIVIA', 'SSTV'];
+
+// Data modes (USB-D etc.) carry whatever program runs on them; FT8 is
+// the usual one, and the operator can change it before logging
+export function adifMode(modeCode, dataMode = false) {
+    if (dataMode) return { mode: 'FT8', submode: '' };
+    return ADIF_MODES[modeCode] || { mode: 'SSB', submode: 'USB' };
+}
+
+// Report to prefill for a mode: RST for CW/RTTY, RS for phone, none for
+// digital modes, which report in dB
+export function defaultReport(mode) {
+    if (['CW', 'RTTY'].includes(mode)) return '599';
+    if (['SSB', 'AM', 'FM'].includes(mode)) return '59';
+    return '';
+}
+
+function field(name, value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text ? `<${name}:${text.length}>${text} ` : '';
+}
+
+// One QSO as an ADIF record, ending with <EOR>
+export function qsoToADIF(qso) {
+    // A QSO that ends after midnight ends on the next day
+    const dateOff = !qso.timeOff ? '' : qso.timeOff < qso.timeOn ? nextDay(qso.qsoDate) : qso.qsoDate;
+    return [
+        field('CALL', qso.call),
+        field('QSO_DATE', qso.qsoDate),
+        field('TIME_ON', qso.timeOn),
+        field('QSO_DATE_OFF', dateOff),
+        field('TIME_OFF', qso.timeOff),
+        field('BAND', qso.band),
+        field('FREQ', qso.frequencyHz ? (qso.frequencyHz / 1000000).toFixed(6) : ''),
+        field('FREQ_RX', qso.rxFrequencyHz ? (qso.rxFrequencyHz / 1000000).toFixed(6) : ''),
+        field('MODE', qso.mode),
+        field('SUBMODE', qso.submode),
+        field('RST_SENT', qso.rstSent),
+        field('RST_RCVD', qso.rstRcvd),
+        field('COMMENT', qso.notes)
+    ].join('') + '<EOR>';
+}
+
+function nextDay(qsoDate) {
+    const date = new Date(Date.UTC(+qsoDate.slice(0, 4), +qsoDate.slice(4, 6) - 1, +qsoDate.slice(6, 8) + 1));
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// "20240301 120500", the format of CREATED_TIMESTAMP
+function adifTimestamp(time) {
+    return new Date(time).toISOString().slice(0, 19).replace(/-|:/g, '').replace('T', ' ');
+}
+
+// A complete log file
+export function formatADIF(qsos, time = Date.now()) {
+    const header = 'IC-7300 Web Controller log\n' +
+        field('ADIF_VER', ADIF_VERSION) + '\n' +
+        field('PROGRAMID', ADIF_PROGRAM_ID) + '\n' +
+        field('CREATED_TIMESTAMP', adifTimestamp(time)) + '\n' +
+        '<EOH>\n';
+    return header + qsos.map(qso => qsoToADIF(qso) + '\n').join('');
+}
+
+// Split ADIF text into records of { FIELD: value } (names in upper case).
+// A file that does not start with '<' has a header, which is skipped.
+export function parseADIF(text) {
+    const records = [];
+    const tag = /<([A-Za-z0-9_]+)(?::(\d+)(?::[^>]*)?)?>/g;
+    let record = {};
+    let inHeader = !text.trimStart().startsWith('<');
+    let match;
+
+    while ((match = tag.exec(text)) !== null) {
+        const name = match[1].toUpperCase();
+        if (name === 'EOH') {
+            inHeader = false;
+            record = {};
+        } else if (name === 'EOR') {
+            if (!inHeader && Object.keys(record).length) records.push(record);
+            record = {};
+        } else if (match[2] !== undefined) {
+            const length = parseInt(match[2]);
+            const value = text.substr(tag.lastIndex, length);
+            tag.lastIndex += length;
+            if (!inHeader) record[name] = value;
+        }
+    }
+    return records;
+}
+
+// "1205" and "120530" -> "120530"; null if not a time
+export function normalizeTime(text) {
+    const digits = String(text).replace(/:/g, '').trim();
+    if (!/^\d{4}(\d{2})?$/.test(digits)) return null;
+    const time = digits.padEnd(6, '0');
+    if (+time.slice(0, 2) > 23 || +time.slice(2, 4) > 59 || +time.slice(4, 6) > 59) return null;
+    return time;
+}
+
+// "2024-03-01" and "20240301" -> "20240301"; null if not a date
+export function normalizeDate(text) {
+    const digits = String(text).replace(/-/g, '').trim();
+    if (!/^\d{8}$/.test(digits)) return null;
+    const date = new Date(Date.UTC(+digits.slice(0, 4), +digits.slice(4, 6) - 1, +digits.slice(6, 8)));
+    return date.toISOString().slice(0, 10).replace(/-/g, '') === digits ? digits : null;
+}
+
+// Convert a parsed record to a QSO: { qso } or { error }
+export function qsoFromADIF(record) {
+    const call = (record.CALL || '').trim().toUpperCase();
+    if (!call) return { error: 'CALL missing' };
+
+    const qsoDate = normalizeDate(record.QSO_DATE || '');
+    if (!qsoDate) return { error: `${call}: QSO_DATE missing or invalid` };
+    const timeOn = normalizeTime(record.TIME_ON || '');
+    if (!timeOn) return { error: `${call}: TIME_ON missing or invalid` };
+
+    const frequencyHz = record.FREQ ? Math.round(parseFloat(record.FREQ) * 1000000) : NaN;
+    const band = bandForFrequency(frequencyHz)?.name || (record.BAND || '').toLowerCase();
+    if (isNaN(frequencyHz) && !band) return { error: `${call}: FREQ and BAND missing` };
+    if (!record.MODE) return { error: `${call}: MODE missing` };
+
+    const rxFrequencyHz = record.FREQ_RX ? Math.round(parseFloat(record.FREQ_RX) * 1000000) : NaN;
+
+    return {
+        qso: {
+            call,
+            qsoDate,
+            timeOn,
+            timeOff: normalizeTime(record.TIME_OFF || '') || '',
+            frequencyHz: isNaN(frequencyHz) ? null : frequencyHz,
+            rxFrequencyHz: isNaN(rxFrequencyHz) ? null : rxFrequencyHz,
+            band,
+            mode: record.MODE.toUpperCase(),
+            submode: (record.SUBMODE || '').toUpperCase(),
+            rstSent: record.RST_SENT || '',
+            rstRcvd: record.RST_RCVD || '',
+            notes: record.COMMENT || record.NOTES || '',
+            pending: [],
+            uploaded: false,
+            uploadError: ''
+        }
+    };
+}
+
+// Same contact: call, band and mode, starting in the same minute
+export function sameQSO(a, b) {
+    return a.call === b.call && a.qsoDate === b.qsoDate && a.timeOn.slice(0, 4) === b.timeOn.slice(0, 4) &&
+        a.band === b.band && a.mode === b.mode;
+}
@@ -0,0 +1,66 @@
+// AudioWorklet processor for the microphone gate of the remote audio (audio.js)
+// Passes the input only while transmitting and the level reaches the
+// threshold, like VOX: the gate opens at the first peak over the threshold
+// and closes HOLD_MS after the last one, fading in and out so it does not
+// click. Runs on the audio thread, so a busy or hidden page cannot delay it.
+//
+// Messages in:  { transmitting, threshold }  - threshold as a peak level 0-1
+// Messages out: { peak, open }               - input peak and gate state, every 20 ms
+
+const HOLD_MS = 300;
+const ATTACK_MS = 2;
+const RELEASE_MS = 20;
+const REPORT_MS = 20;
+
+class AudioGate extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.transmitting = false;
+        this.threshold = 0;
+        this.hold = 0;          // Samples left before the gate closes
+        this.gain = 0;
+        this.peak = 0;
+        this.reportCount = 0;
+
+        this.holdSamples = Math.round(sampleRate * HOLD_MS / 1000);
+        this.reportSamples = Math.round(sampleRate * REPORT_MS / 1000);
+        this.attack = 1 - Math.exp(-1000 / (sampleRate * ATTACK_MS));
+        this.release = 1 - Math.exp(-1000 / (sampleRate * RELEASE_MS));
+
+        this.port.onmessage = ({ data }) => {
+            this.transmitting = data.transmitting;
+            this.threshold = data.threshold;
+            if (!this.transmitting) this.hold = 0;
+        };
+    }
+
+    process(inputs, outputs) {
+        const input = inputs[0]?.[0];
+        const output = outputs[0][0];
+        if (!input) return true;
+
+        for (let i = 0; i < input.length; i++) {
+            const level = Math.abs(input[i]);
+            this.peak = Math.max(this.peak, level);
+            if (this.transmitting && level >= this.threshold) {
+                this.hold = this.holdSamples;
+            } else if (this.hold > 0) {
+                this.hold--;
+            }
+
+            const target = this.hold > 0 ? 1 : 0;
+            this.gain += (target - this.gain) * (target > this.gain ? this.attack : this.release);
+            output[i] = input[i] * this.gain;
+        }
+
+        this.reportCount += input.length;
+        if (this.reportCount >= this.reportSamples) {
+            this.port.postMessage({ peak: this.peak, open: this.hold > 0 });
+            this.peak = 0;
+            this.reportCount = 0;
+        }
+        return true;
+    }
+}
+
+registerProcessor('audio-gate', AudioGate);
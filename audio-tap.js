@@ -0,0 +1,34 @@
+// AudioWorklet processor that hands input audio to the page
+// Posts the first input channel to the node's port as Float32Array blocks of
+// 1024 samples (about 21 ms at 48 kHz), for the CW decoder (cwdecoder.js).
+
+const BLOCK_SIZE = 1024;
+
+class AudioTap extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.block = new Float32Array(BLOCK_SIZE);
+        this.fill = 0;
+    }
+
+    process(inputs) {
+        const samples = inputs[0]?.[0];
+        if (!samples) return true;
+
+        let offset = 0;
+        while (offset < samples.length) {
+            const count = Math.min(BLOCK_SIZE - this.fill, samples.length - offset);
+            this.block.set(samples.subarray(offset, offset + count), this.fill);
+            this.fill += count;
+            offset += count;
+            if (this.fill === BLOCK_SIZE) {
+                this.port.postMessage(this.block, [this.block.buffer]);
+                this.block = new Float32Array(BLOCK_SIZE);
+                this.fill = 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('audio-tap', AudioTap);
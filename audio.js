@@ -0,0 +1,183 @@
+// Remote audio
+// Plays the radio's receive audio (its USB sound device, "USB Audio CODEC")
+// in the page and sends a microphone to the radio's USB audio input while
+// transmitting. Receive audio is muted in TX; the microphone is muted in RX
+// and passes a VOX-style gate (audio-gate.js) in TX, so the radio only gets
+// speech, not the room noise between words. No DOM access.
+//
+// Receive audio plays on the default output; the microphone plays on the
+// radio's output device through a second AudioContext (AudioContext.setSinkId).
+//
+// Events:
+//   levels  { rx, mic, gate }  - peak levels in dBFS (AUDIO_METER_MIN_DB when
+//                                off), and whether the gate is open; 10 a second
+
+import { Emitter } from './radio.js';
+
+export const AUDIO_METER_MIN_DB = -60;
+
+export const DEFAULT_REMOTE_AUDIO = {
+    rxInput: '',    // Device IDs, '' = default input / no microphone
+    micInput: '',
+    txOutput: '',
+    rxVolume: 100,  // %
+    micGain: 100,   // %
+    gateDb: -45     // Gate threshold (dBFS), AUDIO_METER_MIN_DB = always open in TX
+};
+
+const METER_INTERVAL_MS = 100;
+const RAMP_S = 0.01;  // Time constant of volume changes, so muting does not click
+
+// Peak level of samples in dBFS, no lower than AUDIO_METER_MIN_DB
+export function peakDb(samples) {
+    let peak = 0;
+    for (const sample of samples) peak = Math.max(peak, Math.abs(sample));
+    return levelToDb(peak);
+}
+
+function levelToDb(level) {
+    return level > 0 ? Math.max(AUDIO_METER_MIN_DB, 20 * Math.log10(level)) : AUDIO_METER_MIN_DB;
+}
+
+function dbToLevel(db) {
+    return db <= AUDIO_METER_MIN_DB ? 0 : Math.pow(10, db / 20);
+}
+
+// Audio is used as it is: noise suppression would eat weak signals, and AGC
+// would pump the band noise and fight the radio's ALC. Echo cancellation is
+// not needed, as receive audio is muted while the microphone is on.
+function openInput(deviceId) {
+    return navigator.mediaDevices.getUserMedia({
+        audio: {
+            deviceId: deviceId ? { exact: deviceId } : undefined,
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false
+        }
+    });
+}
+
+export class RemoteAudio extends Emitter {
+    constructor() {
+        super();
+        this.options = { ...DEFAULT_REMOTE_AUDIO };
+        this.transmitting = false;
+        this.rx = null;         // { context, stream, gain, analyser } while running
+        this.tx = null;         // { context, stream, gain, gate } while the microphone is routed
+        this.micPeak = 0;       // Peak reported by the gate since the last meter update
+        this.gateOpen = false;
+        this.timer = null;
+    }
+
+    get running() {
+        return this.rx !== null;
+    }
+
+    get micRouted() {
+        return this.tx !== null;
+    }
+
+    // Start playing the receive audio and, with a txOutput, routing the
+    // microphone. Options as in DEFAULT_REMOTE_AUDIO.
+    async start(options = {}) {
+        this.stop();
+        this.options = { ...this.options, ...options };
+
+        const opened = [];
+        try {
+            this.rx = await this.openReceive(opened);
+            if (this.options.txOutput) this.tx = await this.openTransmit(opened);
+        } catch (error) {
+            this.rx = this.tx = null;
+            opened.forEach(close => close());
+            throw error;
+        }
+
+        this.setTransmitting(this.transmitting);
+        this.timer = setInterval(() => this.emitLevels(), METER_INTERVAL_MS);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        for (const path of [this.rx, this.tx]) {
+            if (!path) continue;
+            path.stream.getTracks().forEach(track => track.stop());
+            path.context.close();
+        }
+        this.rx = this.tx = null;
+        this.micPeak = 0;
+        this.gateOpen = false;
+    }
+
+    // Receive audio -> analyser (meter) and volume -> speakers
+    async openReceive(opened) {
+        const stream = await openInput(this.options.rxInput);
+        opened.push(() => stream.getTracks().forEach(track => track.stop()));
+        const context = new AudioContext();
+        opened.push(() => context.close());
+
+        const source = context.createMediaStreamSource(stream);
+        const analyser = context.createAnalyser();
+        analyser.fftSize = 2048;
+        const gain = context.createGain();
+        gain.gain.value = 0;
+        source.connect(analyser);
+        source.connect(gain).connect(context.destination);
+        return { context, stream, gain, analyser };
+    }
+
+    // Microphone -> gain -> gate -> radio's USB audio input
+    async openTransmit(opened) {
+        const context = new AudioContext();
+        opened.push(() => context.close());
+        if (typeof context.setSinkId !== 'function') {
+            throw new Error('This browser cannot send audio to a chosen output device');
+        }
+        await context.setSinkId(this.options.txOutput);
+        await context.audioWorklet.addModule(new URL('./audio-gate.js', import.meta.url));
+
+        const stream = await openInput(this.options.micInput);
+        opened.push(() => stream.getTracks().forEach(track => track.stop()));
+
+        const source = context.createMediaStreamSource(stream);
+        const gain = context.createGain();
+        gain.gain.value = this.options.micGain / 100;
+        const gate = new AudioWorkletNode(context, 'audio-gate', { outputChannelCount: [1] });
+        gate.port.onmessage = ({ data }) => {
+            this.micPeak = Math.max(this.micPeak, data.peak);
+            this.gateOpen = data.open;
+        };
+        source.connect(gain).connect(gate).connect(context.destination);
+        return { context, stream, gain, gate };
+    }
+
+    // Change volume, gain or gate threshold while running (device changes
+    // need start() again)
+    configure(options) {
+        this.options = { ...this.options, ...options };
+        if (this.tx) {
+            this.tx.gain.gain.setTargetAtTime(this.options.micGain / 100, this.tx.context.currentTime, RAMP_S);
+        }
+        this.setTransmitting(this.transmitting);
+    }
+
+    // Follow the radio's TX state: mute the receive audio in TX, the
+    // microphone in RX
+    setTransmitting(transmitting) {
+        this.transmitting = transmitting;
+        if (!transmitting) this.gateOpen = false;
+        if (this.rx) {
+            const volume = transmitting ? 0 : this.options.rxVolume / 100;
+            this.rx.gain.gain.setTargetAtTime(volume, this.rx.context.currentTime, RAMP_S);
+        }
+        this.tx?.gate.port.postMessage({ transmitting, threshold: dbToLevel(this.options.gateDb) });
+    }
+
+    emitLevels() {
+        const samples = new Float32Array(this.rx.analyser.fftSize);
+        this.rx.analyser.getFloatTimeDomainData(samples);
+        this.emit('levels', { rx: peakDb(samples), mic: levelToDb(this.micPeak), gate: this.gateOpen });
+        this.micPeak = 0;
+    }
+}
@@ -0,0 +1,27 @@
+// HF/6m amateur bands covered by the IC-7300
+// Edges are the widest IARU allocations (Hz). defaultHz/defaultModeCode are
+// used the first time a band is selected, before its last-used frequency is known.
+// No DOM access.
+
+export const BANDS = [
+    { name: '160m', lowHz: 1800000, highHz: 2000000, defaultHz: 1840000, defaultModeCode: 0x00 },
+    { name: '80m', lowHz: 3500000, highHz: 4000000, defaultHz: 3573000, defaultModeCode: 0x00 },
+    { name: '60m', lowHz: 5250000, highHz: 5450000, defaultHz: 5357000, defaultModeCode: 0x01 },
+    { name: '40m', lowHz: 7000000, highHz: 7300000, defaultHz: 7074000, defaultModeCode: 0x00 },
+    { name: '30m', lowHz: 10100000, highHz: 10150000, defaultHz: 10136000, defaultModeCode: 0x01 },
+    { name: '20m', lowHz: 14000000, highHz: 14350000, defaultHz: 14074000, defaultModeCode: 0x01 },
+    { name: '17m', lowHz: 18068000, highHz: 18168000, defaultHz: 18100000, defaultModeCode: 0x01 },
+    { name: '15m', lowHz: 21000000, highHz: 21450000, defaultHz: 21074000, defaultModeCode: 0x01 },
+    { name: '12m', lowHz: 24890000, highHz: 24990000, defaultHz: 24915000, defaultModeCode: 0x01 },
+    { name: '10m', lowHz: 28000000, highHz: 29700000, defaultHz: 28074000, defaultModeCode: 0x01 },
+    { name: '6m', lowHz: 50000000, highHz: 54000000, defaultHz: 50313000, defaultModeCode: 0x01 }
+];
+
+// Band containing a frequency, or null when outside all bands
+export function bandForFrequency(frequencyHz) {
+    return BANDS.find(band => frequencyHz >= band.lowHz && frequencyHz <= band.highHz) || null;
+}
+
+export function bandByName(name) {
+    return BANDS.find(band => band.name === name) || null;
+}
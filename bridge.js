@@ -0,0 +1,181 @@
+// Remote-control bridge
+// The tab that owns the radio connection (host) and remote browsers (clients)
+// exchange JSON messages through the relay server in relay.mjs. No DOM access.
+//
+// Every connection starts with:
+//   -> { type: 'hello', role: 'host' | 'client', name, token }
+//   <- { type: 'welcome', client } or { type: 'error', message } (then closed)
+//
+// Host -> relay -> all clients:
+//   { type: 'state', connected, state }      radio.state of the host's Radio
+//   { type: 'meter', meter, value }          raw meter reading
+// Host -> relay -> one client:
+//   { type: 'result', client, id, ok, error, reply }
+// Client -> relay -> host (the relay adds client and origin, "name@address"):
+//   { type: 'command', id, command, args, client, origin }
+//     setFrequency { frequency }              MHz as text, as typed in Set Frequency
+//     setMode      { modeCode, filter, dataMode }
+//     setPTT       { on }
+//     rigctl       { line }                   rigctld command (see rigctl.js), answered in reply
+// rigctld connections to the relay appear to the host as clients named rigctld.
+// Relay -> host:   { type: 'client', event: 'joined' | 'left', client, origin }
+// Relay -> client: { type: 'host', connected }
+
+import { Emitter } from './radio.js';
+
+export const BRIDGE_COMMANDS = ['setFrequency', 'setMode', 'setPTT', 'rigctl'];
+export const DEFAULT_BRIDGE_PORT = 8765;
+
+// Shared WebSocket handling for both ends
+class BridgeConnection extends Emitter {
+    constructor() {
+        super();
+        this.socket = null;
+        this.open = false;
+    }
+
+    // Connect and say hello; resolves once the relay has accepted us
+    connect(url, hello) {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(url);
+            this.socket = socket;
+            let welcomed = false;
+
+            socket.onopen = () => this.send({ type: 'hello', ...hello });
+            socket.onerror = () => {
+                if (!welcomed) reject(new Error('Cannot reach relay at ' + url));
+            };
+            socket.onclose = () => {
+                this.open = false;
+                if (this.socket === socket) this.socket = null;
+                if (welcomed) this.emit('close');
+            };
+            socket.onmessage = event => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    console.error('Bad bridge message:', event.data);
+                    return;
+                }
+
+                if (message.type === 'welcome') {
+                    welcomed = true;
+                    this.open = true;
+                    resolve(message);
+                } else if (message.type === 'error' && !welcomed) {
+                    reject(new Error(message.message));
+                } else {
+                    this.handleMessage(message);
+                }
+            };
+        });
+    }
+
+    close() {
+        if (this.socket) this.socket.close();
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(message) {
+        this.emit(message.type, message);
+    }
+}
+
+// The tab with the radio: publishes its state and receives commands.
+// Events: command { id, command, args, client, origin }, client { event, client, origin }, close
+export class BridgeHost extends BridgeConnection {
+    constructor(radio) {
+        super();
+        this.radio = radio;
+        this.clients = new Map();  // client id -> origin
+
+        const publish = () => this.sendState();
+        ['connected', 'disconnected', 'frequency', 'mode', 'vfo', 'ptt'].forEach(event => radio.on(event, publish));
+        radio.on('meter', ({ meter, value }) => {
+            if (this.open) this.send({ type: 'meter', meter, value });
+        });
+    }
+
+    async start(url, name = 'host', token = '') {
+        this.clients.clear();
+        await this.connect(url, { role: 'host', name, token });
+        this.sendState();
+    }
+
+    sendState() {
+        if (!this.open) return;
+        this.send({ type: 'state', connected: this.radio.connected, state: this.radio.state });
+    }
+
+    // Answer a command with { ok, error, reply }
+    reply(command, result) {
+        this.send({ type: 'result', client: command.client, id: command.id, ok: result.ok, error: result.error, reply: result.reply });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'client') {
+            if (message.event === 'joined') {
+                this.clients.set(message.client, message.origin);
+                this.sendState();
+            } else {
+                this.clients.delete(message.client);
+            }
+        }
+        if (message.type === 'command' && !BRIDGE_COMMANDS.includes(message.command)) {
+            this.reply(message, { ok: false, error: 'Unknown command ' + message.command });
+            return;
+        }
+        super.handleMessage(message);
+    }
+}
+
+// A remote browser: mirrors the host's radio state and sends commands.
+// Events: state { connected, state }, meter { meter, value }, host { connected }, close
+export class BridgeClient extends BridgeConnection {
+    constructor() {
+        super();
+        this.nextId = 1;
+        this.pending = new Map();  // command id -> { resolve, timer }
+        this.timeout = 5000;
+    }
+
+    start(url, name = '', token = '') {
+        return this.connect(url, { role: 'client', name, token });
+    }
+
+    // Send a command; resolves with the host's { ok, error }
+    command(command, args = {}) {
+        return new Promise(resolve => {
+            if (!this.open) {
+                resolve({ ok: false, error: 'Not connected to the bridge' });
+                return;
+            }
+            const id = this.nextId++;
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                resolve({ ok: false, error: 'No answer from the host' });
+            }, this.timeout);
+            this.pending.set(id, { resolve, timer });
+            this.send({ type: 'command', id, command, args });
+        });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'result') {
+            const pending = this.pending.get(message.id);
+            if (pending) {
+                clearTimeout(pending.timer);
+                this.pending.delete(message.id);
+                pending.resolve({ ok: message.ok, error: message.error });
+            }
+            return;
+        }
+        super.handleMessage(message);
+    }
+}
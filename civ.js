@@ -0,0 +1,319 @@
+// IC-7300 CI-V protocol core
+// Packet building/parsing and data codecs. No DOM access, no global state,
+// so it can be imported by any page or run under Node.
+
+// Addresses
+export const DEFAULT_RADIO_ADDRESS = 0x94;
+export const CONTROLLER_ADDRESS = 0xE0;
+export const BROADCAST_ADDRESS = 0x00;
+
+// Command codes
+export const CMD_TRANSCEIVE_FREQ = 0x00;  // Unsolicited frequency broadcast (CI-V Transceive)
+export const CMD_TRANSCEIVE_MODE = 0x01;  // Unsolicited mode broadcast (CI-V Transceive)
+export const CMD_READ_FREQ = 0x03;
+export const CMD_READ_MODE = 0x04;
+export const CMD_WRITE_FREQ = 0x05;
+export const CMD_WRITE_MODE = 0x06;
+export const CMD_SELECT_VFO = 0x07;  // Select VFO A/B, A=B, swap
+export const CMD_SPLIT = 0x0F;  // Split off/on
+export const CMD_ATTENUATOR = 0x11;  // Attenuator [00 off / 20 20 dB]
+export const CMD_SET_LEVEL = 0x14;  // Set/read levels (keyer speed, RF power, ...)
+export const CMD_READ_METER = 0x15;  // Read S-meter/Power meter
+export const CMD_FUNCTION = 0x16;  // Preamp, AGC, NB, NR, monitor and other functions
+export const CMD_SEND_CW = 0x17;  // Send CW text with the radio's keyer
+export const CMD_SETTINGS = 0x1A;  // Memory contents, data mode and other settings
+export const CMD_PTT = 0x1C;  // PTT control / read operating status (TX/RX)
+export const CMD_RIT = 0x21;  // RIT/XIT (ΔTX) offset and on/off
+export const CMD_VFO_FREQ = 0x25;  // Read/set selected or unselected VFO frequency
+export const CMD_ACK = 0xFB;
+export const CMD_NAK = 0xFA;
+
+// Sub-commands
+export const SUB_KEYER_SPEED = 0x0C;  // 0x14 0C
+export const SUB_METER_S = 0x02;  // 0x15 02
+export const SUB_METER_POWER = 0x11;  // 0x15 11
+export const SUB_METER_SWR = 0x12;  // 0x15 12
+export const SUB_METER_ALC = 0x13;  // 0x15 13
+export const SUB_METER_COMP = 0x14;  // 0x15 14
+export const SUB_METER_VD = 0x15;  // 0x15 15 (supply voltage)
+export const SUB_METER_ID = 0x16;  // 0x15 16 (drain current)
+export const SUB_TX_STATUS = 0x00;  // 0x1C 00
+export const SUB_SETTING = 0x05;  // 0x1A 05 [item x2 BCD] [value]: SET menu items
+export const SUB_DATA_MODE = 0x06;  // 0x1A 06 [data 00/01] [filter 00 (off) / 01-03]
+export const SUB_VFO_A = 0x00;  // 0x07 00
+export const SUB_VFO_B = 0x01;  // 0x07 01
+export const SUB_VFO_EQUAL = 0xA0;  // 0x07 A0: copy the selected VFO to the other one
+export const SUB_VFO_SWAP = 0xB0;  // 0x07 B0: exchange VFO A and B
+export const SUB_RIT_OFFSET = 0x00;  // 0x21 00 [offset x2 BCD] [sign 00 +, 01 -]
+export const SUB_RIT = 0x01;  // 0x21 01 [00 off / 01 on]
+export const SUB_XIT = 0x02;  // 0x21 02 [00 off / 01 on] (ΔTX)
+export const SUB_SELECTED_VFO = 0x00;  // 0x25 00 [freq x5]
+export const SUB_UNSELECTED_VFO = 0x01;  // 0x25 01 [freq x5] (TX VFO when split)
+
+// Commands whose replies repeat the sub-command byte (e.g. 15 02 -> 15 02 xx xx)
+export const SUBCOMMAND_CMDS = [0x14, 0x15, 0x16, 0x1A, 0x1C, 0x21, 0x25, 0x27];
+
+// Meter name used in Radio 'meter' events -> 0x15 sub-command
+export const METER_SUBCOMMANDS = {
+    s: SUB_METER_S,
+    power: SUB_METER_POWER,
+    swr: SUB_METER_SWR,
+    alc: SUB_METER_ALC,
+    comp: SUB_METER_COMP,
+    vd: SUB_METER_VD,
+    id: SUB_METER_ID
+};
+
+// Meters read while transmitting
+export const TX_METERS = ['power', 'swr', 'alc', 'comp', 'vd', 'id'];
+
+// RIT/XIT offset range (Hz)
+export const RIT_MAX_HZ = 9999;
+
+// CW text for 0x17: up to 30 ASCII characters per command; a single FF
+// stops sending
+export const CW_TEXT_MAX_LENGTH = 30;
+export const CW_STOP = 0xFF;
+
+// Modulation input outside data mode (SET > Connectors > MOD Input >
+// DATA OFF MOD), 0x1A 05 0066; the values index MOD_INPUTS
+export const SETTING_DATA_OFF_MOD = [0x00, 0x66];
+export const MOD_INPUTS = ['MIC', 'ACC', 'MIC,ACC', 'USB'];
+export const MOD_INPUT_USB = 0x03;
+
+// Keyer speed range; 0x14 0C spreads 6-48 WPM over levels 0-255
+export const KEYER_MIN_WPM = 6;
+export const KEYER_MAX_WPM = 48;
+
+// Mode codes
+export const MODES = {
+    '00': 'LSB',
+    '01': 'USB',
+    '02': 'AM',
+    '03': 'CW',
+    '04': 'RTTY',
+    '05': 'FM',
+    '07': 'CW-R',
+    '08': 'RTTY-R'
+};
+
+// Modes that have a data (-D) variant selected with 0x1A 06: LSB, USB, AM, FM
+export const DATA_MODE_CODES = [0x00, 0x01, 0x02, 0x05];
+
+// Filter numbers (FIL1 wide - FIL3 narrow)
+export const FILTERS = [1, 2, 3];
+
+// Mode name for a numeric mode code
+export function modeName(modeCode) {
+    return MODES[modeCode.toString(16).padStart(2, '0').toUpperCase()] || 'Unknown';
+}
+
+// Mode name including the data flag, e.g. USB-D
+export function modeLabel(modeCode, dataMode = false) {
+    return modeName(modeCode) + (dataMode && DATA_MODE_CODES.includes(modeCode) ? '-D' : '');
+}
+
+// Format bytes as space-separated hex for logging
+export function toHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+// Convert frequency in Hz to IC-7300 BCD format
+export function frequencyToBCD(freqHz) {
+    // IC-7300 expects 10 BCD digits (5 bytes) in little-endian
+    // Format: Hz (1s, 10s), kHz (1s, 10s, 100s), MHz (1s, 10s, 100s), GHz (1s, 10s)
+    const freqStr = freqHz.toString().padStart(10, '0');
+    const bcd = [];
+
+    // Pack pairs of digits into BCD bytes, little-endian (least significant first)
+    for (let i = 0; i < 5; i++) {
+        const lowDigit = parseInt(freqStr[9 - (i * 2)]);      // rightmost digit
+        const highDigit = parseInt(freqStr[9 - (i * 2) - 1]);  // next digit left
+        bcd.push((highDigit << 4) | lowDigit);
+    }
+
+    return bcd;
+}
+
+// Convert BCD format to frequency in Hz
+export function bcdToFrequency(bcd) {
+    let freqStr = '';
+
+    for (let i = bcd.length - 1; i >= 0; i--) {
+        const high = (bcd[i] >> 4) & 0x0F;
+        const low = bcd[i] & 0x0F;
+        freqStr += high.toString() + low.toString();
+    }
+
+    return parseInt(freqStr);
+}
+
+// Build CI-V command
+export function buildCommand(cmd, data = [], to = DEFAULT_RADIO_ADDRESS, from = CONTROLLER_ADDRESS) {
+    const packet = [
+        0xFE, 0xFE,           // Preamble
+        to,                    // To IC-7300
+        from,                  // From controller
+        cmd,                   // Command
+        ...data,
+        0xFD                   // End of message
+    ];
+    return new Uint8Array(packet);
+}
+
+// Parse CI-V response
+export function parseResponse(data) {
+    // Check for valid CI-V packet
+    if (data.length < 6) return null;
+    if (data[0] !== 0xFE || data[1] !== 0xFE) return null;
+    if (data[data.length - 1] !== 0xFD) return null;
+
+    // Packet layout: FE FE [to] [from] [cmd] [payload...] FD
+    const to = data[2];
+    const from = data[3];
+    const cmd = data[4];
+    const payload = Array.from(data.slice(5, -1));
+
+    return { from, to, cmd, payload };
+}
+
+// Streaming CI-V frame decoder
+// Pure function: takes the bytes left over from the previous call plus a new
+// chunk, and returns the complete frames found, the leftover bytes to pass in
+// next time, and counts of what was discarded:
+//   echoes     - our own packets read back (shared CI-V bus / local echo)
+//   foreign    - packets addressed to another controller
+//   collisions - packets broken by a 0xFC jam code
+//   malformed  - garbage between packets, truncated or oversized packets
+// Frames addressed to us or to the broadcast address 0x00 are kept.
+const CIV_MAX_FRAME = 256;
+
+export function decodeFrames(pending, chunk, controllerAddress = CONTROLLER_ADDRESS) {
+    const bytes = pending.concat(Array.from(chunk));
+    const result = { frames: [], pending: [], echoes: 0, foreign: 0, collisions: 0, malformed: 0 };
+    let i = 0;
+
+    while (i < bytes.length) {
+        // Look for the FE FE preamble
+        if (bytes[i] !== 0xFE) {
+            const next = bytes.indexOf(0xFE, i);
+            const end = next === -1 ? bytes.length : next;
+            // A jam code outside a packet is a collision, anything else is garbage
+            if (bytes.slice(i, end).includes(0xFC)) {
+                result.collisions++;
+            } else {
+                result.malformed++;
+            }
+            i = end;
+            continue;
+        }
+
+        if (i + 1 >= bytes.length) {
+            result.pending = bytes.slice(i);
+            break;
+        }
+        if (bytes[i + 1] !== 0xFE) {
+            result.malformed++;
+            i++;
+            continue;
+        }
+
+        // Skip any extra preamble bytes
+        let start = i + 2;
+        while (start < bytes.length && bytes[start] === 0xFE) start++;
+
+        // Scan to the end-of-message byte
+        let end = start;
+        while (end < bytes.length && bytes[end] !== 0xFD && bytes[end] !== 0xFC && bytes[end] !== 0xFE) end++;
+
+        if (end >= bytes.length) {
+            // Incomplete packet: keep it for the next chunk unless it is too long
+            if (bytes.length - i > CIV_MAX_FRAME) {
+                result.malformed++;
+                i = end;
+                continue;
+            }
+            result.pending = bytes.slice(i);
+            break;
+        }
+
+        if (bytes[end] === 0xFC) {
+            // Collision: drop the packet and the jam bytes that follow it
+            result.collisions++;
+            i = end;
+            while (i < bytes.length && (bytes[i] === 0xFC || bytes[i] === 0xFD)) i++;
+            continue;
+        }
+
+        if (bytes[end] === 0xFE) {
+            // A new preamble started before this packet ended
+            result.malformed++;
+            i = end;
+            continue;
+        }
+
+        const body = bytes.slice(start, end);
+        i = end + 1;
+
+        // Need at least [to] [from] [cmd]
+        if (body.length < 3) {
+            result.malformed++;
+            continue;
+        }
+
+        const to = body[0];
+        const from = body[1];
+
+        if (from === controllerAddress) {
+            result.echoes++;
+            continue;
+        }
+        if (to !== controllerAddress && to !== BROADCAST_ADDRESS) {
+            result.foreign++;
+            continue;
+        }
+
+        result.frames.push(new Uint8Array([0xFE, 0xFE, ...body, 0xFD]));
+    }
+
+    return result;
+}
+
+// Encode a 0-255 level as the 4-digit BCD pair used by 0x14/0x15 (e.g. 128 -> 01 28)
+export function levelToBCD(value) {
+    const str = Math.max(0, Math.min(255, Math.round(value))).toString().padStart(4, '0');
+    return [
+        (parseInt(str[0]) << 4) | parseInt(str[1]),
+        (parseInt(str[2]) << 4) | parseInt(str[3])
+    ];
+}
+
+// Decode the 4-digit BCD pair used by 0x14/0x15 (e.g. 01 28 -> 128)
+export function bcdToLevel(high, low) {
+    return ((high >> 4) & 0x0F) * 1000 + (high & 0x0F) * 100 + ((low >> 4) & 0x0F) * 10 + (low & 0x0F);
+}
+
+export function wpmToKeyerLevel(wpm) {
+    const clamped = Math.max(KEYER_MIN_WPM, Math.min(KEYER_MAX_WPM, wpm));
+    return Math.round((clamped - KEYER_MIN_WPM) * 255 / (KEYER_MAX_WPM - KEYER_MIN_WPM));
+}
+
+export function keyerLevelToWpm(level) {
+    return Math.round(KEYER_MIN_WPM + level * (KEYER_MAX_WPM - KEYER_MIN_WPM) / 255);
+}
+
+// Encode a RIT/XIT offset for 0x21 00: 4 BCD digits little-endian plus a
+// sign byte (e.g. -1230 Hz -> 30 12 01)
+export function ritOffsetToBCD(offsetHz) {
+    const str = Math.min(RIT_MAX_HZ, Math.abs(Math.round(offsetHz))).toString().padStart(4, '0');
+    return [
+        (parseInt(str[2]) << 4) | parseInt(str[3]),
+        (parseInt(str[0]) << 4) | parseInt(str[1]),
+        offsetHz < 0 ? 0x01 : 0x00
+    ];
+}
+
+export function bcdToRitOffset(bytes) {
+    const value = bcdToLevel(bytes[1], bytes[0]);
+    return bytes[2] === 0x01 ? -value : value;
+}
@@ -0,0 +1,78 @@
+// IC-7300 level and function controls (transceiver settings panel)
+// One table describes each control's CI-V command, how its value is encoded
+// and how it is shown, so Radio, the simulator and the UI share it.
+// No DOM access.
+//
+// Types:
+//   level   0-255, 4-digit BCD pair (0x14 xx)
+//   switch  00 off / 01 on (0x16 xx)
+//   select  one byte from options (0x16 xx, 0x11)
+
+import { CMD_SET_LEVEL, CMD_FUNCTION, CMD_ATTENUATOR, levelToBCD, bcdToLevel } from './civ.js';
+
+export const CONTROLS = [
+    { id: 'rfPower', label: 'RF Power', type: 'level', cmd: CMD_SET_LEVEL, sub: 0x0A, unit: 'W' },
+    { id: 'afGain', label: 'AF Gain', type: 'level', cmd: CMD_SET_LEVEL, sub: 0x01 },
+    { id: 'rfGain', label: 'RF Gain', type: 'level', cmd: CMD_SET_LEVEL, sub: 0x02 },
+    { id: 'squelch', label: 'Squelch', type: 'level', cmd: CMD_SET_LEVEL, sub: 0x03 },
+    {
+        id: 'preamp', label: 'Preamp', type: 'select', cmd: CMD_FUNCTION, sub: 0x02,
+        options: [[0x00, 'OFF'], [0x01, 'P.AMP1'], [0x02, 'P.AMP2']]
+    },
+    {
+        id: 'attenuator', label: 'Attenuator', type: 'select', cmd: CMD_ATTENUATOR, sub: null,
+        options: [[0x00, 'OFF'], [0x20, '20 dB']]
+    },
+    {
+        id: 'agc', label: 'AGC', type: 'select', cmd: CMD_FUNCTION, sub: 0x12,
+        options: [[0x01, 'FAST'], [0x02, 'MID'], [0x03, 'SLOW']]
+    },
+    { id: 'nb', label: 'Noise Blanker', type: 'switch', cmd: CMD_FUNCTION, sub: 0x22 },
+    { id: 'nbLevel', label: 'NB Level', type: 'level', cmd: CMD_SET_LEVEL, sub: 0x12 },
+    { id: 'nr', label: 'Noise Reduction', type: 'switch', cmd: CMD_FUNCTION, sub: 0x40 },
+    { id: 'nrLevel', label: 'NR Level', type: 'level', cmd: CMD_SET_LEVEL, sub: 0x06 },
+    { id: 'monitor', label: 'Monitor', type: 'switch', cmd: CMD_FUNCTION, sub: 0x45 },
+    { id: 'monitorGain', label: 'Monitor Gain', type: 'level', cmd: CMD_SET_LEVEL, sub: 0x15 }
+];
+
+export function controlById(id) {
+    return CONTROLS.find(control => control.id === id) || null;
+}
+
+// Command data to read a control
+export function controlReadData(control) {
+    return control.sub === null ? [] : [control.sub];
+}
+
+// Command data to set a control
+export function encodeControl(control, value) {
+    const bytes = control.type === 'level' ? levelToBCD(value) : [value & 0xFF];
+    return [...controlReadData(control), ...bytes];
+}
+
+// Find the control a reply belongs to and decode its value.
+// Returns { control, value } or null.
+export function decodeControl(cmd, payload) {
+    const control = CONTROLS.find(c => c.cmd === cmd && (c.sub === null || c.sub === payload[0]));
+    if (!control) return null;
+
+    const data = control.sub === null ? payload : payload.slice(1);
+    if (control.type === 'level') {
+        if (data.length < 2) return null;
+        return { control, value: bcdToLevel(data[0], data[1]) };
+    }
+    if (data.length < 1) return null;
+    return { control, value: control.type === 'switch' ? (data[0] === 0x01 ? 1 : 0) : data[0] };
+}
+
+// Value as shown to the user (levels as % or, for RF power, watts)
+export function formatControlValue(control, value) {
+    if (value === undefined || value === null) return '---';
+    if (control.type === 'level') {
+        if (control.unit === 'W') return Math.round(value / 2.55) + ' W';
+        return Math.round(value / 2.55) + '%';
+    }
+    if (control.type === 'switch') return value ? 'ON' : 'OFF';
+    const option = control.options.find(([optionValue]) => optionValue === value);
+    return option ? option[1] : '?';
+}
@@ -0,0 +1,227 @@
+// Channel list import/export (CSV)
+// Two layouts are supported:
+//   simple - Channel,Frequency,Mode,Name (Channel may be blank for plain frequency lists)
+//   chirp  - the column layout CHIRP uses for its CSV export/import
+// Frequencies are in MHz. Data modes are written USB-D etc. in the simple
+// layout; CHIRP has no data modes, so its rows carry the flag in the Comment
+// column instead. No DOM access.
+
+import { MODES, DATA_MODE_CODES, modeName, modeLabel } from './civ.js';
+
+export const SIMPLE_COLUMNS = ['Channel', 'Frequency', 'Mode', 'Name'];
+
+export const CHIRP_COLUMNS = [
+    'Location', 'Name', 'Frequency', 'Duplex', 'Offset', 'Tone', 'rToneFreq', 'cToneFreq',
+    'DtcsCode', 'DtcsPolarity', 'Mode', 'TStep', 'Skip', 'Comment',
+    'URCALL', 'RPT1CALL', 'RPT2CALL', 'DVCODE'
+];
+
+// Mode names accepted on import (upper case) -> IC-7300 mode code
+const MODE_ALIASES = {
+    'NFM': 0x05,
+    'NAM': 0x02,
+    'CWR': 0x07,
+    'RTTYR': 0x08
+};
+
+// IC-7300 mode code -> CHIRP mode name, where it differs from ours
+const CHIRP_MODE_NAMES = {
+    0x07: 'CWR',
+    0x08: 'RTTYR'
+};
+
+const CHIRP_DUPLEX = ['', '-', '+'];
+const CHIRP_TONE = ['', 'Tone', 'TSQL'];
+
+// Split CSV text into rows of fields (handles quotes, "" escapes and CRLF)
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+// Join rows of fields into CSV text
+export function formatCSV(rows) {
+    return rows.map(row => row.map(value => {
+        const str = String(value ?? '');
+        return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+// Mode code for a mode name from a file, or null if the IC-7300 has no such mode
+export function modeCodeFromName(name) {
+    const upper = name.trim().toUpperCase();
+    const entry = Object.entries(MODES).find(([, modeName]) => modeName === upper);
+    if (entry) return parseInt(entry[0], 16);
+    return MODE_ALIASES[upper.replace('-', '')] ?? null;
+}
+
+// { modeCode, dataMode } for a mode name that may carry -D (USB-D), or null
+export function modeFromName(name) {
+    const data = name.trim().match(/^(.*)-D$/i);
+    const modeCode = modeCodeFromName(data ? data[1] : name);
+    if (modeCode === null || (data && !DATA_MODE_CODES.includes(modeCode))) return null;
+    return { modeCode, dataMode: Boolean(data) };
+}
+
+// Export memories (see memory.js) as CSV text. Empty channels are skipped.
+export function exportChannels(memories, format = 'simple') {
+    const used = memories.filter(memory => !memory.empty);
+    const mhz = hz => (hz / 1000000).toFixed(6);
+
+    if (format === 'chirp') {
+        return formatCSV([CHIRP_COLUMNS, ...used.map(memory => [
+            memory.channel,
+            memory.name,
+            mhz(memory.frequencyHz),
+            CHIRP_DUPLEX[memory.duplex] ?? '',
+            '0.000000',  // The IC-7300 stores only the direction; the offset is a per-band setting
+            CHIRP_TONE[memory.toneMode] ?? '',
+            memory.toneHz.toFixed(1),
+            memory.tsqlHz.toFixed(1),
+            '023', 'NN',
+            CHIRP_MODE_NAMES[memory.modeCode] ?? modeName(memory.modeCode),
+            '5.00', '',
+            memory.dataMode ? modeLabel(memory.modeCode, true) : '',
+            '', '', '', ''
+        ])]);
+    }
+
+    return formatCSV([SIMPLE_COLUMNS, ...used.map(memory => [
+        memory.channel,
+        mhz(memory.frequencyHz),
+        modeLabel(memory.modeCode, memory.dataMode),
+        memory.name
+    ])]);
+}
+
+// Parse CSV text into channel entries.
+// Returns { format, entries, errors }: entries have channel (or null),
+// frequencyHz, modeCode, dataMode, name, duplex, toneMode, toneHz, tsqlHz;
+// dataMode is null for CHIRP rows that do not say (files from other radios).
+// Errors are "line N: problem" strings for rows that were skipped.
+export function importChannels(text, options = {}) {
+    const minHz = options.minHz ?? 1000000;
+    const maxHz = options.maxHz ?? 60000000;
+    const maxChannel = options.maxChannel ?? 99;
+
+    const rows = parseCSV(text);
+    if (rows.length === 0) {
+        return { format: null, entries: [], errors: ['File is empty'] };
+    }
+
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    const column = name => header.indexOf(name.toLowerCase());
+    const format = column('Location') !== -1 ? 'chirp' : 'simple';
+
+    const columns = format === 'chirp'
+        ? { channel: column('Location'), frequency: column('Frequency'), mode: column('Mode'), name: column('Name'),
+            duplex: column('Duplex'), tone: column('Tone'), rTone: column('rToneFreq'), cTone: column('cToneFreq'),
+            comment: column('Comment') }
+        : { channel: column('Channel'), frequency: column('Frequency'), mode: column('Mode'), name: column('Name') };
+
+    if (columns.frequency === -1) {
+        return { format, entries: [], errors: ['No Frequency column in header'] };
+    }
+
+    const entries = [];
+    const errors = [];
+    const seenChannels = new Set();
+
+    rows.slice(1).forEach((row, index) => {
+        const line = index + 2;
+        const field = key => (columns[key] !== undefined && columns[key] !== -1 ? (row[columns[key]] ?? '') : '').trim();
+
+        const freqMHz = parseFloat(field('frequency'));
+        const frequencyHz = Math.round(freqMHz * 1000000);
+        if (isNaN(frequencyHz) || frequencyHz < minHz || frequencyHz > maxHz) {
+            errors.push(`line ${line}: frequency "${field('frequency')}" out of range (1-60 MHz)`);
+            return;
+        }
+
+        const modeText = field('mode') || 'USB';
+        const mode = modeFromName(modeText);
+        if (mode === null) {
+            errors.push(`line ${line}: mode "${modeText}" not supported by the IC-7300`);
+            return;
+        }
+
+        let channel = null;
+        if (field('channel') !== '') {
+            channel = parseInt(field('channel'));
+            if (isNaN(channel) || channel < 1 || channel > maxChannel) {
+                errors.push(`line ${line}: channel "${field('channel')}" out of range (1-${maxChannel})`);
+                return;
+            }
+            if (seenChannels.has(channel)) {
+                errors.push(`line ${line}: channel ${channel} appears more than once`);
+                return;
+            }
+            seenChannels.add(channel);
+        }
+
+        const entry = {
+            channel,
+            frequencyHz,
+            modeCode: mode.modeCode,
+            dataMode: mode.dataMode,
+            name: field('name').slice(0, 10),
+            duplex: 0,
+            toneMode: 0,
+            toneHz: 88.5,
+            tsqlHz: 88.5
+        };
+
+        if (format === 'chirp') {
+            entry.duplex = Math.max(0, CHIRP_DUPLEX.indexOf(field('duplex')));
+            entry.toneMode = Math.max(0, CHIRP_TONE.indexOf(field('tone')));
+            entry.toneHz = parseFloat(field('rTone')) || 88.5;
+            entry.tsqlHz = parseFloat(field('cTone')) || 88.5;
+            // Our own exports mark data mode rows; other files leave it to the channel
+            const marked = DATA_MODE_CODES.includes(mode.modeCode) &&
+                field('comment').toUpperCase() === modeLabel(mode.modeCode, true);
+            entry.dataMode = marked || mode.dataMode ? true : null;
+        }
+
+        entries.push(entry);
+    });
+
+    return { format, entries, errors };
+}
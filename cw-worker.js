@@ -0,0 +1,24 @@
+// CW keying clock worker
+// Runs a KeyingScheduler (keying.js) away from the page, whose timers browsers
+// throttle while the tab is in the background.
+//
+// Messages in:  { type: 'start', run, events }, { type: 'stop' }
+// Messages out: { type: 'key', run, down, late }, { type: 'done', run, maxLate }
+
+import { KeyingScheduler } from './keying.js';
+
+const scheduler = new KeyingScheduler();
+let run = 0;
+
+scheduler.on('key', ({ down, late }) => postMessage({ type: 'key', run, down, late }));
+scheduler.on('done', ({ maxLate }) => postMessage({ type: 'done', run, maxLate }));
+
+onmessage = ({ data }) => {
+    if (data.type === 'start') {
+        scheduler.stop();
+        run = data.run;
+        scheduler.start(data.events);
+    } else if (data.type === 'stop') {
+        scheduler.stop();
+    }
+};
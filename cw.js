@@ -0,0 +1,183 @@
+// Morse code tables, timing and CW macros
+// No DOM access; used by the CW keying code in ic7300.js and the simulator.
+
+export const MORSE_CODE = {
+    'A': '.-',    'B': '-...',  'C': '-.-.',  'D': '-..',   'E': '.',
+    'F': '..-.',  'G': '--.',   'H': '....',  'I': '..',    'J': '.---',
+    'K': '-.-',   'L': '.-..',  'M': '--',    'N': '-.',    'O': '---',
+    'P': '.--.',  'Q': '--.-',  'R': '.-.',   'S': '...',   'T': '-',
+    'U': '..-',   'V': '...-',  'W': '.--',   'X': '-..-',  'Y': '-.--',
+    'Z': '--..',  '0': '-----', '1': '.----', '2': '..---', '3': '...--',
+    '4': '....-', '5': '.....', '6': '-....', '7': '--...', '8': '---..',
+    '9': '----.',  '/': '-..-.',  '?': '..--..', '.': '.-.-.-',
+    ',': '--..--', '=': '-...-', '+': '.-.-.', '-': '-....-',
+    ':': '---...', "'": '.----.', '(': '-.--.', ')': '-.--.-',
+    '"': '.-..-.', '@': '.--.-.',
+    ' ': ' '  // Space between words
+};
+
+// Keying options for DTR/RTS keying (the radio keyer uses its own menu settings)
+export const DEFAULT_CW_TIMING = {
+    farnsworthWpm: 0,  // Effective speed with wider letter/word spaces, 0 = off
+    weight: 50,        // Dot share of a dot plus the space after it (%), 50 = standard
+    ratio: 3,          // Dash length in dots
+    pttLeadMs: 100,    // PTT on before the first element
+    pttTailMs: 100     // PTT held after the last element
+};
+
+// Calculate timing based on WPM, with the keying options above
+export function getCWTiming(wpm, options = {}) {
+    const { farnsworthWpm, weight, ratio } = { ...DEFAULT_CW_TIMING, ...options };
+
+    // Standard PARIS timing: 1 dot unit = 1200ms / WPM
+    const dotDuration = 1200 / wpm;
+
+    // Weight lengthens (or shortens) every element and takes the same time
+    // from the space after it, so the speed stays the same
+    const extra = dotDuration * (weight - 50) / 50;
+
+    // Farnsworth: characters at full speed, the 19 space units of PARIS
+    // stretched so that a word takes as long as at the effective speed
+    let spaceUnit = dotDuration;
+    if (farnsworthWpm > 0 && farnsworthWpm < wpm) {
+        spaceUnit = (60000 / farnsworthWpm - 31 * dotDuration) / 19;
+    }
+
+    return {
+        dot: dotDuration + extra,
+        dash: dotDuration * ratio + extra,
+        symbolSpace: dotDuration - extra,          // Space between dots/dashes
+        letterSpace: spaceUnit * 3 - extra,        // Space between letters
+        wordSpace: spaceUnit * 7 - extra           // Space between words
+    };
+}
+
+// Split text into the Morse code of each character, with ' ' for a word
+// space. Prosigns are written <AR> (any number of characters sent as one) or,
+// as the radio keyer takes them, ^AR (the next two characters joined).
+// Characters without a code are left out and listed in unknown.
+export function parseCWText(text) {
+    const codes = [];
+    const unknown = [];
+    const chars = Array.from(text.toUpperCase());
+
+    for (let i = 0; i < chars.length; i++) {
+        if (/\s/.test(chars[i])) {
+            if (codes.length > 0 && codes[codes.length - 1] !== ' ') codes.push(' ');
+            continue;
+        }
+
+        let group = [chars[i]];
+        let written = chars[i];
+        const close = chars.indexOf('>', i);
+        if (chars[i] === '<' && close > i + 1) {
+            group = chars.slice(i + 1, close);
+            written = `<${group.join('')}>`;
+            i = close;
+        } else if (chars[i] === '^' && i + 2 < chars.length) {
+            group = chars.slice(i + 1, i + 3);
+            written = `^${group.join('')}`;
+            i += 2;
+        }
+
+        if (group.some(char => !MORSE_CODE[char] || char === ' ')) {
+            unknown.push(written);
+            continue;
+        }
+        codes.push(group.map(char => MORSE_CODE[char]).join(''));
+    }
+
+    if (codes[codes.length - 1] === ' ') codes.pop();
+    return { codes, unknown };
+}
+
+// Key-down/key-up events for a text, [{ time, down }] with times in ms from
+// the start, and durationMs, when the next text could start (after the last
+// letter space)
+export function planCWKeying(text, timing) {
+    const events = [];
+    let time = 0;
+
+    parseCWText(text).codes.forEach(code => {
+        if (code === ' ') {
+            // Word space (already have letter space, add the rest)
+            time += timing.wordSpace - timing.letterSpace;
+            return;
+        }
+        Array.from(code).forEach((symbol, index) => {
+            if (index > 0) time += timing.symbolSpace;
+            events.push({ time, down: true });
+            time += symbol === '.' ? timing.dot : timing.dash;
+            events.push({ time, down: false });
+        });
+        time += timing.letterSpace;
+    });
+
+    return { events, durationMs: time };
+}
+
+// Time to send a text at a speed (ms), including the letter space after it.
+// Characters without a Morse code are not counted.
+export function cwTextDurationMs(text, wpm) {
+    return planCWKeying(text, getCWTiming(wpm)).durationMs;
+}
+
+// Text for the radio keyer: two-character prosigns become ^AR, longer ones
+// are sent as separate characters (the radio only joins two), characters
+// without a code are left out
+export function radioKeyerText(text) {
+    return text.toUpperCase()
+        .replace(/<([^<>\s]+)>/g, (match, letters) => (letters.length === 2 ? `^${letters}` : letters))
+        .replace(/[^\s^]/g, char => (MORSE_CODE[char] ? char : ''))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Split text into pieces of at most maxLength characters, between words where
+// possible (the radio's keyer takes 30 characters per CI-V command)
+export function splitCWText(text, maxLength) {
+    const chunks = [];
+    let chunk = '';
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        while (word.length > maxLength) {
+            if (chunk) chunks.push(chunk);
+            chunks.push(word.slice(0, maxLength));
+            word = word.slice(maxLength);
+            chunk = '';
+        }
+        if (chunk && chunk.length + 1 + word.length > maxLength) {
+            chunks.push(chunk);
+            chunk = '';
+        }
+        chunk = chunk ? chunk + ' ' + word : word;
+    });
+    if (chunk) chunks.push(chunk);
+    return chunks;
+}
+
+// F1-F8 keyer macros
+export const DEFAULT_CW_MACROS = [
+    { label: 'CQ', text: 'CQ CQ CQ DE {MYCALL} {MYCALL} K' },
+    { label: 'Answer', text: '{CALL} DE {MYCALL} {MYCALL} K' },
+    { label: 'Report', text: '{CALL} TU UR RST {RST} {RST} BK' },
+    { label: 'TU', text: 'TU 73 DE {MYCALL} SK' },
+    { label: 'AGN?', text: 'AGN?' },
+    { label: 'My Call', text: '{MYCALL}' },
+    { label: 'QRZ?', text: 'QRZ? DE {MYCALL} K' },
+    { label: '73', text: '73 TU E E' }
+];
+
+// Replace {MYCALL}, {CALL}, {RST} (any {NAME} in values) in a macro.
+// Returns { text, missing } with the names that had no value.
+export function expandCWMacro(text, values) {
+    const missing = [];
+    const expanded = text.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = values[name.toUpperCase()];
+        if (!value) {
+            if (!missing.includes(match.toUpperCase())) missing.push(match.toUpperCase());
+            return '';
+        }
+        return value;
+    });
+    return { text: expanded.toUpperCase(), missing };
+}
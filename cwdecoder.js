@@ -0,0 +1,247 @@
+// CW decoder
+// Decodes Morse code from receive audio. A Goertzel filter measures the tone
+// every 5 ms, an adaptive threshold between the noise floor and the signal
+// level turns that into key down/up, and marks and spaces are measured
+// against a dot length that follows the sender's speed. With the tone set to
+// 0 the strongest tone between 300 and 1200 Hz is tracked. No DOM access.
+//
+// Feed it audio with process(samples) in blocks of any size, and call flush()
+// at the end of a recording to get the last character.
+//
+// Events:
+//   text    { text }                - decoded characters, ' ' between words
+//   status  { wpm, toneHz, signal } - speed, tone and whether a signal is heard
+
+import { Emitter } from './radio.js';
+import { MORSE_CODE } from './cw.js';
+
+export const CW_DECODER_MIN_TONE_HZ = 300;
+export const CW_DECODER_MAX_TONE_HZ = 1200;
+export const CW_DECODER_DEFAULT_TONE_HZ = 600;  // IC-7300 CW pitch default
+
+const BLOCK_MS = 5;              // Detector step
+const DETECT_MS = 10;            // Goertzel window (100 Hz wide)
+const SCAN_MS = 40;              // Window of the tone search (25 Hz wide)
+const SCAN_EVERY_BLOCKS = 5;     // Tone search every 25 ms
+const SCAN_STEP_HZ = 25;
+const DEBOUNCE_BLOCKS = 2;       // Key changes shorter than 10 ms are noise
+const MIN_SNR = 4;               // Signal level over the noise floor that counts as a signal
+const MIN_WPM = 5;
+const MAX_WPM = 60;
+const START_WPM = 20;
+const MAX_CODE_LENGTH = 9;       // Longer codes are noise
+
+// Code -> character; prosigns are shown as the sender writes them (cw.js)
+const CHARACTERS = Object.fromEntries(
+    Object.entries(MORSE_CODE).filter(([char]) => char !== ' ').map(([char, code]) => [code, char])
+);
+Object.assign(CHARACTERS, {
+    '.-.-.': '<AR>',    // Also '+'
+    '-.--.': '<KN>',    // Also '('
+    '...-.-': '<SK>',
+    '.-...': '<AS>',
+    '-.-..-..': '<CL>',
+    '...---...': '<SOS>',
+    '........': '<HH>'  // Error
+});
+
+// Character for a code of dots and dashes, '*' if there is none
+export function decodeMorse(code) {
+    return CHARACTERS[code] || '*';
+}
+
+// Power of a tone in samples[start..start+length), normalized to the length
+export function goertzelPower(samples, start, length, toneHz, sampleRate) {
+    const coefficient = 2 * Math.cos(2 * Math.PI * toneHz / sampleRate);
+    let s1 = 0;
+    let s2 = 0;
+    for (let i = start; i < start + length; i++) {
+        const s = samples[i] + coefficient * s1 - s2;
+        s2 = s1;
+        s1 = s;
+    }
+    return (s1 * s1 + s2 * s2 - coefficient * s1 * s2) / (length * length);
+}
+
+export class CWDecoder extends Emitter {
+    constructor({ sampleRate, toneHz = 0 }) {
+        super();
+
+        this.sampleRate = sampleRate;
+        this.blockSize = Math.round(sampleRate * BLOCK_MS / 1000);
+        this.detectSize = Math.round(sampleRate * DETECT_MS / 1000);
+        this.scanSize = Math.round(sampleRate * SCAN_MS / 1000);
+
+        // The last SCAN_MS of audio, newest at the end
+        this.history = new Float32Array(this.scanSize);
+        this.pending = 0;       // Samples of the current block in history
+        this.blocks = 0;
+
+        this.setTone(toneHz);
+        this.reset();
+    }
+
+    // 0 = track the strongest tone
+    setTone(toneHz) {
+        this.autoTone = !toneHz;
+        this.toneHz = toneHz || this.toneHz || CW_DECODER_DEFAULT_TONE_HZ;
+        this.toneScores = new Map();
+    }
+
+    get wpm() {
+        return Math.round(1200 / this.dotMs);
+    }
+
+    // Forget the speed, levels and any half-decoded character
+    reset() {
+        this.dotMs = 1200 / START_WPM;
+        this.signalLevel = 0;
+        this.noiseLevel = null;
+        this.key = false;
+        this.stateMs = 0;       // Time in the current key state
+        this.changeBlocks = 0;  // Blocks the detector has disagreed with the key state
+        this.code = '';
+        this.wordEnded = true;  // No word space before the first character
+        this.heard = false;
+    }
+
+    process(samples) {
+        let offset = 0;
+        while (offset < samples.length) {
+            const count = Math.min(this.blockSize - this.pending, samples.length - offset);
+            this.history.copyWithin(0, count);
+            this.history.set(samples.subarray(offset, offset + count), this.scanSize - count);
+            this.pending += count;
+            offset += count;
+            if (this.pending === this.blockSize) {
+                this.pending = 0;
+                this.processBlock();
+            }
+        }
+    }
+
+    // Send the character (and word space) still waiting for a space to end
+    flush() {
+        this.endCharacter();
+        this.emitStatus();
+    }
+
+    processBlock() {
+        this.blocks++;
+        if (this.autoTone && this.blocks % SCAN_EVERY_BLOCKS === 0) this.scanTone();
+
+        const level = Math.sqrt(goertzelPower(this.history, this.scanSize - this.detectSize, this.detectSize,
+            this.toneHz, this.sampleRate));
+        this.signalLevel = Math.max(level, this.signalLevel * 0.995);  // Peaks, decaying over about a second
+        if (this.noiseLevel === null) this.noiseLevel = level;
+
+        const heard = this.signalLevel > this.noiseLevel * MIN_SNR;
+        const range = this.signalLevel - this.noiseLevel;
+        // Hysteresis: down above 60 %, up below 40 % of the way to the signal level
+        const down = heard && level > this.noiseLevel + range * (this.key ? 0.4 : 0.6);
+
+        // The noise floor is the average level in spaces, away from the edges
+        // of the marks (the window overlaps them for a block)
+        if (!down && !this.key && this.changeBlocks === 0) {
+            this.noiseLevel += (level - this.noiseLevel) * 0.05;
+        }
+
+        if (heard !== this.heard) {
+            this.heard = heard;
+            this.emitStatus();
+        }
+
+        this.stateMs += BLOCK_MS;
+        if (down === this.key) {
+            this.changeBlocks = 0;
+        } else if (++this.changeBlocks >= DEBOUNCE_BLOCKS) {
+            // The new state began DEBOUNCE_BLOCKS ago
+            const changeMs = this.changeBlocks * BLOCK_MS;
+            this.keyChanged(down, this.stateMs - changeMs);
+            this.stateMs = changeMs;
+            this.changeBlocks = 0;
+        }
+
+        if (!this.key) this.checkSpace();
+    }
+
+    keyChanged(down, previousMs) {
+        this.key = down;
+        if (down) {
+            // The space inside a character is a dot long
+            if (this.code && previousMs < this.dotMs * 2) this.adjustSpeed(previousMs, 0.25);
+            return;
+        }
+
+        // A mark ended: dot or dash, and what it says about the speed
+        const dash = previousMs > this.dotMs * 2;
+        this.code += dash ? '-' : '.';
+        // Quickly to shorter marks, as a sender faster than the estimate has
+        // dashes that pass for dots
+        const dotMs = dash ? previousMs / 3 : previousMs;
+        this.adjustSpeed(dotMs, dotMs < this.dotMs ? 0.5 : 0.25);
+
+        if (this.code.length > MAX_CODE_LENGTH) {
+            this.code = '';
+            this.emitText('*');
+        }
+    }
+
+    // Move the dot length part of the way to a measured one
+    adjustSpeed(dotMs, rate) {
+        this.dotMs += (dotMs - this.dotMs) * rate;
+        this.dotMs = Math.min(1200 / MIN_WPM, Math.max(1200 / MAX_WPM, this.dotMs));
+    }
+
+    // Letter space after 2 dots, word space after 5 (halfway between the
+    // 1, 3 and 7 dot spaces)
+    checkSpace() {
+        if (this.code && this.stateMs > this.dotMs * 2) this.endCharacter();
+        if (!this.wordEnded && this.stateMs > this.dotMs * 5) {
+            this.wordEnded = true;
+            this.emitText(' ');
+        }
+    }
+
+    endCharacter() {
+        if (!this.code) return;
+        const text = decodeMorse(this.code);
+        this.code = '';
+        this.wordEnded = false;
+        this.emitText(text);
+        this.emitStatus();
+    }
+
+    // Score each candidate tone over the last SCAN_MS; move to the best one
+    // when it is clearly stronger than the current tone
+    scanTone() {
+        for (let toneHz = CW_DECODER_MIN_TONE_HZ; toneHz <= CW_DECODER_MAX_TONE_HZ; toneHz += SCAN_STEP_HZ) {
+            const power = goertzelPower(this.history, 0, this.scanSize, toneHz, this.sampleRate);
+            this.toneScores.set(toneHz, (this.toneScores.get(toneHz) || 0) * 0.9 + power);
+        }
+
+        let best = this.toneHz;
+        for (const [toneHz, score] of this.toneScores) {
+            if (score > (this.toneScores.get(best) || 0)) best = toneHz;
+        }
+        if (best !== this.toneHz && this.toneScores.get(best) > 2 * (this.toneScores.get(this.toneHz) || 0)) {
+            this.toneHz = best;
+            this.signalLevel = 0;  // The noise floor is much the same at any tone
+            // Marks seen at the old tone were splatter of the new one: start
+            // the character again from the new tone's key state
+            this.key = false;
+            this.stateMs = 0;
+            this.changeBlocks = 0;
+            this.code = '';
+            this.emitStatus();
+        }
+    }
+
+    emitText(text) {
+        this.emit('text', { text });
+    }
+
+    emitStatus() {
+        this.emit('status', { wpm: this.wpm, toneHz: this.toneHz, signal: this.heard });
+    }
+}
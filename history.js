@@ -0,0 +1,79 @@
+// Meter history
+// Rolling record of raw meter readings with frequency/mode change annotations,
+// for the history charts and CSV export. Samples older than maxAgeMs are
+// dropped. Times are ms since the epoch. No DOM access.
+
+import { formatCSV } from './csv.js';
+import { meterValue, METER_UNITS } from './meters.js';
+
+export const HISTORY_METERS = ['s', 'power', 'swr'];
+export const HISTORY_MAX_AGE_MS = 60 * 60 * 1000;
+
+export const HISTORY_COLUMNS = ['Time', 'Frequency (MHz)', 'Mode', 'Meter', 'Raw', 'Value', 'Unit'];
+
+export class MeterHistory {
+    constructor(maxAgeMs = HISTORY_MAX_AGE_MS) {
+        this.maxAgeMs = maxAgeMs;
+        this.clear();
+    }
+
+    clear() {
+        this.samples = [];      // { time, meter, raw }
+        this.annotations = [];  // { time, frequencyHz, mode }
+    }
+
+    // Record a reading; meters not in HISTORY_METERS are ignored
+    add(meter, raw, time = Date.now()) {
+        if (!HISTORY_METERS.includes(meter)) return;
+        this.samples.push({ time, meter, raw });
+        this.trim(time);
+    }
+
+    // Mark a frequency/mode change (mode is a display label, e.g. USB-D).
+    // Repeats of the current frequency and mode are ignored.
+    annotate(frequencyHz, mode, time = Date.now()) {
+        const last = this.annotations[this.annotations.length - 1];
+        if (last && last.frequencyHz === frequencyHz && last.mode === mode) return;
+        this.annotations.push({ time, frequencyHz, mode });
+        this.trim(time);
+    }
+
+    trim(now) {
+        const oldest = now - this.maxAgeMs;
+        while (this.samples.length && this.samples[0].time < oldest) this.samples.shift();
+
+        // Keep the last annotation before the window: it labels the first samples
+        while (this.annotations.length > 1 && this.annotations[1].time < oldest) this.annotations.shift();
+    }
+
+    // Samples of one meter since a time
+    series(meter, since = 0) {
+        return this.samples.filter(sample => sample.meter === meter && sample.time >= since);
+    }
+
+    // Annotation in effect at a time, or null before the first one
+    annotationAt(time) {
+        let current = null;
+        for (const annotation of this.annotations) {
+            if (annotation.time > time) break;
+            current = annotation;
+        }
+        return current;
+    }
+
+    // All samples as CSV, one row per reading
+    toCSV() {
+        return formatCSV([HISTORY_COLUMNS, ...this.samples.map(sample => {
+            const annotation = this.annotationAt(sample.time);
+            return [
+                new Date(sample.time).toISOString(),
+                annotation ? (annotation.frequencyHz / 1000000).toFixed(6) : '',
+                annotation ? annotation.mode : '',
+                sample.meter,
+                sample.raw,
+                meterValue(sample.meter, sample.raw).toFixed(2),
+                METER_UNITS[sample.meter]
+            ];
+        })]);
+    }
+}
@@ -1,11 +1,44 @@
 // IC-7300 Web Serial Controller
 // Implements CAT control for Icom IC-7300 transceiver
+// User interface for index.html; talks to the radio through the Radio class.
+
+import {
+    MODES, FILTERS, SUB_METER_S, DATA_MODE_CODES, RIT_MAX_HZ, CW_TEXT_MAX_LENGTH, KEYER_MIN_WPM, KEYER_MAX_WPM,
+    MOD_INPUTS, MOD_INPUT_USB, modeName, modeLabel
+} from './civ.js';
+import { Radio, DEFAULT_POLL_INTERVALS } from './radio.js';
+import { WebSerialTransport } from './transport.js';
+import { SimulatedIC7300 } from './simulator.js';
+import {
+    DEFAULT_CW_MACROS, DEFAULT_CW_TIMING, getCWTiming, parseCWText, planCWKeying, cwTextDurationMs, splitCWText,
+    radioKeyerText, expandCWMacro
+} from './cw.js';
+import { KeyingClock } from './keying.js';
+import { CWDecoder, CW_DECODER_MIN_TONE_HZ, CW_DECODER_MAX_TONE_HZ } from './cwdecoder.js';
+import { parseWAV } from './wav.js';
+import { RemoteAudio, DEFAULT_REMOTE_AUDIO, AUDIO_METER_MIN_DB } from './audio.js';
+import { sMeterReading, powerReading, txMeterReading, updatePeak, meterValue, TX_METER_SCALES } from './meters.js';
+import { MEMORY_CHANNELS, MEMORY_NAME_LENGTH, DUPLEX, TONE_MODES, emptyMemory, memoriesEqual } from './memory.js';
+import { importChannels, exportChannels } from './csv.js';
+import { BANDS, bandForFrequency, bandByName } from './bands.js';
+import { CONTROLS, controlById, formatControlValue } from './controls.js';
+import { TxGuard, DEFAULT_TX_GUARD } from './safety.js';
+import { MeterHistory } from './history.js';
+import { SCOPE_MODES, SCOPE_SPANS, SCOPE_MAX_AMPLITUDE, SCOPE_REF_MIN_DB, SCOPE_REF_MAX_DB } from './scope.js';
+import { BridgeHost, DEFAULT_BRIDGE_PORT } from './bridge.js';
+import { RigctlHandler } from './rigctl.js';
+import {
+    LOGGER_TYPES, QSO_UPLOAD_TYPES, createLoggerTarget, loggerTargetError, loggerModeName, buildLoggerRequest,
+    qsoUploadTargets, qsoUploadKey, buildQsoUploadRequest
+} from './loggers.js';
+import {
+    ADIF_MODE_NAMES, adifMode, defaultReport, qsoToADIF, formatADIF, parseADIF, qsoFromADIF,
+    normalizeDate, normalizeTime, sameQSO
+} from './adif.js';
+import { QsoLog, compareQsos } from './qsolog.js';
 
 // Toggle API key visibility
-function toggleApiKeyVisibility() {
-    const input = document.getElementById('wavelogApiKey');
-    const icon = document.getElementById('eyeIcon');
-
+function toggleKeyVisibility(input, icon) {
     if (input.type === 'password') {
         input.type = 'text';
         icon.textContent = '👁‍🗨';
@@ -15,60 +48,39 @@ function toggleApiKeyVisibility() {
     }
 }
 
-let port = null;
-let reader = null;
-let writer = null;
-let readableStreamClosed = null;
-let writableStreamClosed = null;
-let isConnected = false;
-let pttActive = false;
-let statusPollInterval = null;
-let lastPowerReading = 0;
-let lastPowerReadingTime = 0;
+// Radio connection (protocol, transactions and polling live in radio.js)
+const radio = new Radio();
+
+// Transmit protection (TX timeout, SWR limit; see safety.js)
+const txGuard = new TxGuard(radio);
+let RELEASE_ON_HIDDEN = true;  // Release PTT when the page is hidden (not while hosting the bridge)
 
 // Settings with defaults
+let TRANSPORT = 'serial';  // 'serial' (Web Serial) or 'simulator'
 let IC7300_ADDRESS = 0x94;
-const CONTROLLER_ADDRESS = 0xE0;
 let BAUD_RATE = 19200;
 
-// Wavelog settings
-let WAVELOG_URL = '';
-let WAVELOG_API_KEY = '';
-let WAVELOG_ENABLED = false;
+// Transaction settings: how long to wait for a reply and how often to retry
+let CIV_TIMEOUT_MS = 500;
+let CIV_RETRIES = 2;
+
+// Logger targets (Wavelog, Cloudlog, webhook, N1MM; see loggers.js)
+let loggerTargets = [];
+
+let loggerDebounceTimer = null; // Timer for debouncing logger updates
+const LOGGER_DEBOUNCE_MS = 500; // Wait 500ms after last change before sending
 
-// Track last known values to detect changes
-let lastFrequencyHz = null;
-let lastModeCode = null;
-let wavelogDebounceTimer = null; // Timer for debouncing Wavelog updates
-const WAVELOG_DEBOUNCE_MS = 500; // Wait 500ms after last change before sending
+// Remote bridge settings (relay.mjs serves ws://<host>:<port>/bridge)
+const DEFAULT_BRIDGE_URL = `ws://localhost:${DEFAULT_BRIDGE_PORT}/bridge`;
+let BRIDGE_URL = DEFAULT_BRIDGE_URL;
+let BRIDGE_TOKEN = '';
 
 // Settings storage key
 const SETTINGS_KEY = 'ic7300_settings';
 
-// Command codes
-const CMD_READ_FREQ = 0x03;
-const CMD_READ_MODE = 0x04;
-const CMD_WRITE_FREQ = 0x05;
-const CMD_WRITE_MODE = 0x06;
-const CMD_PTT = 0x1C;
-const CMD_READ_TRANSCEIVE = 0x00;
-const CMD_READ_SMETER = 0x15;  // Read S-meter/Power meter
-const CMD_READ_OPERATING_STATUS = 0x1C;  // Read operating status (TX/RX)
-const CMD_SEND_CW = 0x17;  // Send CW message (NOT SUPPORTED ON IC-7300!)
-const CMD_SET_KEYER_SPEED = 0x14;  // Set/read keyer speed
-const CMD_MEMORY_KEYER = 0x1A;  // Extended command for memory keyer
-
-// Mode codes
-const MODES = {
-    '00': 'LSB',
-    '01': 'USB',
-    '02': 'AM',
-    '03': 'CW',
-    '04': 'RTTY',
-    '05': 'FM',
-    '07': 'CW-R',
-    '08': 'RTTY-R'
-};
+// Frequency range accepted from the user (Hz)
+const FREQ_MIN_HZ = 1000000;
+const FREQ_MAX_HZ = 60000000;
 
 // Logging function
 function log(message, type = 'info') {
@@ -88,70 +100,6 @@ function log(message, type = 'info') {
     }
 }
 
-// Convert frequency in Hz to IC-7300 BCD format
-function frequencyToBCD(freqHz) {
-    // IC-7300 expects 10 BCD digits (5 bytes) in little-endian
-    // Format: Hz (1s, 10s), kHz (1s, 10s, 100s), MHz (1s, 10s, 100s), GHz (1s, 10s)
-    const freqStr = freqHz.toString().padStart(10, '0');
-    const bcd = [];
-
-    // Pack pairs of digits into BCD bytes, little-endian (least significant first)
-    for (let i = 0; i < 5; i++) {
-        const lowDigit = parseInt(freqStr[9 - (i * 2)]);      // rightmost digit
-        const highDigit = parseInt(freqStr[9 - (i * 2) - 1]);  // next digit left
-        bcd.push((highDigit << 4) | lowDigit);
-    }
-
-    return bcd;
-}
-
-// Convert BCD format to frequency in Hz
-function bcdToFrequency(bcd) {
-    let freqStr = '';
-
-    for (let i = bcd.length - 1; i >= 0; i--) {
-        const high = (bcd[i] >> 4) & 0x0F;
-        const low = bcd[i] & 0x0F;
-        freqStr += high.toString() + low.toString();
-    }
-
-    return parseInt(freqStr);
-}
-
-// Calculate checksum (not used by IC-7300, but some may enable it)
-function calculateChecksum(data) {
-    // Not typically needed for IC-7300
-    return 0;
-}
-
-// Build CI-V command
-function buildCommand(cmd, data = []) {
-    const packet = [
-        0xFE, 0xFE,           // Preamble
-        IC7300_ADDRESS,        // To IC-7300
-        CONTROLLER_ADDRESS,    // From controller
-        cmd,                   // Command
-        ...data,
-        0xFD                   // End of message
-    ];
-    return new Uint8Array(packet);
-}
-
-// Parse CI-V response
-function parseResponse(data) {
-    // Check for valid CI-V packet
-    if (data.length < 6) return null;
-    if (data[0] !== 0xFE || data[1] !== 0xFE) return null;
-    if (data[data.length - 1] !== 0xFD) return null;
-
-    const from = data[2];
-    const to = data[3];
-    const cmd = data[4];
-    const payload = Array.from(data.slice(5, -1));
-
-    return { from, to, cmd, payload };
-}
-
 // Connect to serial port
 async function connect() {
     try {
@@ -160,41 +108,39 @@ async function connect() {
             return;
         }
 
-        // Request a port
-        port = await navigator.serial.requestPort();
+        let transport;
+        if (TRANSPORT === 'simulator') {
+            transport = new SimulatedIC7300({ address: IC7300_ADDRESS, noise: true });
+            window.simulator = transport;  // Lets the console turn the simulated VFO knob
+        } else {
+            // Request a port
+            transport = await WebSerialTransport.request({ baudRate: BAUD_RATE });
+        }
 
         // Open the port with configured settings
-        await port.open({
-            baudRate: BAUD_RATE,
-            dataBits: 8,
-            stopBits: 1,
-            parity: 'none',
-            flowControl: 'none'
-        });
-
-        log('Connected: Baud=' + BAUD_RATE + ', CI-V=0x' + IC7300_ADDRESS.toString(16).toUpperCase(), 'success');
-
-        // Set up writer for binary data
-        writer = port.writable.getWriter();
-
-        // Set up reader for binary data
-        reader = port.readable.getReader();
-
-        // Update UI
-        isConnected = true;
-        updateConnectionStatus(true);
+        await radio.connect(transport);
 
-        // Start reading responses
-        readLoop();
+        if (TRANSPORT === 'simulator') {
+            log('Connected to simulated IC-7300, CI-V=0x' + IC7300_ADDRESS.toString(16).toUpperCase(), 'success');
+        } else {
+            log('Connected: Baud=' + BAUD_RATE + ', CI-V=0x' + IC7300_ADDRESS.toString(16).toUpperCase(), 'success');
+        }
 
         // Start status polling
-        startStatusPolling();
+        radio.startPolling();
 
         // Initial status read
-        setTimeout(() => {
-            readFrequency();
-            readMode();
-            readSMeter();
+        setTimeout(async () => {
+            try {
+                await radio.getFrequency();
+                await radio.getMode();
+                await radio.readMeter(SUB_METER_S);
+                await radio.readControls();
+                await readCWSpeed();
+                await useUSBModInput();
+            } catch (error) {
+                log('Initial read failed: ' + error.message, 'error');
+            }
         }, 500);
 
     } catch (error) {
@@ -206,25 +152,12 @@ async function connect() {
 // Disconnect from serial port
 async function disconnect() {
     try {
-        stopStatusPolling();
-
-        if (reader) {
-            await reader.cancel();
-            reader = null;
-        }
-
-        if (writer) {
-            await writer.close();
-            writer = null;
-        }
-
-        if (port) {
-            await port.close();
-            port = null;
+        await txGuard.trip('disconnecting');
+        if (radio.scope.enabled) {
+            // Leave the CI-V bus quiet for the next program
+            await radio.setScope(false).catch(error => console.error('Scope stop failed:', error));
         }
-
-        isConnected = false;
-        updateConnectionStatus(false);
+        await radio.disconnect();
         log('Disconnected', 'info');
     } catch (error) {
         log('Disconnect error: ' + error.message, 'error');
@@ -232,398 +165,621 @@ async function disconnect() {
     }
 }
 
-// Read loop for incoming data
-async function readLoop() {
-    const buffer = [];
+// Radio events -> UI
+radio.on('log', ({ message, type }) => log(message, type));
 
-    try {
-        while (true) {
-            const { value, done } = await reader.read();
-            if (done) break;
-
-            // Add received bytes to buffer
-            for (let byte of value) {
-                buffer.push(byte);
-
-                // Check if we have a complete packet (ends with 0xFD)
-                if (byte === 0xFD && buffer.length >= 6) {
-                    // Find the start of the packet
-                    let startIdx = -1;
-                    for (let i = buffer.length - 3; i >= 0; i--) {
-                        if (buffer[i] === 0xFE && buffer[i + 1] === 0xFE) {
-                            startIdx = i;
-                            break;
-                        }
-                    }
-
-                    if (startIdx >= 0) {
-                        const packet = buffer.splice(startIdx);
-                        handleResponse(new Uint8Array(packet));
-                    }
-                }
-            }
+radio.on('connected', () => updateConnectionStatus(true));
+radio.on('disconnected', () => updateConnectionStatus(false));
 
-            // Prevent buffer from growing too large
-            if (buffer.length > 100) {
-                buffer.splice(0, buffer.length - 50);
-            }
+// Stop CW keying too when the TX guard releases PTT
+txGuard.on('trip', () => {
+    if (cwKeying) {
+        cwKeying = false;
+        cwWakeup?.();
+        if (cwKeyerMode() === 'civ') {
+            radio.stopCWText().catch(error => log('CW stop failed: ' + error.message, 'error'));
+        } else {
+            queueKey(false);
         }
-    } catch (error) {
-        log('Read error: ' + error.message, 'error');
-        console.error('Read error:', error);
     }
-}
+});
 
-// Handle received response
-function handleResponse(data) {
-    // Log received data for debugging
-    const hex = Array.from(data).map(b => b.toString(16).padStart(2, '0')).join(' ');
-    log('RX: ' + hex, 'info');
+// Never leave the radio transmitting when the page goes away. A page hosting
+// the remote bridge is often left in the background for its clients, so it
+// keeps transmitting when hidden; the TX timeout and client tracking still apply.
+window.addEventListener('beforeunload', () => txGuard.trip('page closing'));
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden && RELEASE_ON_HIDDEN && !bridgeHost.open) txGuard.trip('page hidden');
+});
 
-    const response = parseResponse(data);
-    if (!response) {
-        log('Invalid response packet', 'error');
-        return;
-    }
+radio.on('frequency', ({ frequencyHz, transceive }) => {
+    const freqMHz = (frequencyHz / 1000000).toFixed(6);
+    document.getElementById('freqDisplay').textContent = freqMHz + ' MHz';
+    log('Frequency: ' + freqMHz + ' MHz' + (transceive ? ' (transceive)' : ''), 'success');
+    rememberBand();
+    updateVFODisplay();
+    annotateHistory();
+});
 
-    // Check for ACK/NAK
-    if (response.cmd === 0xFB) {
-        log('Command acknowledged', 'success');
-        return;
-    }
+radio.on('vfo', updateVFODisplay);
 
-    if (response.cmd === 0xFA) {
-        log('Command rejected (NAK)', 'error');
-        return;
-    }
+radio.on('control', ({ id, value }) => updateControlInput(id, value));
 
-    // Handle frequency response
-    if (response.cmd === CMD_READ_FREQ) {
-        if (response.payload.length >= 5) {
-            const freqHz = bcdToFrequency(response.payload.slice(0, 5));
-            const freqMHz = (freqHz / 1000000).toFixed(6);
-            document.getElementById('freqDisplay').textContent = freqMHz + ' MHz';
-            log('Frequency: ' + freqMHz + ' MHz', 'success');
+radio.on('mode', ({ modeCode, filter, dataMode, transceive }) => {
+    const name = modeLabel(modeCode, dataMode) + (filter ? ' FIL' + filter : '');
+    document.getElementById('modeDisplay').textContent = name;
+    log('Mode: ' + name + (transceive ? ' (transceive)' : ''), 'success');
+    rememberBand();
+    annotateHistory();
+});
 
-            // Check if frequency changed
-            if (lastFrequencyHz !== null && lastFrequencyHz !== freqHz) {
-                onRadioStateChanged();
-            }
-            lastFrequencyHz = freqHz;
-        }
-    }
+radio.on('change', onRadioStateChanged);
+['frequency', 'mode', 'vfo'].forEach(event => radio.on(event, prefillQsoForm));
 
-    // Handle mode response
-    if (response.cmd === CMD_READ_MODE) {
-        if (response.payload.length >= 1) {
-            const modeCode = response.payload[0];
-            const modeCodeHex = modeCode.toString(16).padStart(2, '0').toUpperCase();
-            const modeName = MODES[modeCodeHex] || 'Unknown';
-            document.getElementById('modeDisplay').textContent = modeName;
-            log('Mode: ' + modeName, 'success');
+radio.on('meter', ({ meter, value }) => {
+    meterHistory.add(meter, value);
+    scheduleHistoryDraw();
 
-            // Check if mode changed
-            if (lastModeCode !== null && lastModeCode !== modeCode) {
-                onRadioStateChanged();
-            }
-            lastModeCode = modeCode;
-        }
+    // S-meter is shown only in RX, power and the other TX meters only in TX
+    if (meter === 's' && !radio.state.ptt) {
+        updateBargraph(value, 'rx');
+    } else if (meter === 'power' && radio.state.ptt) {
+        updateBargraph(value, 'tx');
+    } else if (TX_METER_SCALES[meter] && radio.state.ptt) {
+        updateTxMeter(meter, value);
+    }
+});
+
+radio.on('ptt', ({ ptt, detected }) => {
+    updatePTTButton();
+    resetTxMeters(ptt);
+    remoteAudio.setTransmitting(ptt);
+    if (detected) {
+        log(ptt ? 'RX → TX (detected)' : 'TX → RX', ptt ? 'success' : 'info');
     }
+});
+
+// Update bargraph display
+function updateBargraph(rawValue, mode) {
+    const meterValue = document.getElementById('meterValue');
+    const meterLabel = document.getElementById('meterLabel');
+    const segments = document.querySelectorAll('.bar-segment');
 
-    // Handle S-meter/Power meter response
-    if (response.cmd === CMD_READ_SMETER) {
-        if (response.payload.length >= 3) {
-            const subCmd = response.payload[0];
-            const valueHigh = response.payload[1];
-            const valueLow = response.payload[2];
-            const value = (valueHigh << 8) | valueLow;
+    let reading = { level: 0, text: '---' };  // level: 0-15 bargraph segments
 
-            // Sub-command 0x02 = S-meter (RX), 0x11 = Power meter (TX)
-            if (subCmd === 0x02) {
-                // S-meter value - display only when in RX
-                if (!pttActive) {
-                    updateBargraph(value, 'rx');
-                }
-            } else if (subCmd === 0x11) {
-                // Power meter value - display only when in TX
-                if (pttActive) {
-                    updateBargraph(value, 'tx');
-                }
-            }
-        }
+    if (mode === 'rx') {
+        meterLabel.textContent = 'S-METER (RX)';
+        reading = sMeterReading(rawValue);
+    } else if (mode === 'tx') {
+        meterLabel.textContent = 'POWER (TX)';
+        reading = powerReading(rawValue);
     }
 
-    // Handle operating status response (TX/RX state)
-    if (response.cmd === CMD_READ_OPERATING_STATUS) {
-        if (response.payload.length >= 2) {
-            const subCmd = response.payload[0];
-            if (subCmd === 0x00) {
-                // PTT status: 0x00 = RX, 0x01 = TX
-                const txState = response.payload[1];
-                const newPttState = (txState === 0x01);
+    // Peak hold (restarts when switching between RX and TX)
+    if (bargraphPeak && bargraphPeak.mode !== mode) bargraphPeak = null;
+    bargraphPeak = { ...updatePeak(bargraphPeak, reading.level, Date.now()), mode };
 
-                if (pttActive !== newPttState) {
-                    pttActive = newPttState;
-                    updatePTTButton();
-                    log(newPttState ? 'RX → TX (detected)' : 'TX → RX', newPttState ? 'success' : 'info');
-                }
-            }
+    // Update text display
+    meterValue.textContent = reading.text;
+
+    // Update bargraph segments
+    segments.forEach((segment, index) => {
+        if (index < reading.level) {
+            segment.classList.add('active');
+        } else {
+            segment.classList.remove('active');
         }
-    }
+        segment.classList.toggle('peak', index === bargraphPeak.value - 1 && index >= reading.level);
+    });
+}
+
+// Spectrum scope and waterfall
+// Sweeps arrive as 'sweep' events (see scope.js). The spectrum is redrawn for
+// each sweep; the waterfall scrolls down one row per sweep with one canvas
+// pixel per scope pixel, and the browser stretches it to the display width.
+let lastSweep = null;
+const WATERFALL_COLORS = buildWaterfallPalette();
+
+radio.on('sweep', sweep => {
+    lastSweep = sweep;
+    drawSpectrum(sweep);
+    drawWaterfallRow(sweep);
+    updateScopeScale(sweep);
+});
 
-    // Handle CW send command response
-    if (response.cmd === CMD_SEND_CW) {
-        console.log('CW command response received:', response);
+radio.on('scope', updateScopeControls);
+
+// RGB for each amplitude: black, blue, cyan, yellow, red
+function buildWaterfallPalette() {
+    const stops = [[0, [0, 0, 0]], [40, [0, 0, 160]], [80, [0, 200, 255]], [120, [255, 255, 0]], [160, [255, 0, 0]]];
+    const colors = [];
+    for (let value = 0; value <= SCOPE_MAX_AMPLITUDE; value++) {
+        let i = 1;
+        while (i < stops.length - 1 && value > stops[i][0]) i++;
+        const [value0, color0] = stops[i - 1];
+        const [value1, color1] = stops[i];
+        const t = (value - value0) / (value1 - value0);
+        colors.push(color0.map((c, k) => Math.round(c + (color1[k] - c) * t)));
     }
+    return colors;
 }
 
-// Send command to radio
-async function sendCommand(cmd, data = []) {
-    if (!writer || !isConnected) {
-        log('Not connected', 'error');
-        return false;
+function drawSpectrum(sweep) {
+    const canvas = document.getElementById('scopeSpectrum');
+    const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+    if (!ctx) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    // Ten divisions, like the radio's display
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#333';
+    for (let i = 1; i < 10; i++) {
+        ctx.beginPath();
+        ctx.moveTo(width * i / 10, 0);
+        ctx.lineTo(width * i / 10, height);
+        ctx.stroke();
     }
 
-    try {
-        const command = buildCommand(cmd, data);
-
-        // Write binary data directly
-        await writer.write(command);
+    const last = sweep.data.length - 1;
+    ctx.beginPath();
+    ctx.moveTo(0, height);
+    sweep.data.forEach((value, i) => {
+        ctx.lineTo(i / last * width, height - value / SCOPE_MAX_AMPLITUDE * height);
+    });
+    ctx.lineTo(width, height);
+    ctx.fillStyle = 'rgba(76, 175, 80, 0.3)';
+    ctx.fill();
+    ctx.strokeStyle = '#4CAF50';
+    ctx.stroke();
+
+    // Receive frequency, and the transmit frequency when it differs (split/XIT)
+    const x = freqHz => (freqHz - sweep.lowHz) / (sweep.highHz - sweep.lowHz) * width;
+    const markers = [[radio.state.frequencyHz, '#ff9800']];
+    const txHz = radio.transmitFrequencyHz();
+    if (txHz !== radio.state.frequencyHz) markers.push([txHz, '#f44336']);
+    markers.forEach(([freqHz, color]) => {
+        if (freqHz === null || freqHz < sweep.lowHz || freqHz > sweep.highHz) return;
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(x(freqHz), 0);
+        ctx.lineTo(x(freqHz), height);
+        ctx.stroke();
+    });
+}
 
-        const hex = Array.from(command).map(b => b.toString(16).padStart(2, '0')).join(' ');
-        log('TX: ' + hex, 'tx');
+function drawWaterfallRow(sweep) {
+    const canvas = document.getElementById('scopeWaterfall');
+    const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+    if (!ctx) return;
 
-        return true;
-    } catch (error) {
-        log('Send error: ' + error.message, 'error');
-        console.error('Send error:', error);
-        return false;
+    if (canvas.width !== sweep.data.length) {
+        canvas.width = sweep.data.length;  // Also clears it
     }
-}
 
-// Read frequency from radio
-async function readFrequency() {
-    await sendCommand(CMD_READ_FREQ);
+    // Scroll down one row and add the new sweep at the top
+    ctx.drawImage(canvas, 0, 1);
+    const row = ctx.createImageData(sweep.data.length, 1);
+    sweep.data.forEach((value, i) => {
+        row.data.set([...WATERFALL_COLORS[Math.min(value, SCOPE_MAX_AMPLITUDE)], 255], i * 4);
+    });
+    ctx.putImageData(row, 0, 0);
 }
 
-// Read mode from radio
-async function readMode() {
-    await sendCommand(CMD_READ_MODE);
+function updateScopeScale(sweep) {
+    document.getElementById('scopeLow').textContent = (sweep.lowHz / 1000000).toFixed(3);
+    document.getElementById('scopeHigh').textContent = (sweep.highHz / 1000000).toFixed(3);
+    const span = sweep.mode === 0x00 || sweep.mode === 0x02 ? ` ±${(sweep.highHz - sweep.lowHz) / 2000} kHz` : '';
+    document.getElementById('scopeInfo').textContent =
+        (SCOPE_MODES[sweep.mode] || '') + span + (sweep.outOfRange ? ' (OUT OF RANGE)' : '');
 }
 
-// Read S-meter (RX signal strength)
-async function readSMeter() {
-    await sendCommand(CMD_READ_SMETER, [0x02]);  // Sub-command 0x02 for S-meter
+function clearScope() {
+    lastSweep = null;
+    document.getElementById('scopeLow').textContent = '---';
+    document.getElementById('scopeHigh').textContent = '---';
+    document.getElementById('scopeInfo').textContent = '';
+    ['scopeSpectrum', 'scopeWaterfall'].forEach(id => {
+        const canvas = document.getElementById(id);
+        const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+        if (ctx) ctx.clearRect(0, 0, canvas.width, canvas.height);
+    });
 }
 
-// Read Power meter (TX power)
-async function readPowerMeter() {
-    await sendCommand(CMD_READ_SMETER, [0x11]);  // Sub-command 0x11 for Power meter
+function renderScopeSpans() {
+    document.getElementById('scopeSpan').innerHTML = SCOPE_SPANS.map(halfSpanHz =>
+        `<option value="${halfSpanHz}">±${halfSpanHz / 1000} kHz</option>`).join('');
 }
 
-// Read operating status (TX/RX state)
-async function readOperatingStatus() {
-    await sendCommand(CMD_READ_OPERATING_STATUS, [0x00]);  // Sub-command 0x00 for PTT/TX status
+// Show the radio's scope settings; the span only applies in center mode
+function updateScopeControls() {
+    const { enabled, mode, halfSpanHz, refLevel } = radio.scope;
+    const scopeBtn = document.getElementById('scopeBtn');
+    scopeBtn.textContent = enabled ? 'Stop Scope' : 'Start Scope';
+    scopeBtn.classList.toggle('secondary', enabled);
+
+    if (mode === 0x00 || mode === 0x01) document.getElementById('scopeMode').value = mode;
+    if (halfSpanHz !== null) document.getElementById('scopeSpan').value = halfSpanHz;
+    if (refLevel !== null) document.getElementById('scopeRef').value = refLevel;
+
+    const connected = radio.connected;
+    scopeBtn.disabled = !connected;
+    document.getElementById('scopeMode').disabled = !connected;
+    document.getElementById('scopeSpan').disabled = !connected || mode === 0x01;
+    document.getElementById('scopeRef').disabled = !connected;
 }
 
-// Set keyer speed (WPM)
-async function setKeyerSpeed(wpm) {
-    if (!isConnected) {
-        log('Not connected to radio', 'error');
-        return;
+async function toggleScope() {
+    const on = !radio.scope.enabled;
+    try {
+        await radio.setScope(on);
+        if (on) await radio.getScopeSettings();
+        log(on ? 'Scope started' : 'Scope stopped', 'info');
+    } catch (error) {
+        log('Scope command failed: ' + error.message, 'error');
     }
-
-    // Clamp WPM to valid range (6-48 WPM for IC-7300)
-    wpm = Math.max(6, Math.min(48, wpm));
-
-    // Convert WPM to BCD format (2 digits)
-    // For IC-7300: speed values are 6-48, stored as BCD
-    const tens = Math.floor(wpm / 10);
-    const ones = wpm % 10;
-    const bcdHigh = tens & 0x0F;
-    const bcdLow = ones & 0x0F;
-
-    // Pack into two bytes: 0x00 [BCD value]
-    // BCD format: high nibble = tens, low nibble = ones
-    const bcd1 = 0x00;  // High byte (always 0x00 for speeds 6-48)
-    const bcd2 = (bcdHigh << 4) | bcdLow;  // Low byte
-
-    console.log(`Setting keyer speed to ${wpm} WPM (BCD: 0x${bcd1.toString(16).padStart(2, '0')} 0x${bcd2.toString(16).padStart(2, '0')})`);
-    log(`Setting keyer speed to ${wpm} WPM`);
-
-    // Command: 0x14 (set), 0x0C (keyer speed), [BCD high], [BCD low]
-    await sendCommand(CMD_SET_KEYER_SPEED, [0x0C, bcd1, bcd2]);
 }
 
-// Send CW message
-async function sendCWMessage(message) {
-    if (!isConnected) {
-        log('Not connected to radio', 'error');
-        return;
+async function setScopeMode() {
+    const mode = parseInt(document.getElementById('scopeMode').value);
+    try {
+        await radio.setScopeMode(mode);
+        log('Scope mode: ' + SCOPE_MODES[mode], 'success');
+    } catch (error) {
+        log('Set scope mode failed: ' + error.message, 'error');
+        updateScopeControls();
     }
+}
 
-    // Convert message to uppercase (IC-7300 CW keyer uses uppercase)
-    message = message.toUpperCase();
-
-    log(`Sending CW: "${message}"`);
-    console.log('=== Starting CW transmission ===');
-
-    // Disable send button during transmission
-    const sendBtn = document.getElementById('sendCWBtn');
-    if (sendBtn) {
-        sendBtn.disabled = true;
-        sendBtn.textContent = 'Sending...';
+async function setScopeSpan() {
+    const halfSpanHz = parseInt(document.getElementById('scopeSpan').value);
+    try {
+        await radio.setScopeSpan(halfSpanHz);
+        log(`Scope span: ±${halfSpanHz / 1000} kHz`, 'success');
+    } catch (error) {
+        log('Set scope span failed: ' + error.message, 'error');
+        updateScopeControls();
     }
+}
 
+async function setScopeRefLevel() {
+    const db = parseFloat(document.getElementById('scopeRef').value);
+    if (isNaN(db) || db < SCOPE_REF_MIN_DB || db > SCOPE_REF_MAX_DB) {
+        log(`Invalid reference level (${SCOPE_REF_MIN_DB} to +${SCOPE_REF_MAX_DB} dB)`, 'error');
+        updateScopeControls();
+        return;
+    }
     try {
-        // Send each character
-        for (let i = 0; i < message.length; i++) {
-            const char = message[i];
-            const charCode = char.charCodeAt(0);
-
-            // Build the command manually to inspect it
-            const packet = [
-                0xFE, 0xFE,           // Preamble
-                IC7300_ADDRESS,        // To IC-7300
-                CONTROLLER_ADDRESS,    // From controller
-                CMD_SEND_CW,           // 0x17
-                charCode,              // Character to send
-                0xFD                   // End of message
-            ];
-
-            const hex = packet.map(b => '0x' + b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
-            console.log(`[${i+1}/${message.length}] Char '${char}' (${charCode}): ${hex}`);
-
-            // Send the character
-            const success = await sendCommand(CMD_SEND_CW, [charCode]);
-
-            if (!success) {
-                log('Failed to send character: ' + char, 'error');
-                break;
-            }
+        const refLevel = await radio.setScopeRefLevel(db);
+        log(`Scope reference level: ${refLevel} dB`, 'success');
+    } catch (error) {
+        log('Set reference level failed: ' + error.message, 'error');
+        updateScopeControls();
+    }
+}
 
-            // Wait between characters to allow the radio to key
-            await new Promise(resolve => setTimeout(resolve, 150));
-        }
+// Click on the spectrum or waterfall: tune to the frequency under the pointer
+async function tuneFromScope(event) {
+    if (!lastSweep || !radio.connected) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    if (rect.width === 0) return;
 
-        console.log('=== CW transmission complete ===');
-        log('CW message transmission complete');
+    const fraction = (event.clientX - rect.left) / rect.width;
+    const freqHz = Math.round((lastSweep.lowHz + fraction * (lastSweep.highHz - lastSweep.lowHz)) / 10) * 10;
+    try {
+        await radio.setFrequency(freqHz);
+        log(`Tuned from scope: ${(freqHz / 1000000).toFixed(6)} MHz`, 'success');
     } catch (error) {
-        log('Error sending CW: ' + error.message, 'error');
-        console.error('CW send error:', error);
+        log('Set frequency failed: ' + error.message, 'error');
     }
+}
 
-    // Re-enable button
-    if (sendBtn) {
-        sendBtn.disabled = false;
-        sendBtn.textContent = 'Send CW';
+// Signal history charts
+// Meter readings are kept in meterHistory (see history.js) and drawn as one
+// lane per meter on a canvas, redrawn at most twice a second.
+const meterHistory = new MeterHistory();
+let historyWindowMs = 5 * 60 * 1000;
+let historyDrawTimer = null;
+
+const HISTORY_LANES = [
+    {
+        meter: 's', label: 'S-METER', color: '#4CAF50', min: -54, max: 60,
+        grid: [[-48, 'S1'], [-36, 'S3'], [-24, 'S5'], [-12, 'S7'], [0, 'S9'], [20, '+20'], [40, '+40'], [60, '+60']]
+    },
+    {
+        meter: 'power', label: 'POWER', color: '#ff9800', min: 0, max: 100,
+        grid: [[0, '0W'], [25, '25W'], [50, '50W'], [75, '75W'], [100, '100W']]
+    },
+    {
+        meter: 'swr', label: 'SWR', color: '#f44336', min: 1, max: 3,
+        grid: [[1, '1.0'], [1.5, '1.5'], [2, '2.0'], [3, '3.0']]
     }
+];
+
+// Add a frequency/mode annotation when either has changed
+function annotateHistory() {
+    const { frequencyHz, modeCode, dataMode } = radio.state;
+    if (frequencyHz === null || modeCode === null) return;
+    meterHistory.annotate(frequencyHz, modeLabel(modeCode, dataMode));
+    scheduleHistoryDraw();
 }
 
+function scheduleHistoryDraw() {
+    if (historyDrawTimer) return;
+    historyDrawTimer = setTimeout(drawHistory, 500);
+}
 
-// Update bargraph display
-function updateBargraph(rawValue, mode) {
-    const meterValue = document.getElementById('meterValue');
-    const meterLabel = document.getElementById('meterLabel');
-    const segments = document.querySelectorAll('.bar-segment');
+function drawHistory() {
+    historyDrawTimer = null;
+    const canvas = document.getElementById('historyChart');
+    const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+    if (!ctx) return;
+
+    // Match the canvas resolution to its displayed size
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = "11px 'Courier New', monospace";
+
+    const left = 45, right = 10, top = 16, bottom = 16;  // Room for grid, annotation and time labels
+    const laneHeight = (height - top - bottom) / HISTORY_LANES.length;
+    const now = Date.now();
+    const start = now - historyWindowMs;
+    const x = time => left + (time - start) / historyWindowMs * (width - left - right);
+
+    // Readings further apart than this are not joined (polling stopped, RX/TX switch)
+    const gapMs = Math.max(5000, radio.getPollInterval('meter') * 3);
+
+    HISTORY_LANES.forEach((lane, index) => {
+        const laneTop = top + index * laneHeight + 6;
+        const laneBottom = laneTop + laneHeight - 12;
+        const y = value => laneBottom - (Math.min(lane.max, Math.max(lane.min, value)) - lane.min) /
+            (lane.max - lane.min) * (laneBottom - laneTop);
+
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#333';
+        ctx.fillStyle = '#888';
+        lane.grid.forEach(([value, text]) => {
+            ctx.beginPath();
+            ctx.moveTo(left, y(value));
+            ctx.lineTo(width - right, y(value));
+            ctx.stroke();
+            ctx.fillText(text, 2, y(value) + 4);
+        });
+        ctx.fillStyle = lane.color;
+        ctx.fillText(lane.label, left + 4, laneTop + 10);
+
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = lane.color;
+        ctx.beginPath();
+        let previous = null;
+        meterHistory.series(lane.meter, start).forEach(sample => {
+            const px = x(sample.time);
+            const py = y(meterValue(lane.meter, sample.raw));
+            if (previous && sample.time - previous.time <= gapMs) {
+                ctx.lineTo(px, py);
+            } else {
+                ctx.moveTo(px, py);
+            }
+            previous = sample;
+        });
+        ctx.stroke();
+    });
 
-    let level = 0;  // 0-15 for bargraph segments
-    let displayText = '---';
+    // Frequency/mode changes
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#2196F3';
+    ctx.fillStyle = '#2196F3';
+    ctx.setLineDash([4, 4]);
+    meterHistory.annotations.filter(annotation => annotation.time >= start).forEach(annotation => {
+        const px = x(annotation.time);
+        ctx.beginPath();
+        ctx.moveTo(px, top - 4);
+        ctx.lineTo(px, height - bottom);
+        ctx.stroke();
+        ctx.fillText(`${(annotation.frequencyHz / 1000000).toFixed(3)} ${annotation.mode}`, px + 3, top - 4);
+    });
+    ctx.setLineDash([]);
 
-    if (mode === 'rx') {
-        // S-meter: 0=S0, 120=S9, 241=S9+60dB
-        meterLabel.textContent = 'S-METER (RX)';
+    // Time axis
+    ctx.fillStyle = '#888';
+    ctx.fillText(`-${historyWindowMs / 60000} min`, left, height - 4);
+    ctx.fillText('now', width - right - 22, height - 4);
+}
 
-        if (rawValue <= 120) {
-            // S0 to S9
-            const sUnits = rawValue / 13.3;  // 0-9
-            level = Math.floor(sUnits);
-            displayText = 'S' + Math.floor(sUnits);
-        } else {
-            // S9+ (over S9)
-            const over = Math.round((rawValue - 120) / 2);
-            level = 9 + Math.min(Math.floor(over / 10), 6);  // 9-15 (S9 to S9+60)
-            displayText = 'S9+' + over;
-        }
-    } else if (mode === 'tx') {
-        // Power meter: map 0-255 to watts and bargraph
-        meterLabel.textContent = 'POWER (TX)';
-        const powerWatts = Math.round(rawValue / 2.55);  // 0-100W
-        displayText = powerWatts + 'W';
+window.addEventListener('resize', scheduleHistoryDraw);
+
+function setHistoryWindow() {
+    historyWindowMs = parseInt(document.getElementById('historyWindow').value) * 1000;
+    drawHistory();
+}
+
+function clearHistory() {
+    meterHistory.clear();
+    annotateHistory();  // Keep labelling new samples with the current frequency/mode
+    drawHistory();
+    log('Signal history cleared', 'info');
+}
 
-        // Map power to bargraph (0-100W across 15 segments)
-        level = Math.floor(powerWatts / 6.67);  // 0-15
+function exportHistory() {
+    if (meterHistory.samples.length === 0) {
+        log('No signal history to export', 'error');
+        return;
     }
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    const filename = `ic7300-history-${stamp}.csv`;
+    downloadFile(filename, meterHistory.toCSV(), 'text/csv');
+    log(`Exported ${meterHistory.samples.length} meter readings to ${filename}`, 'success');
+}
 
-    // Update text display
-    meterValue.textContent = displayText;
+// TX meter gauges (SWR, ALC, COMP, Vd, Id)
+let bargraphPeak = null;     // { value (segments), time, mode }
+const txMeterPeaks = {};     // meter -> { value (raw), time }
+const txMeterWarnings = new Set();  // Meters already warned about during this transmission
+
+function renderTxMeters() {
+    const container = document.getElementById('txMeters');
+    container.innerHTML = '';
+    Object.entries(TX_METER_SCALES).forEach(([meter, scale]) => {
+        const row = document.createElement('div');
+        row.className = 'tx-meter idle';
+        row.id = 'txMeter-' + meter;
+        row.innerHTML = `<span>${scale.label}</span>` +
+            '<div class="gauge"><div class="gauge-fill"></div><div class="gauge-peak"></div></div>' +
+            '<span class="tx-meter-value">---</span>';
+        container.appendChild(row);
+    });
+}
 
-    // Update bargraph segments
-    segments.forEach((segment, index) => {
-        if (index < level) {
-            segment.classList.add('active');
-        } else {
-            segment.classList.remove('active');
+function updateTxMeter(meter, rawValue) {
+    const row = document.getElementById('txMeter-' + meter);
+    const reading = txMeterReading(meter, rawValue);
+    const peak = txMeterPeaks[meter] = updatePeak(txMeterPeaks[meter], rawValue, Date.now());
+    const peakReading = txMeterReading(meter, peak.value);
+
+    row.classList.remove('idle');
+    row.classList.toggle('warning', reading.warning);
+    row.querySelector('.gauge-fill').style.width = (reading.fill * 100) + '%';
+    row.querySelector('.gauge-peak').style.left = `calc(${peakReading.fill * 100}% - 1px)`;
+    row.querySelector('.tx-meter-value').textContent = reading.text;
+
+    // Log each warning once per transmission
+    if (reading.warning && !txMeterWarnings.has(meter)) {
+        txMeterWarnings.add(meter);
+        const label = TX_METER_SCALES[meter].label;
+        log(meter === 'alc'
+            ? `ALC ${reading.text}: reduce drive (mic gain / USB MOD level)`
+            : `High ${label}: ${reading.text}`, 'error');
+    }
+}
+
+// Start fresh gauges for a transmission; dim them in RX
+function resetTxMeters(transmitting) {
+    txMeterWarnings.clear();
+    Object.keys(TX_METER_SCALES).forEach(meter => {
+        delete txMeterPeaks[meter];
+        const row = document.getElementById('txMeter-' + meter);
+        row.classList.add('idle');
+        if (transmitting) {
+            row.classList.remove('warning');
         }
     });
 }
 
 // Set frequency
-async function setFrequency() {
-    const freqInput = document.getElementById('freqInput').value;
-    if (!freqInput) {
-        log('Please enter a frequency', 'error');
-        return;
-    }
+// The Set Frequency, Set Mode and PTT commands below also run for remote
+// bridge clients: origin is then the client ("name@address"), shown in the
+// log, and the result { ok, error } is sent back to it.
 
-    try {
-        const freqMHz = parseFloat(freqInput);
-        const freqHz = Math.round(freqMHz * 1000000);
+// " (remote: name@address)" for log messages about a remote command
+function describeOrigin(origin) {
+    return origin ? ` (remote: ${origin})` : '';
+}
 
-        if (freqHz < 1000000 || freqHz > 60000000) {
-            log('Frequency out of range (1-60 MHz)', 'error');
-            return;
-        }
+// Log a rejected command and return it as a result
+function commandFailed(message, origin) {
+    log(message + describeOrigin(origin), 'error');
+    return { ok: false, error: message };
+}
+
+async function setFrequency(text = document.getElementById('freqInput').value, origin = null) {
+    if (!text) {
+        return commandFailed('Please enter a frequency', origin);
+    }
 
-        const bcd = frequencyToBCD(freqHz);
-        await sendCommand(CMD_WRITE_FREQ, bcd);
+    const error = frequencyInputError(text);
+    if (error) {
+        return commandFailed(error, origin);
+    }
+    const freqHz = Math.round(parseFloat(text) * 1000000);
+    if (!radio.connected) {
+        return commandFailed('Not connected to radio', origin);
+    }
 
-        log('Setting frequency to ' + freqMHz + ' MHz', 'info');
+    log('Setting frequency to ' + (freqHz / 1000000) + ' MHz' + describeOrigin(origin), 'info');
 
-        // Read back after a short delay
-        setTimeout(readFrequency, 200);
+    try {
+        // Radio reads the frequency back to confirm
+        await radio.setFrequency(freqHz);
+        return { ok: true };
     } catch (error) {
-        log('Invalid frequency format', 'error');
+        return commandFailed('Set frequency failed: ' + error.message, origin);
     }
 }
 
+// The mode, filter and data mode chosen in Set Mode
+function readModeInputs() {
+    const modeCode = parseInt(document.getElementById('modeSelect').value, 16);
+    return {
+        modeCode,
+        filter: parseInt(document.getElementById('filterSelect').value),
+        dataMode: document.getElementById('dataModeCheck').checked && DATA_MODE_CODES.includes(modeCode)
+    };
+}
+
 // Set mode
-async function setMode() {
-    const modeSelect = document.getElementById('modeSelect');
-    const modeCode = parseInt(modeSelect.value, 16);
+async function setMode(selection = readModeInputs(), origin = null) {
+    const { modeCode, filter } = selection;
+    const dataMode = Boolean(selection.dataMode);
+
+    if (!Number.isInteger(modeCode) || modeName(modeCode) === 'Unknown') {
+        return commandFailed('Unknown mode', origin);
+    }
+    if (!FILTERS.includes(filter)) {
+        return commandFailed('Invalid filter (must be 1-3)', origin);
+    }
+    if (dataMode && !DATA_MODE_CODES.includes(modeCode)) {
+        return commandFailed('Data mode is only available in LSB, USB, AM and FM', origin);
+    }
+    if (!radio.connected) {
+        return commandFailed('Not connected to radio', origin);
+    }
 
-    await sendCommand(CMD_WRITE_MODE, [modeCode, 0x01]); // 0x01 = default filter
+    log('Setting mode to ' + modeLabel(modeCode, dataMode) + ' FIL' + filter + describeOrigin(origin), 'info');
 
-    log('Setting mode to ' + MODES[modeSelect.value], 'info');
+    try {
+        // Radio reads the mode back to confirm
+        await radio.setMode(modeCode, filter, dataMode);
+        return { ok: true };
+    } catch (error) {
+        return commandFailed('Set mode failed: ' + error.message, origin);
+    }
+}
 
-    // Read back after a short delay
-    setTimeout(readMode, 200);
+// Data mode exists only for LSB/USB/AM/FM
+function updateDataModeCheck() {
+    const modeCode = parseInt(document.getElementById('modeSelect').value, 16);
+    const dataModeCheck = document.getElementById('dataModeCheck');
+    dataModeCheck.disabled = !radio.connected || !DATA_MODE_CODES.includes(modeCode);
+    if (dataModeCheck.disabled) dataModeCheck.checked = false;
 }
 
 // Toggle PTT
 async function togglePTT() {
-    if (!pttActive) {
-        // Push PTT
-        await sendCommand(CMD_PTT, [0x00, 0x01]);
-        pttActive = true;
-        updatePTTButton();
-        log('PTT activated', 'info');
-    } else {
-        // Release PTT
-        await sendCommand(CMD_PTT, [0x00, 0x00]);
-        pttActive = false;
-        updatePTTButton();
-        log('PTT released', 'info');
+    await setPTT(!radio.state.ptt);
+}
+
+async function setPTT(on, origin = null) {
+    if (!radio.connected) {
+        return commandFailed('Not connected to radio', origin);
+    }
+
+    try {
+        await radio.setPTT(on);
+        log((on ? 'PTT activated' + describeTxFrequency() : 'PTT released') + describeOrigin(origin), 'info');
+        return { ok: true };
+    } catch (error) {
+        return commandFailed('PTT command failed: ' + error.message, origin);
     }
 }
 
@@ -631,7 +787,7 @@ async function togglePTT() {
 function updatePTTButton() {
     const pttBtn = document.getElementById('pttBtn');
 
-    if (pttActive) {
+    if (radio.state.ptt) {
         pttBtn.textContent = 'Release PTT';
         pttBtn.classList.add('ptt-active');
     } else {
@@ -640,199 +796,592 @@ function updatePTTButton() {
     }
 }
 
-// Morse code timing and encoding
-const MORSE_CODE = {
-    'A': '.-',    'B': '-...',  'C': '-.-.',  'D': '-..',   'E': '.',
-    'F': '..-.',  'G': '--.',   'H': '....',  'I': '..',    'J': '.---',
-    'K': '-.-',   'L': '.-..',  'M': '--',    'N': '-.',    'O': '---',
-    'P': '.--.',  'Q': '--.-',  'R': '.-.',   'S': '...',   'T': '-',
-    'U': '..-',   'V': '...-',  'W': '.--',   'X': '-..-',  'Y': '-.--',
-    'Z': '--..',  '0': '-----', '1': '.----', '2': '..---', '3': '...--',
-    '4': '....-', '5': '.....', '6': '-....', '7': '--...', '8': '---..',
-    '9': '----.',  '/': '-..-.',  '?': '..--..', '.': '.-.-.-',
-    ',': '--..--', '=': '-...-', '+': '.-.-.', '-': '-....-',
-    ' ': ' '  // Space between words
-};
-
-let cwKeying = false;  // Flag to track if CW is being sent
-
-// Calculate timing based on WPM
-function getCWTiming(wpm) {
-    // Standard PARIS timing: 1 dot unit = 1200ms / WPM
-    const dotDuration = 1200 / wpm;
-    return {
-        dot: dotDuration,
-        dash: dotDuration * 3,
-        symbolSpace: dotDuration,      // Space between dots/dashes
-        letterSpace: dotDuration * 3,  // Space between letters
-        wordSpace: dotDuration * 7     // Space between words
-    };
+// VFO, split and RIT/XIT
+const VFO_CONTROL_IDS = [
+    'vfoABtn', 'vfoBBtn', 'vfoSwapBtn', 'vfoEqualBtn', 'splitBtn',
+    'txFreqInput', 'setTxFreqBtn', 'ritOffsetInput', 'setRitOffsetBtn', 'ritBtn', 'xitBtn', 'ritClearBtn'
+];
+
+// Parse a frequency in MHz from an input; logs and returns null if invalid
+function parseFrequencyInput(text) {
+    const error = frequencyInputError(text);
+    if (error) {
+        log(error, 'error');
+        return null;
+    }
+    return Math.round(parseFloat(text) * 1000000);
 }
 
-// Key down (CW key closed)
-async function keyDown() {
-    if (!port) return;
-
-    const keyLine = document.getElementById('cwKeyLine').value;
+// What is wrong with a frequency in MHz, or null if it is valid
+function frequencyInputError(text) {
+    const freqHz = Math.round(parseFloat(text) * 1000000);
+    if (isNaN(freqHz)) {
+        return 'Invalid frequency format';
+    }
+    if (freqHz < FREQ_MIN_HZ || freqHz > FREQ_MAX_HZ) {
+        return 'Frequency out of range (1-60 MHz)';
+    }
+    return null;
+}
 
-    console.log(`Key DOWN (${keyLine})`);
+// " (TX 14.205000 MHz)" for log messages about transmitting, if known
+function describeTxFrequency() {
+    const txHz = radio.transmitFrequencyHz();
+    return txHz === null ? '' : ` (TX ${(txHz / 1000000).toFixed(6)} MHz)`;
+}
 
-    if (keyLine === 'dtr') {
-        await port.setSignals({ dataTerminalReady: true });
-    } else if (keyLine === 'rts') {
-        await port.setSignals({ requestToSend: true });
+async function selectVFO(vfo) {
+    try {
+        await radio.selectVFO(vfo);
+        log(`VFO ${vfo} selected`, 'success');
+    } catch (error) {
+        log(`Select VFO ${vfo} failed: ` + error.message, 'error');
     }
 }
 
-// Key up (CW key open)
-async function keyUp() {
-    if (!port) return;
-
-    const keyLine = document.getElementById('cwKeyLine').value;
+async function swapVFO() {
+    try {
+        await radio.swapVFO();
+        log('VFO A/B swapped', 'success');
+    } catch (error) {
+        log('VFO swap failed: ' + error.message, 'error');
+    }
+}
 
-    console.log(`Key UP (${keyLine})`);
+async function equalizeVFO() {
+    try {
+        await radio.equalizeVFO();
+        log('VFO A=B', 'success');
+    } catch (error) {
+        log('VFO A=B failed: ' + error.message, 'error');
+    }
+}
 
-    if (keyLine === 'dtr') {
-        await port.setSignals({ dataTerminalReady: false });
-    } else if (keyLine === 'rts') {
-        await port.setSignals({ requestToSend: false });
+async function toggleSplit() {
+    const on = !radio.state.split;
+    try {
+        await radio.setSplit(on);
+        log(on ? 'Split on' + describeTxFrequency() : 'Split off', 'success');
+    } catch (error) {
+        log('Split command failed: ' + error.message, 'error');
     }
 }
 
-// Send a single morse character
-async function sendMorseChar(char, timing) {
-    const morse = MORSE_CODE[char.toUpperCase()];
+// Set the TX (unselected) VFO frequency
+async function setTxFrequency() {
+    const freqHz = parseFrequencyInput(document.getElementById('txFreqInput').value);
+    if (freqHz === null) return;
 
-    if (!morse) {
-        console.log(`Skipping unknown character: ${char}`);
-        return;
+    try {
+        await radio.setTxFrequency(freqHz);
+        log(`TX VFO set to ${(freqHz / 1000000).toFixed(6)} MHz` + (radio.state.split ? '' : ' (split is off)'), 'success');
+    } catch (error) {
+        log('Set TX frequency failed: ' + error.message, 'error');
     }
+}
 
-    if (morse === ' ') {
-        // Word space (already have letter space, add 4 more units)
-        await new Promise(resolve => setTimeout(resolve, timing.wordSpace - timing.letterSpace));
+async function setRITOffset() {
+    const offsetHz = parseInt(document.getElementById('ritOffsetInput').value);
+    if (isNaN(offsetHz) || Math.abs(offsetHz) > RIT_MAX_HZ) {
+        log(`Invalid RIT/XIT offset (-${RIT_MAX_HZ} to +${RIT_MAX_HZ} Hz)`, 'error');
         return;
     }
 
-    // Send each dot/dash
-    for (let i = 0; i < morse.length; i++) {
-        if (!cwKeying) break;  // Allow interruption
-
-        const symbol = morse[i];
-        const duration = symbol === '.' ? timing.dot : timing.dash;
-
-        // Key down
-        await keyDown();
-        await new Promise(resolve => setTimeout(resolve, duration));
-
-        // Key up
-        await keyUp();
-
-        // Space between symbols (if not last symbol)
-        if (i < morse.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, timing.symbolSpace));
-        }
+    try {
+        await radio.setRITOffset(offsetHz);
+    } catch (error) {
+        log('Set RIT/XIT offset failed: ' + error.message, 'error');
     }
+}
 
-    // Space between letters
-    await new Promise(resolve => setTimeout(resolve, timing.letterSpace));
+async function clearRITOffset() {
+    document.getElementById('ritOffsetInput').value = 0;
+    await setRITOffset();
 }
 
-// Send CW message using DTR keying
+async function toggleRIT() {
+    try {
+        await radio.setRIT(!radio.state.rit);
+    } catch (error) {
+        log('RIT command failed: ' + error.message, 'error');
+    }
+}
+
+async function toggleXIT() {
+    try {
+        await radio.setXIT(!radio.state.xit);
+    } catch (error) {
+        log('XIT command failed: ' + error.message, 'error');
+    }
+}
+
+// Show VFO/split/RIT state and the TX frequency when it differs from RX
+function updateVFODisplay() {
+    const { vfo, split, frequencyHz, rit, xit, ritOffsetHz } = radio.state;
+    const txHz = radio.transmitFrequencyHz();
+    const offset = (ritOffsetHz >= 0 ? '+' : '') + ritOffsetHz + ' Hz';
+
+    const parts = [];
+    if (vfo) parts.push('VFO ' + vfo);
+    if (split) parts.push('SPLIT');
+    if (rit) parts.push('RIT ' + offset);
+    if (xit) parts.push('XIT ' + offset);
+    if (txHz !== null && txHz !== frequencyHz) {
+        parts.push('TX ' + (txHz / 1000000).toFixed(6) + ' MHz');
+    }
+    document.getElementById('vfoDisplay').textContent = parts.join(' · ');
+
+    document.getElementById('vfoABtn').classList.toggle('active', vfo === 'A');
+    document.getElementById('vfoBBtn').classList.toggle('active', vfo === 'B');
+    document.getElementById('splitBtn').classList.toggle('active', split);
+    document.getElementById('ritBtn').classList.toggle('active', rit);
+    document.getElementById('xitBtn').classList.toggle('active', xit);
+}
+
+// Transceiver settings panel
+// Built from the CONTROLS table in controls.js. Values come from the radio's
+// 'control' events (read on connect and by polling); while a slider is being
+// dragged, polled values do not move it.
+function renderControlsPanel() {
+    const panel = document.getElementById('controlsPanel');
+    panel.innerHTML = '';
+
+    CONTROLS.forEach(control => {
+        const item = document.createElement('div');
+        item.className = 'control-item';
+
+        const label = document.createElement('label');
+        label.htmlFor = 'control-' + control.id;
+        label.textContent = control.label;
+        const valueText = document.createElement('span');
+        valueText.className = 'control-value';
+        valueText.id = 'controlValue-' + control.id;
+        valueText.textContent = formatControlValue(control, null);
+        label.appendChild(valueText);
+
+        let input;
+        if (control.type === 'level') {
+            input = document.createElement('input');
+            input.type = 'range';
+            input.min = 0;
+            input.max = 255;
+            input.addEventListener('input', () => {
+                input.dataset.editing = 'true';
+                valueText.textContent = formatControlValue(control, parseInt(input.value));
+            });
+            input.addEventListener('change', () => setRadioControl(control.id, parseInt(input.value)));
+        } else if (control.type === 'switch') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.addEventListener('change', () => setRadioControl(control.id, input.checked ? 1 : 0));
+        } else {
+            input = document.createElement('select');
+            control.options.forEach(([optionValue, optionLabel]) => {
+                const option = document.createElement('option');
+                option.value = optionValue;
+                option.textContent = optionLabel;
+                input.appendChild(option);
+            });
+            input.addEventListener('change', () => setRadioControl(control.id, parseInt(input.value)));
+        }
+        input.id = 'control-' + control.id;
+        input.disabled = !radio.connected;
+
+        item.append(label, input);
+        panel.appendChild(item);
+    });
+}
+
+// Show a control value (null = unknown)
+function updateControlInput(id, value) {
+    const control = controlById(id);
+    const input = document.getElementById('control-' + id);
+    document.getElementById('controlValue-' + id).textContent = formatControlValue(control, value);
+
+    if (value === null || input.dataset.editing) return;
+    if (control.type === 'switch') {
+        input.checked = value === 1;
+    } else {
+        input.value = value;
+    }
+}
+
+async function setRadioControl(id, value) {
+    const control = controlById(id);
+    const input = document.getElementById('control-' + id);
+
+    try {
+        const stored = await radio.setControl(id, value);
+        log(`${control.label}: ${formatControlValue(control, stored)}`, 'success');
+    } catch (error) {
+        log(`Set ${control.label} failed: ` + error.message, 'error');
+    }
+
+    // Show what the radio has now (the set may have been rejected)
+    delete input.dataset.editing;
+    updateControlInput(id, radio.controls[id] ?? null);
+}
+
+// Band bar and bookmarks
+// bandStack keeps the last frequency/mode seen on each band (like the
+// radio's band stacking register), learned from every frequency and mode
+// the radio reports. Both are stored in the settings.
+let bandStack = {};  // band name -> { frequencyHz, modeCode, filter, dataMode }
+let bookmarks = [];  // [{ name, frequencyHz, modeCode, filter, dataMode }]
+let currentBandName = null;
+let bandStackTimer = null;
+const BAND_STACK_SAVE_MS = 2000;  // Store the band stack once tuning has rested this long
+
+// Record the current frequency/mode for its band
+function rememberBand() {
+    const { frequencyHz, modeCode, filter, dataMode } = radio.state;
+    if (frequencyHz === null || modeCode === null) return;
+
+    const band = bandForFrequency(frequencyHz);
+    const bandName = band ? band.name : null;
+    const previous = bandStack[bandName];
+    const unchanged = previous && previous.frequencyHz === frequencyHz &&
+        previous.modeCode === modeCode && previous.filter === (filter || 1) && previous.dataMode === dataMode;
+
+    if (band && !unchanged) {
+        bandStack[band.name] = { frequencyHz, modeCode, filter: filter || 1, dataMode };
+        // Not on every frequency report while the VFO knob turns
+        clearTimeout(bandStackTimer);
+        bandStackTimer = setTimeout(storeBandStack, BAND_STACK_SAVE_MS);
+    }
+    if (bandName !== currentBandName || (band && !unchanged)) {
+        currentBandName = bandName;
+        renderBandBar();
+    }
+}
+
+function storeBandStack() {
+    clearTimeout(bandStackTimer);
+    bandStackTimer = null;
+    storeSettings({ bandStack });
+}
+
+// Keep the last tuning when the page closes before it was stored
+window.addEventListener('beforeunload', () => {
+    if (bandStackTimer) storeBandStack();
+});
+
+// Tune to the last frequency/mode used on a band, or the band default
+async function selectBand(name) {
+    const band = bandByName(name);
+    const target = bandStack[name] || { frequencyHz: band.defaultHz, modeCode: band.defaultModeCode, filter: 1 };
+
+    log(`Band ${name}: ${(target.frequencyHz / 1000000).toFixed(6)} MHz ${modeLabel(target.modeCode, target.dataMode)}`, 'info');
+
+    try {
+        await radio.setFrequency(target.frequencyHz);
+        await radio.setMode(target.modeCode, target.filter, target.dataMode ?? false);
+    } catch (error) {
+        log(`Band change to ${name} failed: ` + error.message, 'error');
+    }
+}
+
+function addBookmark() {
+    const { frequencyHz, modeCode, filter, dataMode } = radio.state;
+    if (frequencyHz === null || modeCode === null) {
+        log('Frequency and mode not known yet', 'error');
+        return;
+    }
+
+    const nameInput = document.getElementById('bookmarkName');
+    const name = nameInput.value.trim() || `${(frequencyHz / 1000000).toFixed(3)} ${modeLabel(modeCode, dataMode)}`;
+    bookmarks.push({ name, frequencyHz, modeCode, filter: filter || 1, dataMode });
+    nameInput.value = '';
+
+    storeSettings({ bookmarks });
+    renderBookmarks();
+    log(`Bookmark added: ${name}`, 'success');
+}
+
+function deleteBookmark(index) {
+    const [removed] = bookmarks.splice(index, 1);
+    storeSettings({ bookmarks });
+    renderBookmarks();
+    log(`Bookmark removed: ${removed.name}`, 'info');
+}
+
+async function tuneToBookmark(index) {
+    const bookmark = bookmarks[index];
+    try {
+        await radio.setFrequency(bookmark.frequencyHz);
+        await radio.setMode(bookmark.modeCode, bookmark.filter, bookmark.dataMode ?? false);
+        log(`Tuned to bookmark ${bookmark.name}`, 'success');
+    } catch (error) {
+        log(`Tune to bookmark ${bookmark.name} failed: ` + error.message, 'error');
+    }
+}
+
+// Draw the band buttons, highlighting the band the radio is on
+function renderBandBar() {
+    const bar = document.getElementById('bandBar');
+    bar.innerHTML = '';
+    BANDS.forEach(band => {
+        const button = document.createElement('button');
+        button.textContent = band.name;
+        button.className = 'secondary';
+        if (band.name === currentBandName) button.classList.add('active');
+        button.disabled = !radio.connected;
+        const last = bandStack[band.name];
+        button.title = last
+            ? `Last used: ${(last.frequencyHz / 1000000).toFixed(6)} MHz ${modeLabel(last.modeCode, last.dataMode)}`
+            : `${(band.lowHz / 1000000)}-${(band.highHz / 1000000)} MHz`;
+        button.addEventListener('click', () => selectBand(band.name));
+        bar.appendChild(button);
+    });
+}
+
+function renderBookmarks() {
+    const list = document.getElementById('bookmarkList');
+    list.innerHTML = '';
+    bookmarks.forEach((bookmark, index) => {
+        const item = document.createElement('div');
+        item.className = 'bookmark';
+
+        const tuneBtn = document.createElement('button');
+        tuneBtn.textContent = bookmark.name;
+        tuneBtn.title = `${(bookmark.frequencyHz / 1000000).toFixed(6)} MHz ${modeLabel(bookmark.modeCode, bookmark.dataMode)}`;
+        tuneBtn.disabled = !radio.connected;
+        tuneBtn.addEventListener('click', () => tuneToBookmark(index));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = '✕';
+        deleteBtn.className = 'danger';
+        deleteBtn.title = 'Remove bookmark';
+        deleteBtn.addEventListener('click', () => deleteBookmark(index));
+
+        item.append(tuneBtn, deleteBtn);
+        list.appendChild(item);
+    });
+    document.getElementById('addBookmarkBtn').disabled = !radio.connected;
+}
+
+// CW keyer
+// Messages are sent by the radio's own keyer (CI-V 0x17, handed over in
+// pieces of up to 30 characters) or by keying DTR/RTS from this page with
+// timing from the keying clock (keying.js). F1-F8 send the macros, which are
+// stored in the settings.
+let cwKeying = false;  // Flag to track if CW is being sent
+let cwWakeup = null;   // Ends the current wait early when CW is stopped
+let cwTiming = { ...DEFAULT_CW_TIMING };
+const keyingClock = new KeyingClock();
+let cwMacros = DEFAULT_CW_MACROS.map(macro => ({ ...macro }));
+let myCall = '';
+
+// 'civ' (radio keyer), 'dtr' or 'rts'
+function cwKeyerMode() {
+    return document.getElementById('cwKeyer').value;
+}
+
+// Key down (CW key closed)
+async function keyDown() {
+    if (!radio.transport) return;
+
+    const keyLine = cwKeyerMode();
+    if (keyLine === 'dtr') {
+        await radio.setSignals({ dataTerminalReady: true });
+    } else if (keyLine === 'rts') {
+        await radio.setSignals({ requestToSend: true });
+    }
+}
+
+// Key up (CW key open)
+async function keyUp() {
+    if (!radio.transport) return;
+
+    const keyLine = cwKeyerMode();
+    if (keyLine === 'dtr') {
+        await radio.setSignals({ dataTerminalReady: false });
+    } else if (keyLine === 'rts') {
+        await radio.setSignals({ requestToSend: false });
+    }
+}
+
+// Key changes are sent in order without waiting for each other, so the
+// latency of the serial port delays each edge alike instead of stretching
+// the elements. A key-down queued behind a stop is dropped.
+let keyingQueue = Promise.resolve();
+
+function queueKey(down) {
+    keyingQueue = keyingQueue
+        .then(() => (down ? cwKeying && keyDown() : keyUp()))
+        .catch(error => console.error('CW keying failed:', error));
+    return keyingQueue;
+}
+
+// Send planned key events (planCWKeying()) with the keying clock; resolves
+// with the clock's 'done' details, or null when stopped
+function runKeyingPlan(events) {
+    return new Promise(resolve => {
+        const onKey = ({ down }) => queueKey(down);
+        const onDone = (detail) => {
+            keyingClock.off('key', onKey);
+            keyingClock.off('done', onDone);
+            cwWakeup = null;
+            resolve(cwKeying ? detail : null);
+        };
+        keyingClock.on('key', onKey);
+        keyingClock.on('done', onDone);
+        cwWakeup = () => keyingClock.stop();
+        keyingClock.start(events);
+    });
+}
+
+// Wait between CW elements; stopCW() ends the wait early
+function cwWait(ms) {
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            cwWakeup = null;
+            resolve();
+        }, ms);
+        cwWakeup = () => {
+            clearTimeout(timer);
+            cwWakeup = null;
+            resolve();
+        };
+    });
+}
+
+// Send a CW message with the selected keyer
 async function sendCWMessage(message) {
-    if (!isConnected || !port) {
+    if (!radio.connected) {
         log('Not connected to radio', 'error');
         return;
     }
 
+    if (cwKeying) {
+        log('Already sending CW', 'error');
+        return;
+    }
+
     message = message.toUpperCase().trim();
     if (!message) {
         log('Please enter a CW message', 'error');
         return;
     }
 
-    // Get WPM setting
-    const wpm = parseInt(document.getElementById('cwWPM').value) || 20;
-    const timing = getCWTiming(wpm);
+    // Neither keyer can send characters without Morse code
+    const { codes, unknown } = parseCWText(message);
+    if (unknown.length > 0) {
+        log(`Skipping characters without Morse code: ${[...new Set(unknown)].join(' ')}`, 'error');
+        if (codes.length === 0) return;
+    }
 
-    log(`Sending CW: "${message}" at ${wpm} WPM via DTR keying`);
-    console.log(`=== Starting CW transmission (DTR keying) ===`);
-    console.log(`WPM: ${wpm}, Dot: ${timing.dot.toFixed(1)}ms, Dash: ${timing.dash.toFixed(1)}ms`);
+    // Get WPM setting, within the radio keyer's range
+    const wpm = Math.max(KEYER_MIN_WPM, Math.min(KEYER_MAX_WPM, parseInt(document.getElementById('cwWPM').value) || 20));
+    const keyer = cwKeyerMode();
 
     // Disable send button during transmission
     const sendBtn = document.getElementById('sendCWBtn');
     const stopBtn = document.getElementById('stopCWBtn');
-    if (sendBtn) {
-        sendBtn.disabled = true;
-        sendBtn.textContent = 'Sending...';
+    sendBtn.disabled = true;
+    sendBtn.textContent = 'Sending...';
+    stopBtn.disabled = false;
+    document.getElementById('cwKeyer').disabled = true;
+
+    cwKeying = true;
+
+    if (keyer === 'civ') {
+        await sendCWWithRadioKeyer(message, wpm);
+    } else {
+        await sendCWWithKeyLine(message, wpm, keyer);
     }
-    if (stopBtn) {
-        stopBtn.disabled = false;
+
+    cwKeying = false;
+
+    // Re-enable button
+    sendBtn.disabled = !radio.connected;
+    sendBtn.textContent = 'Send CW';
+    stopBtn.disabled = true;
+    document.getElementById('cwKeyer').disabled = !radio.connected;
+}
+
+// Send with the radio's keyer (CI-V 0x17). The radio takes 30 characters
+// at a time, so the next piece is sent when the previous one should be done.
+async function sendCWWithRadioKeyer(message, wpm) {
+    if (![0x03, 0x07].includes(radio.state.modeCode)) {
+        log('The radio keyer only sends in CW or CW-R mode', 'error');
+        return;
     }
 
-    cwKeying = true;
+    log(`Sending CW: "${message}" at ${wpm} WPM via the radio keyer` + describeTxFrequency());
 
     try {
-        // Activate PTT before sending CW
-        console.log('Activating PTT...');
-        await sendCommand(CMD_PTT, [0x00, 0x01]);
-        pttActive = true;
-        updatePTTButton();
-
-        // Small delay to let PTT settle
-        await new Promise(resolve => setTimeout(resolve, 100));
-
-        // Send each character
-        for (let i = 0; i < message.length && cwKeying; i++) {
-            const char = message[i];
-            console.log(`[${i+1}/${message.length}] Sending '${char}' (${MORSE_CODE[char] || 'unknown'})`);
-            await sendMorseChar(char, timing);
+        await radio.setKeyerSpeed(wpm);
+
+        const timing = getCWTiming(wpm);
+        const chunks = splitCWText(radioKeyerText(message), CW_TEXT_MAX_LENGTH);
+        for (const chunk of chunks) {
+            if (!cwKeying) break;
+            await radio.sendCWText(chunk);
+            // The pieces split at spaces, so wait a word space before the next
+            await cwWait(cwTextDurationMs(chunk, wpm) + timing.wordSpace - timing.letterSpace);
         }
 
-        console.log('=== CW transmission complete ===');
         log(cwKeying ? 'CW message sent' : 'CW transmission stopped');
     } catch (error) {
         log('Error sending CW: ' + error.message, 'error');
         console.error('CW send error:', error);
     }
+}
 
-    cwKeying = false;
+// Send by keying DTR or RTS, timed by the keying clock
+async function sendCWWithKeyLine(message, wpm, keyLine) {
+    const timing = getCWTiming(wpm, cwTiming);
+    const plan = planCWKeying(message, timing);
+
+    log(`Sending CW: "${message}" at ${wpm} WPM via ${keyLine.toUpperCase()} keying` + describeTxFrequency());
+
+    try {
+        // Activate PTT before sending CW
+        await radio.setPTT(true);
+        await cwWait(cwTiming.pttLeadMs);
+
+        const result = cwKeying ? await runKeyingPlan(plan.events) : null;
+        if (result) {
+            log(`CW message sent (key changes up to ${result.maxLate.toFixed(1)} ms late)`);
+        } else {
+            log('CW transmission stopped');
+        }
+    } catch (error) {
+        log('Error sending CW: ' + error.message, 'error');
+        console.error('CW send error:', error);
+    }
 
     // Make sure key is up
-    await keyUp();
+    await queueKey(false);
 
-    // Small delay before releasing PTT
-    await new Promise(resolve => setTimeout(resolve, 100));
+    // Hold PTT for the tail, unless stopped
+    if (cwKeying) await cwWait(cwTiming.pttTailMs);
 
     // Release PTT
-    console.log('Releasing PTT...');
-    await sendCommand(CMD_PTT, [0x00, 0x00]);
-    pttActive = false;
-    updatePTTButton();
-
-    // Re-enable button
-    if (sendBtn) {
-        sendBtn.disabled = false;
-        sendBtn.textContent = 'Send CW';
-    }
-    if (stopBtn) {
-        stopBtn.disabled = true;
+    try {
+        await radio.setPTT(false);
+    } catch (error) {
+        log('PTT release failed: ' + error.message, 'error');
     }
 }
 
 // Stop CW transmission
 async function stopCW() {
+    if (!cwKeying) return;
     cwKeying = false;
+    cwWakeup?.();
     log('Stopping CW transmission...');
 
-    // Make sure key is up
-    await keyUp();
+    // DTR/RTS keying releases the key and PTT when its plan ends
+    if (cwKeyerMode() !== 'civ') return;
 
-    // Release PTT
-    await new Promise(resolve => setTimeout(resolve, 100));
-    await sendCommand(CMD_PTT, [0x00, 0x00]);
-    pttActive = false;
-    updatePTTButton();
+    // Drop what the radio keyer has not sent yet
+    try {
+        await radio.stopCWText();
+    } catch (error) {
+        log('CW stop failed: ' + error.message, 'error');
+    }
 }
 
 // UI wrapper function to send CW
@@ -841,43 +1390,935 @@ async function sendCW() {
     await sendCWMessage(message);
 }
 
-// Clear CW message
-function clearCWMessage() {
-    document.getElementById('cwMessage').value = '';
+// Clear CW message
+function clearCWMessage() {
+    document.getElementById('cwMessage').value = '';
+}
+
+// Keyer speed: the radio keyer follows the WPM field
+async function changeCWSpeed() {
+    const input = document.getElementById('cwWPM');
+    const wpm = parseInt(input.value);
+
+    if (isNaN(wpm) || wpm < KEYER_MIN_WPM || wpm > KEYER_MAX_WPM) {
+        log(`Invalid CW speed (must be ${KEYER_MIN_WPM}-${KEYER_MAX_WPM} WPM)`, 'error');
+        return;
+    }
+
+    if (!radio.connected) return;
+    try {
+        await radio.setKeyerSpeed(wpm);
+        log(`Keyer speed set to ${wpm} WPM`);
+    } catch (error) {
+        log('Keyer speed failed: ' + error.message, 'error');
+    }
+}
+
+// Show the radio's keyer speed in the WPM field
+async function readCWSpeed() {
+    try {
+        document.getElementById('cwWPM').value = await radio.getKeyerSpeed();
+    } catch (error) {
+        log('Keyer speed read failed: ' + error.message, 'error');
+    }
+}
+
+function changeCWKeyer() {
+    storeSettings({ cwKeyer: cwKeyerMode() });
+}
+
+// DTR/RTS keying: Farnsworth, weight, dash ratio and PTT delays
+const CW_TIMING_INPUTS = {
+    farnsworthWpm: { id: 'cwFarnsworth', min: 5, max: KEYER_MAX_WPM, off: 0, label: 'Farnsworth speed (0 = off, or 5-48 WPM)' },
+    weight: { id: 'cwWeight', min: 25, max: 75, label: 'weight (25-75 %)' },
+    ratio: { id: 'cwRatio', min: 2.8, max: 4.5, label: 'dash ratio (2.8-4.5)' },
+    pttLeadMs: { id: 'cwPttLead', min: 0, max: 1000, label: 'PTT lead (0-1000 ms)' },
+    pttTailMs: { id: 'cwPttTail', min: 0, max: 2000, label: 'PTT tail (0-2000 ms)' }
+};
+
+function updateCWTimingInputs() {
+    for (const [name, input] of Object.entries(CW_TIMING_INPUTS)) {
+        document.getElementById(input.id).value = cwTiming[name];
+    }
+}
+
+function changeCWTiming() {
+    const timing = {};
+    for (const [name, input] of Object.entries(CW_TIMING_INPUTS)) {
+        const value = parseFloat(document.getElementById(input.id).value);
+        if (isNaN(value) || (value !== input.off && (value < input.min || value > input.max))) {
+            log('Invalid CW ' + input.label, 'error');
+            return;
+        }
+        timing[name] = value;
+    }
+    cwTiming = timing;
+    storeSettings({ cwTiming });
+}
+
+// CW macros (F1-F8)
+// {MYCALL} is the call entered with the macros, {CALL} and {RST} come
+// from the QSO form.
+function renderCWMacros() {
+    const bar = document.getElementById('cwMacroBar');
+    const list = document.getElementById('cwMacroList');
+    bar.innerHTML = '';
+    list.innerHTML = '';
+
+    cwMacros.forEach((macro, index) => {
+        const button = document.createElement('button');
+        button.className = 'secondary';
+        button.textContent = `F${index + 1} ${macro.label}`;
+        button.title = macro.text;
+        button.disabled = !radio.connected;
+        button.onclick = () => sendCWMacro(index);
+        bar.appendChild(button);
+
+        const row = document.createElement('div');
+        row.className = 'cw-macro-row';
+        row.innerHTML = `<span>F${index + 1}</span>` +
+            `<input type="text" id="cwMacroLabel${index}" maxlength="10" placeholder="Label">` +
+            `<input type="text" id="cwMacroText${index}" placeholder="Text">`;
+        list.appendChild(row);
+
+        const label = row.querySelector(`#cwMacroLabel${index}`);
+        const text = row.querySelector(`#cwMacroText${index}`);
+        label.value = macro.label;
+        text.value = macro.text;
+        label.onchange = () => editCWMacro(index, 'label', label.value.trim());
+        text.onchange = () => editCWMacro(index, 'text', text.value.trim().toUpperCase());
+    });
+
+    document.getElementById('cwMyCall').value = myCall;
+}
+
+function editCWMacro(index, name, value) {
+    cwMacros[index][name] = value;
+    storeSettings({ cwMacros });
+    renderCWMacros();
+}
+
+function changeMyCall() {
+    myCall = document.getElementById('cwMyCall').value.trim().toUpperCase();
+    document.getElementById('cwMyCall').value = myCall;
+    storeSettings({ myCall });
+}
+
+function resetCWMacros() {
+    cwMacros = DEFAULT_CW_MACROS.map(macro => ({ ...macro }));
+    storeSettings({ cwMacros });
+    renderCWMacros();
+    log('CW macros reset to defaults', 'success');
+}
+
+async function sendCWMacro(index) {
+    const macro = cwMacros[index];
+    if (!macro?.text) {
+        log(`F${index + 1} has no macro text`, 'error');
+        return;
+    }
+
+    const { text, missing } = expandCWMacro(macro.text, {
+        MYCALL: myCall,
+        CALL: document.getElementById('qsoCall').value.trim(),
+        RST: document.getElementById('qsoRstSent').value.trim()
+    });
+    if (missing.length > 0) {
+        log(`F${index + 1} needs ${missing.join(', ')}: fill in ${missing.map(describeMacroField).join(' and ')} first`, 'error');
+        return;
+    }
+
+    document.getElementById('cwMessage').value = text;
+    await sendCWMessage(text);
+}
+
+function describeMacroField(field) {
+    return { '{MYCALL}': 'your call', '{CALL}': 'the QSO call', '{RST}': 'the RST sent' }[field] || field;
+}
+
+// F1-F8 send the macros while connected. In text fields and on empty macro
+// slots the keys keep their browser meaning (F5 reload, F1 help, ...).
+document.addEventListener('keydown', (event) => {
+    if (event.ctrlKey || event.altKey || event.metaKey || event.shiftKey) return;
+    const match = /^F([1-8])$/.exec(event.key);
+    if (!match || !radio.connected || isEditable(event.target)) return;
+    const index = parseInt(match[1]) - 1;
+    if (!cwMacros[index]?.text) return;
+    event.preventDefault();
+    sendCWMacro(index);
+});
+
+function isEditable(element) {
+    return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+}
+
+// CW decoder
+// Decodes the radio's receive audio (the IC-7300's USB sound device, "USB
+// Audio CODEC") or a WAV recording with CWDecoder (cwdecoder.js). Live audio
+// reaches the page through an AudioWorklet (audio-tap.js).
+let cwDecoderInput = '';  // Audio input device ID, '' = default
+let cwDecoderTone = 0;    // Hz, 0 = track the strongest tone
+let decoderAudio = null;  // { context, stream, node, decoder } while listening
+
+// Fill the audio device lists of the decoder and the remote audio; names
+// show once the page may use the microphone
+async function listAudioDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) return;
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const inputs = devices.filter(device => device.kind === 'audioinput');
+    const outputs = devices.filter(device => device.kind === 'audiooutput');
+    const radioDevice = list => list.find(device => /USB Audio CODEC/i.test(device.label))?.deviceId || '';
+
+    // Pick the radio's sound device the first time
+    if (!cwDecoderInput) cwDecoderInput = radioDevice(inputs);
+    if (!remoteAudioSettings.rxInput) remoteAudioSettings.rxInput = radioDevice(inputs);
+    if (!remoteAudioSettings.txOutput) remoteAudioSettings.txOutput = radioDevice(outputs);
+
+    fillDeviceSelect('cwAudioInput', inputs, 'Default input', cwDecoderInput);
+    fillDeviceSelect('audioRxInput', inputs, 'Default input', remoteAudioSettings.rxInput);
+    fillDeviceSelect('audioMicInput', inputs, 'Default input', remoteAudioSettings.micInput);
+    fillDeviceSelect('audioTxOutput', outputs, 'None (receive only)', remoteAudioSettings.txOutput);
+}
+
+function fillDeviceSelect(id, devices, defaultText, value) {
+    const select = document.getElementById(id);
+    select.innerHTML = '';
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = defaultText;
+    select.appendChild(defaultOption);
+    devices.forEach((device, index) => {
+        if (!device.deviceId || device.deviceId === 'default' || device.deviceId === 'communications') return;
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label ||
+            `Audio ${device.kind === 'audiooutput' ? 'output' : 'input'} ${index + 1}`;
+        select.appendChild(option);
+    });
+    select.value = value;
+    if (select.value !== value) select.value = '';
+}
+
+async function toggleCWDecoder() {
+    if (decoderAudio) {
+        stopCWDecoder();
+    } else {
+        await startCWDecoder();
+    }
+}
+
+async function startCWDecoder() {
+    if (!navigator.mediaDevices?.getUserMedia || typeof AudioWorkletNode === 'undefined') {
+        log('This browser cannot record audio for the CW decoder', 'error');
+        return;
+    }
+
+    const button = document.getElementById('cwDecoderBtn');
+    button.disabled = true;
+
+    let stream = null;
+    let context = null;
+    try {
+        // Plain audio: echo cancellation and noise suppression would eat the tones
+        stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: cwDecoderInput ? { exact: cwDecoderInput } : undefined,
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+        context = new AudioContext();
+        await context.audioWorklet.addModule(new URL('./audio-tap.js', import.meta.url));
+
+        const node = new AudioWorkletNode(context, 'audio-tap', { numberOfOutputs: 0 });
+        const decoder = createCWDecoder(context.sampleRate);
+        node.port.onmessage = ({ data }) => decoder.process(data);
+        context.createMediaStreamSource(stream).connect(node);
+
+        decoderAudio = { context, stream, node, decoder };
+        button.textContent = 'Stop Decoder';
+        log(`CW decoder listening on ${stream.getAudioTracks()[0]?.label || 'the default input'}`, 'success');
+
+        // Device names are available now
+        await listAudioDevices();
+    } catch (error) {
+        stream?.getTracks().forEach(track => track.stop());
+        context?.close();
+        log('CW decoder could not start: ' + error.message, 'error');
+    }
+
+    button.disabled = false;
+}
+
+function stopCWDecoder() {
+    if (!decoderAudio) return;
+    const { context, stream, node, decoder } = decoderAudio;
+    decoderAudio = null;
+
+    node.port.onmessage = null;
+    stream.getTracks().forEach(track => track.stop());
+    context.close();
+    decoder.flush();
+
+    document.getElementById('cwDecoderBtn').textContent = 'Start Decoder';
+    document.getElementById('cwDecoderStatus').textContent = '(decoder off)';
+    log('CW decoder stopped');
+}
+
+function createCWDecoder(sampleRate) {
+    const decoder = new CWDecoder({ sampleRate, toneHz: cwDecoderTone });
+    decoder.on('text', ({ text }) => appendDecodedText(text));
+    decoder.on('status', updateDecoderStatus);
+    return decoder;
+}
+
+function updateDecoderStatus({ wpm, toneHz, signal }) {
+    document.getElementById('cwDecoderStatus').textContent =
+        `(${wpm} WPM, ${toneHz} Hz${signal ? '' : ', no signal'})`;
+}
+
+const DECODED_TEXT_MAX_LENGTH = 5000;
+
+function appendDecodedText(text) {
+    const pane = document.getElementById('cwDecodedText');
+    const atBottom = pane.scrollTop + pane.clientHeight >= pane.scrollHeight - 5;
+    pane.textContent = (pane.textContent + text).slice(-DECODED_TEXT_MAX_LENGTH);
+    if (atBottom) pane.scrollTop = pane.scrollHeight;
+}
+
+function clearDecodedText() {
+    document.getElementById('cwDecodedText').textContent = '';
+}
+
+// Decode a recording into the pane, as fast as it goes
+async function decodeWAVFile(fileInput) {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    let wav;
+    try {
+        wav = parseWAV(await file.arrayBuffer());
+    } catch (error) {
+        log(`${file.name}: ${error.message}`, 'error');
+        return;
+    }
+
+    const pane = document.getElementById('cwDecodedText');
+    if (pane.textContent && !pane.textContent.endsWith('\n')) appendDecodedText('\n');
+
+    const decoder = createCWDecoder(wav.sampleRate);
+    const slice = wav.sampleRate * 10;
+    for (let offset = 0; offset < wav.samples.length; offset += slice) {
+        decoder.process(wav.samples.subarray(offset, offset + slice));
+        // Let the page update between slices of long recordings
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    decoder.flush();
+    appendDecodedText('\n');
+
+    log(`Decoded ${file.name} (${(wav.samples.length / wav.sampleRate).toFixed(1)} s, ${decoder.wpm} WPM, ${decoder.toneHz} Hz)`, 'success');
+}
+
+function changeDecoderTone() {
+    const toneHz = parseInt(document.getElementById('cwDecoderTone').value);
+    if (isNaN(toneHz) || (toneHz !== 0 && (toneHz < CW_DECODER_MIN_TONE_HZ || toneHz > CW_DECODER_MAX_TONE_HZ))) {
+        log(`Invalid decoder tone (0 = auto, or ${CW_DECODER_MIN_TONE_HZ}-${CW_DECODER_MAX_TONE_HZ} Hz)`, 'error');
+        return;
+    }
+    cwDecoderTone = toneHz;
+    storeSettings({ cwDecoderTone });
+    decoderAudio?.decoder.setTone(toneHz);
+}
+
+async function changeDecoderInput() {
+    cwDecoderInput = document.getElementById('cwAudioInput').value;
+    storeSettings({ cwDecoderInput });
+    // Listen on the new input
+    if (decoderAudio) {
+        stopCWDecoder();
+        await startCWDecoder();
+    }
+}
+
+navigator.mediaDevices?.addEventListener?.('devicechange', () => listAudioDevices());
+
+// Remote audio
+// Plays the radio's receive audio here and sends the microphone to the radio
+// in TX (RemoteAudio, audio.js), following the radio's PTT state. The radio
+// only transmits USB audio with its MOD input set to USB, so starting sets it
+// by CI-V (again on each connect) and stopping puts back what it was.
+const remoteAudio = new RemoteAudio();
+let remoteAudioSettings = { ...DEFAULT_REMOTE_AUDIO };
+let savedModInput = null;  // MOD input the radio had before remote audio set USB
+
+const REMOTE_AUDIO_INPUTS = {
+    rxVolume: 'audioRxVolume',
+    micGain: 'audioMicGain',
+    gateDb: 'audioGate'
+};
+
+const REMOTE_AUDIO_DEVICES = {
+    rxInput: 'audioRxInput',
+    micInput: 'audioMicInput',
+    txOutput: 'audioTxOutput'
+};
+
+remoteAudio.on('levels', updateAudioMeters);
+
+async function toggleRemoteAudio() {
+    if (remoteAudio.running) {
+        await stopRemoteAudio();
+    } else {
+        await startRemoteAudio();
+    }
+}
+
+async function startRemoteAudio() {
+    if (!navigator.mediaDevices?.getUserMedia || typeof AudioWorkletNode === 'undefined') {
+        log('This browser cannot play or record audio', 'error');
+        return;
+    }
+
+    const button = document.getElementById('audioBtn');
+    button.disabled = true;
+    try {
+        remoteAudio.setTransmitting(radio.state.ptt);
+        await remoteAudio.start(remoteAudioSettings);
+        button.textContent = 'Stop Audio';
+        log(remoteAudio.micRouted
+            ? 'Remote audio on: receive audio plays here, the microphone goes to the radio in TX'
+            : 'Remote audio on, receive only (choose the radio audio output to transmit)', 'success');
+        await useUSBModInput();
+
+        // Device names are available now
+        await listAudioDevices();
+    } catch (error) {
+        log('Remote audio could not start: ' + error.message, 'error');
+    }
+    button.disabled = false;
+}
+
+async function stopRemoteAudio() {
+    if (!remoteAudio.running) return;
+    remoteAudio.stop();
+    document.getElementById('audioBtn').textContent = 'Start Audio';
+    updateAudioMeters(null);
+    log('Remote audio off');
+    await restoreModInput();
+}
+
+// Have the radio take its transmit audio from USB, remembering the input it had
+async function useUSBModInput() {
+    if (!radio.connected || !remoteAudio.micRouted) return;
+    try {
+        const input = await radio.getModInput();
+        if (input === MOD_INPUT_USB) return;
+        const selected = await radio.setModInput(MOD_INPUT_USB);
+        if (selected !== MOD_INPUT_USB) throw new Error(`the radio kept ${MOD_INPUTS[selected] ?? selected}`);
+        if (savedModInput === null) savedModInput = input;
+        log(`MOD input set to USB (was ${MOD_INPUTS[input] ?? input})`, 'success');
+    } catch (error) {
+        log('Could not set the MOD input to USB: ' + error.message, 'error');
+    }
+}
+
+async function restoreModInput() {
+    if (savedModInput === null) return;
+    const input = savedModInput;
+    savedModInput = null;
+    if (!radio.connected) {
+        log(`Not connected: the radio's MOD input stays USB (was ${MOD_INPUTS[input]})`, 'error');
+        return;
+    }
+    try {
+        await radio.setModInput(input);
+        log(`MOD input set back to ${MOD_INPUTS[input]}`, 'info');
+    } catch (error) {
+        log('Could not set the MOD input back: ' + error.message, 'error');
+    }
+}
+
+// Level meters; null clears them
+function updateAudioMeters(levels) {
+    const values = { rx: levels?.rx, mic: remoteAudio.micRouted ? levels?.mic : undefined };
+    Object.entries(values).forEach(([meter, db]) => {
+        const row = document.getElementById('audioMeter-' + meter);
+        row.classList.toggle('idle', db === undefined);
+        row.querySelector('.gauge-fill').style.width = db === undefined ? '0' : audioMeterFill(db) * 100 + '%';
+        row.querySelector('.tx-meter-value').textContent = db === undefined ? '---' : Math.round(db) + ' dB';
+    });
+    // The microphone is on the air
+    document.getElementById('audioMeter-mic').classList.toggle('warning', Boolean(levels?.gate));
+}
+
+function audioMeterFill(db) {
+    return (db - AUDIO_METER_MIN_DB) / -AUDIO_METER_MIN_DB;
+}
+
+// Mark the gate threshold on the microphone meter
+function updateGateMark() {
+    const mark = document.querySelector('#audioMeter-mic .gauge-peak');
+    const gateDb = remoteAudioSettings.gateDb;
+    mark.style.display = gateDb <= AUDIO_METER_MIN_DB ? 'none' : '';
+    mark.style.left = `calc(${audioMeterFill(gateDb) * 100}% - 1px)`;
+}
+
+function updateRemoteAudioInputs() {
+    Object.entries(REMOTE_AUDIO_INPUTS).forEach(([key, inputId]) => {
+        document.getElementById(inputId).value = remoteAudioSettings[key];
+    });
+    updateGateMark();
+}
+
+// Volume, microphone gain and gate threshold apply at once
+function changeRemoteAudio() {
+    const rxVolume = parseInt(document.getElementById('audioRxVolume').value);
+    const micGain = parseInt(document.getElementById('audioMicGain').value);
+    const gateDb = parseInt(document.getElementById('audioGate').value);
+
+    if (isNaN(rxVolume) || rxVolume < 0 || rxVolume > 100) {
+        log('Invalid RX volume (0-100 %)', 'error');
+        return;
+    }
+    if (isNaN(micGain) || micGain < 0 || micGain > 400) {
+        log('Invalid microphone gain (0-400 %)', 'error');
+        return;
+    }
+    if (isNaN(gateDb) || gateDb < AUDIO_METER_MIN_DB || gateDb > 0) {
+        log(`Invalid gate threshold (${AUDIO_METER_MIN_DB} = off, up to 0 dB)`, 'error');
+        return;
+    }
+
+    remoteAudioSettings = { ...remoteAudioSettings, rxVolume, micGain, gateDb };
+    storeSettings({ remoteAudio: remoteAudioSettings });
+    remoteAudio.configure({ rxVolume, micGain, gateDb });
+    updateGateMark();
+}
+
+async function changeAudioDevice() {
+    Object.entries(REMOTE_AUDIO_DEVICES).forEach(([key, selectId]) => {
+        remoteAudioSettings[key] = document.getElementById(selectId).value;
+    });
+    storeSettings({ remoteAudio: remoteAudioSettings });
+    // Use the new devices
+    if (remoteAudio.running) {
+        await stopRemoteAudio();
+        await startRemoteAudio();
+    }
+}
+
+// Memory channel manager
+// Channels are read into memoryChannels, edited in the table, and changed
+// channels (dirtyChannels) are written back and verified by reading them again.
+let memoryChannels = [];
+const dirtyChannels = new Set();
+let memoryBusy = false;
+
+// Read all memory channels from the radio
+async function readAllMemories() {
+    if (memoryBusy) return;
+    memoryBusy = true;
+    updateMemoryButtons();
+
+    const status = document.getElementById('memoryStatus');
+    const channels = [];
+    let failed = 0;
+
+    for (let channel = 1; channel <= MEMORY_CHANNELS && radio.connected; channel++) {
+        status.textContent = `Reading channel ${channel}/${MEMORY_CHANNELS}...`;
+        try {
+            channels.push(await radio.readMemory(channel));
+        } catch (error) {
+            failed++;
+            log(`Memory ${channel} read failed: ` + error.message, 'error');
+            channels.push({ ...emptyMemory(channel), error: true });
+        }
+    }
+
+    memoryChannels = channels;
+    dirtyChannels.clear();
+    renderMemoryTable();
+    renderMemoryImport();
+
+    const used = channels.filter(memory => !memory.empty).length;
+    status.textContent = `${used} of ${channels.length} channels in use` + (failed ? `, ${failed} failed` : '');
+    log(`Read ${channels.length} memory channels`, failed ? 'error' : 'success');
+
+    memoryBusy = false;
+    updateMemoryButtons();
+}
+
+// Write changed channels and verify each one
+async function writeMemoryChanges() {
+    if (memoryBusy || dirtyChannels.size === 0) return;
+
+    const channels = [...dirtyChannels].sort((a, b) => a - b);
+    for (const channel of channels) {
+        const problem = validateMemory(memoryChannels[channel - 1]);
+        if (problem) {
+            log(`Memory ${channel}: ${problem}`, 'error');
+            return;
+        }
+    }
+
+    memoryBusy = true;
+    updateMemoryButtons();
+
+    const status = document.getElementById('memoryStatus');
+    let written = 0;
+
+    for (const channel of channels) {
+        if (!radio.connected) break;
+        status.textContent = `Writing channel ${channel}...`;
+        try {
+            memoryChannels[channel - 1] = await radio.writeMemory(memoryChannels[channel - 1]);
+            dirtyChannels.delete(channel);
+            setMemoryRowStatus(channel, '✓', '#4CAF50');
+            written++;
+        } catch (error) {
+            setMemoryRowStatus(channel, '✗', '#f44336');
+            log(`Memory ${channel} write failed: ` + error.message, 'error');
+        }
+    }
+
+    renderMemoryTable();
+    status.textContent = `Wrote and verified ${written} of ${channels.length} channels`;
+    log(`Wrote ${written} of ${channels.length} memory channels`, written === channels.length ? 'success' : 'error');
+
+    memoryBusy = false;
+    updateMemoryButtons();
+}
+
+// Returns a problem description, or null if the channel can be written
+function validateMemory(memory) {
+    if (memory.empty) return null;
+    if (isNaN(memory.frequencyHz) || memory.frequencyHz < FREQ_MIN_HZ || memory.frequencyHz > FREQ_MAX_HZ) {
+        return 'frequency out of range (1-60 MHz)';
+    }
+    if (isNaN(memory.toneHz) || isNaN(memory.tsqlHz)) {
+        return 'invalid tone frequency';
+    }
+    return null;
+}
+
+// Tune the VFO to a memory channel's frequency and mode
+async function tuneToMemory(channel) {
+    const memory = memoryChannels[channel - 1];
+    if (memory.empty) return;
+
+    try {
+        await radio.setFrequency(memory.frequencyHz);
+        await radio.setMode(memory.modeCode, memory.filter, memory.dataMode);
+        log(`Tuned to memory ${channel}` + (memory.name ? ` (${memory.name})` : ''), 'success');
+    } catch (error) {
+        log(`Tune to memory ${channel} failed: ` + error.message, 'error');
+    }
+}
+
+// Apply an edit from the table
+function editMemory(channel, field, value) {
+    const memory = memoryChannels[channel - 1];
+    memory[field] = value;
+    if (field !== 'empty') {
+        memory.empty = false;
+    }
+    dirtyChannels.add(channel);
+    renderMemoryRow(channel);
+    updateMemoryButtons();
+}
+
+function renderMemoryTable() {
+    const body = document.getElementById('memoryTableBody');
+    body.innerHTML = '';
+    memoryChannels.forEach(memory => body.appendChild(createMemoryRow(memory)));
+}
+
+function renderMemoryRow(channel) {
+    const row = document.getElementById('memoryRow' + channel);
+    row.replaceWith(createMemoryRow(memoryChannels[channel - 1]));
+}
+
+function setMemoryRowStatus(channel, text, color) {
+    const cell = document.querySelector(`#memoryRow${channel} .memory-status`);
+    if (cell) {
+        cell.textContent = text;
+        cell.style.color = color;
+    }
+}
+
+// Build one editable table row
+function createMemoryRow(memory) {
+    const channel = memory.channel;
+    const row = document.createElement('tr');
+    row.id = 'memoryRow' + channel;
+    if (dirtyChannels.has(channel)) row.classList.add('dirty');
+    if (memory.empty) row.classList.add('empty');
+
+    const cell = (content) => {
+        const td = document.createElement('td');
+        if (content instanceof Node) {
+            td.appendChild(content);
+        } else {
+            td.textContent = content;
+        }
+        row.appendChild(td);
+        return td;
+    };
+
+    const input = (field, value, parse, attributes = {}) => {
+        const el = document.createElement('input');
+        el.type = 'text';
+        el.value = value;
+        Object.assign(el, attributes);
+        el.addEventListener('change', () => editMemory(channel, field, parse(el.value)));
+        return el;
+    };
+
+    const select = (field, options, value) => {
+        const el = document.createElement('select');
+        options.forEach(([optionValue, label]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            el.appendChild(option);
+        });
+        el.value = value;
+        el.addEventListener('change', () => editMemory(channel, field, parseInt(el.value)));
+        return el;
+    };
+
+    cell(channel.toString().padStart(2, '0'));
+    cell(input('frequencyHz', memory.empty ? '' : (memory.frequencyHz / 1000000).toFixed(6),
+        value => Math.round(parseFloat(value) * 1000000), { placeholder: 'empty' }));
+    cell(select('modeCode', Object.entries(MODES).map(([hex, name]) => [parseInt(hex, 16), name]), memory.modeCode));
+    cell(select('filter', [[1, 'FIL1'], [2, 'FIL2'], [3, 'FIL3']], memory.filter));
+    cell(input('name', memory.name, value => value.slice(0, MEMORY_NAME_LENGTH), { maxLength: MEMORY_NAME_LENGTH }));
+    cell(select('duplex', DUPLEX.map((name, i) => [i, name]), memory.duplex));
+    cell(select('toneMode', TONE_MODES.map((name, i) => [i, name]), memory.toneMode));
+    cell(input('toneHz', memory.toneHz.toFixed(1), parseFloat, { size: 5 }));
+    cell(input('tsqlHz', memory.tsqlHz.toFixed(1), parseFloat, { size: 5 }));
+
+    const status = cell(memory.error ? '!' : (dirtyChannels.has(channel) ? '●' : ''));
+    status.className = 'memory-status';
+    if (memory.error) status.style.color = '#f44336';
+
+    const actions = document.createElement('div');
+    actions.className = 'memory-actions';
+    const tuneBtn = document.createElement('button');
+    tuneBtn.textContent = 'Tune';
+    tuneBtn.className = 'secondary';
+    tuneBtn.disabled = memory.empty || !radio.connected;
+    tuneBtn.addEventListener('click', () => tuneToMemory(channel));
+    const clearBtn = document.createElement('button');
+    clearBtn.textContent = 'Clear';
+    clearBtn.className = 'danger';
+    clearBtn.disabled = memory.empty;
+    clearBtn.addEventListener('click', () => editMemory(channel, 'empty', true));
+    actions.append(tuneBtn, clearBtn);
+    cell(actions);
+
+    return row;
+}
+
+function updateMemoryButtons() {
+    const hasChannels = memoryChannels.some(memory => !memory.empty);
+    document.getElementById('memoryReadBtn').disabled = !radio.connected || memoryBusy;
+    document.getElementById('memoryExportBtn').disabled = !hasChannels;
+    document.getElementById('memoryExportChirpBtn').disabled = !hasChannels;
+    document.getElementById('memoryWriteBtn').disabled = !radio.connected || memoryBusy || dirtyChannels.size === 0;
+    document.getElementById('memoryWriteBtn').textContent =
+        dirtyChannels.size > 0 ? `Write ${dirtyChannels.size} Changed` : 'Write Changes';
+}
+
+// CSV import/export
+// An imported file is shown as a diff against the memory table (or, for
+// entries without a channel number, against the VFO) before anything is
+// applied. Applied channels are only marked as changed; Write Changes sends them.
+let memoryImport = null;
+
+function exportMemories(format) {
+    const text = exportChannels(memoryChannels, format);
+    const filename = format === 'chirp' ? 'ic7300-chirp.csv' : 'ic7300-memories.csv';
+    downloadFile(filename, text, 'text/csv');
+    log(`Exported ${memoryChannels.filter(memory => !memory.empty).length} memory channels to ${filename}`, 'success');
+}
+
+function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Load a CSV file chosen in the file input and show the preview
+async function importMemoryFile(fileInput) {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    const result = importChannels(await file.text(), {
+        minHz: FREQ_MIN_HZ,
+        maxHz: FREQ_MAX_HZ,
+        maxChannel: MEMORY_CHANNELS
+    });
+
+    result.errors.forEach(error => log(`${file.name}: ${error}`, 'error'));
+    log(`Loaded ${result.entries.length} entries from ${file.name} (${result.format || 'unknown'} format)` +
+        (result.errors.length ? `, ${result.errors.length} skipped` : ''), result.entries.length ? 'info' : 'error');
+
+    memoryImport = result.entries.length ? { filename: file.name, entries: result.entries } : null;
+    renderMemoryImport();
+}
+
+// Memory contents after applying an imported entry to a channel
+function mergeImportedMemory(entry) {
+    const current = memoryChannels[entry.channel - 1];
+    return {
+        ...current,
+        empty: false,
+        error: false,
+        frequencyHz: entry.frequencyHz,
+        modeCode: entry.modeCode,
+        filter: current.empty ? 1 : current.filter,
+        dataMode: DATA_MODE_CODES.includes(entry.modeCode) && (entry.dataMode ?? current.dataMode),
+        name: entry.name,
+        duplex: entry.duplex,
+        toneMode: entry.toneMode,
+        toneHz: entry.toneHz,
+        tsqlHz: entry.tsqlHz
+    };
+}
+
+function describeMemory(memory) {
+    if (memory.empty) return 'empty';
+    return `${(memory.frequencyHz / 1000000).toFixed(6)} ${modeLabel(memory.modeCode, memory.dataMode)}` +
+        (memory.name ? ` "${memory.name}"` : '');
+}
+
+// Apply the imported channels to the memory table
+function applyMemoryImport() {
+    if (!memoryImport || memoryChannels.length === 0) return;
+
+    let changed = 0;
+    memoryImport.entries.filter(entry => entry.channel !== null).forEach(entry => {
+        const merged = mergeImportedMemory(entry);
+        if (!memoriesEqual(merged, memoryChannels[entry.channel - 1])) {
+            memoryChannels[entry.channel - 1] = merged;
+            dirtyChannels.add(entry.channel);
+            changed++;
+        }
+    });
+
+    log(`Applied ${changed} changed channels from ${memoryImport.filename}; review and Write Changes to store them`, 'success');
+    memoryImport = null;
+    renderMemoryImport();
+    renderMemoryTable();
+    updateMemoryButtons();
+}
+
+function cancelMemoryImport() {
+    memoryImport = null;
+    renderMemoryImport();
 }
 
-// Start polling for status
-function startStatusPolling() {
-    // Poll every 300ms for responsive meter updates
-    statusPollInterval = setInterval(() => {
-        if (isConnected) {
-            // Read operating status to get TX/RX state
-            readOperatingStatus();
+// Tune to an imported frequency list entry
+async function tuneToImported(entry) {
+    try {
+        await radio.setFrequency(entry.frequencyHz);
+        await radio.setMode(entry.modeCode, radio.state.filter || 1, Boolean(entry.dataMode));
+        log(`Tuned to ${describeMemory({ ...entry, empty: false })}`, 'success');
+    } catch (error) {
+        log('Tune failed: ' + error.message, 'error');
+    }
+}
 
-            // Read appropriate meter based on current state
-            if (pttActive) {
-                setTimeout(readPowerMeter, 100);
+// Show the import diff: channel entries against the memory table,
+// frequency list entries against the current VFO
+function renderMemoryImport() {
+    const preview = document.getElementById('memoryImportPreview');
+    const body = document.getElementById('memoryImportBody');
+    const summary = document.getElementById('memoryImportSummary');
+    const applyBtn = document.getElementById('memoryImportApplyBtn');
+
+    body.innerHTML = '';
+    if (!memoryImport) {
+        preview.style.display = 'none';
+        return;
+    }
+    preview.style.display = 'block';
+
+    const tableLoaded = memoryChannels.length > 0;
+    const vfo = {
+        empty: radio.state.frequencyHz === null,
+        frequencyHz: radio.state.frequencyHz,
+        modeCode: radio.state.modeCode,
+        name: ''
+    };
+    let changes = 0;
+
+    memoryImport.entries.forEach(entry => {
+        const row = document.createElement('tr');
+        let imported = { ...entry, empty: false };
+        let current;
+        let change;
+
+        if (entry.channel === null) {
+            current = radio.connected && !vfo.empty ? 'VFO ' + describeMemory(vfo) : 'VFO';
+            change = 'tune';
+        } else if (!tableLoaded) {
+            current = 'not read';
+            change = '?';
+        } else {
+            const existing = memoryChannels[entry.channel - 1];
+            current = describeMemory(existing);
+            imported = mergeImportedMemory(entry);  // As it will be written, e.g. keeping the data mode
+            if (existing.empty) {
+                change = 'new';
+            } else if (memoriesEqual(imported, existing)) {
+                change = 'same';
             } else {
-                setTimeout(readSMeter, 100);
+                change = 'changed';
             }
+            if (change !== 'same') changes++;
+        }
 
-            // Read frequency and mode less frequently
-            if (Math.random() < 0.15) {  // About every 2 seconds
-                setTimeout(() => {
-                    readFrequency();
-                    setTimeout(readMode, 100);
-                }, 200);
-            }
+        [entry.channel === null ? '—' : entry.channel.toString().padStart(2, '0'), current, describeMemory(imported), change]
+            .forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                row.appendChild(td);
+            });
+        if (change === 'new' || change === 'changed') row.classList.add('dirty');
+
+        const td = document.createElement('td');
+        if (entry.channel === null) {
+            const tuneBtn = document.createElement('button');
+            tuneBtn.textContent = 'Tune';
+            tuneBtn.className = 'secondary';
+            tuneBtn.disabled = !radio.connected;
+            tuneBtn.addEventListener('click', () => tuneToImported(entry));
+            const actions = document.createElement('div');
+            actions.className = 'memory-actions';
+            actions.appendChild(tuneBtn);
+            td.appendChild(actions);
         }
-    }, 300);
-}
+        row.appendChild(td);
+        body.appendChild(row);
+    });
 
-// Stop polling
-function stopStatusPolling() {
-    if (statusPollInterval) {
-        clearInterval(statusPollInterval);
-        statusPollInterval = null;
-    }
+    const channelEntries = memoryImport.entries.filter(entry => entry.channel !== null).length;
+    const listEntries = memoryImport.entries.length - channelEntries;
+    summary.textContent = `${memoryImport.filename}: ${channelEntries} channels` +
+        (tableLoaded ? ` (${changes} to change)` : ' (Read All to compare with the radio)') +
+        (listEntries ? `, ${listEntries} frequencies to tune` : '');
+    applyBtn.disabled = !tableLoaded || changes === 0;
 }
 
 // Update connection status in UI
@@ -890,10 +2331,13 @@ function updateConnectionStatus(connected) {
     const setFreqBtn = document.getElementById('setFreqBtn');
     const modeSelect = document.getElementById('modeSelect');
     const setModeBtn = document.getElementById('setModeBtn');
+    const filterSelect = document.getElementById('filterSelect');
+    const dataModeCheck = document.getElementById('dataModeCheck');
     const pttBtn = document.getElementById('pttBtn');
+    const transportSelect = document.getElementById('transport');
     const baudRateSelect = document.getElementById('baudRate');
     const civAddressInput = document.getElementById('civAddress');
-    const cwKeyLine = document.getElementById('cwKeyLine');
+    const cwKeyer = document.getElementById('cwKeyer');
     const cwWPM = document.getElementById('cwWPM');
     const cwMessage = document.getElementById('cwMessage');
     const sendCWBtn = document.getElementById('sendCWBtn');
@@ -908,10 +2352,13 @@ function updateConnectionStatus(connected) {
         setFreqBtn.disabled = false;
         modeSelect.disabled = false;
         setModeBtn.disabled = false;
+        filterSelect.disabled = false;
+        updateDataModeCheck();
         pttBtn.disabled = false;
+        transportSelect.disabled = true;
         baudRateSelect.disabled = true;
         civAddressInput.disabled = true;
-        cwKeyLine.disabled = false;
+        cwKeyer.disabled = false;
         cwWPM.disabled = false;
         cwMessage.disabled = false;
         sendCWBtn.disabled = false;
@@ -925,10 +2372,13 @@ function updateConnectionStatus(connected) {
         setFreqBtn.disabled = true;
         modeSelect.disabled = true;
         setModeBtn.disabled = true;
+        filterSelect.disabled = true;
+        dataModeCheck.disabled = true;
         pttBtn.disabled = true;
+        transportSelect.disabled = false;
         baudRateSelect.disabled = false;
         civAddressInput.disabled = false;
-        cwKeyLine.disabled = true;
+        cwKeyer.disabled = true;
         cwWPM.disabled = true;
         cwMessage.disabled = true;
         sendCWBtn.disabled = true;
@@ -938,11 +2388,78 @@ function updateConnectionStatus(connected) {
         document.getElementById('meterValue').textContent = '---';
         document.getElementById('meterLabel').textContent = 'S-METER (RX)';
 
-        // Clear bargraph
+        // Clear bargraph and TX meters
         document.querySelectorAll('.bar-segment').forEach(segment => {
-            segment.classList.remove('active');
+            segment.classList.remove('active', 'peak');
         });
+        bargraphPeak = null;
+        renderTxMeters();
+    }
+
+    // Memory table buttons (Read, Write, Tune) depend on the connection
+    updateMemoryButtons();
+    renderMemoryTable();
+    renderMemoryImport();
+
+    // Band and bookmark buttons tune the radio
+    renderBandBar();
+    renderBookmarks();
+    renderCWMacros();
+
+    VFO_CONTROL_IDS.forEach(id => {
+        document.getElementById(id).disabled = !connected;
+    });
+    updateVFODisplay();
+
+    updateScopeControls();
+    if (!connected) clearScope();
+
+    CONTROLS.forEach(control => {
+        document.getElementById('control-' + control.id).disabled = !connected;
+        if (!connected) updateControlInput(control.id, null);
+    });
+}
+
+// Poll interval inputs, keyed by poll item id
+const POLL_INTERVAL_INPUTS = {
+    txStatus: 'pollTxStatus',
+    meter: 'pollMeter',
+    frequency: 'pollFrequency',
+    mode: 'pollMode',
+    vfo: 'pollVfo',
+    controls: 'pollControls'
+};
+
+function applyPollIntervals(intervals) {
+    Object.keys(POLL_INTERVAL_INPUTS).forEach(id => {
+        radio.setPollInterval(id, intervals[id] ?? DEFAULT_POLL_INTERVALS[id]);
+    });
+}
+
+function updatePollIntervalInputs() {
+    Object.entries(POLL_INTERVAL_INPUTS).forEach(([id, inputId]) => {
+        document.getElementById(inputId).value = radio.getPollInterval(id);
+    });
+}
+
+// Returns the entered intervals, or null if any is invalid
+function readPollIntervalInputs() {
+    const intervals = {};
+    for (const [id, inputId] of Object.entries(POLL_INTERVAL_INPUTS)) {
+        const value = parseInt(document.getElementById(inputId).value);
+        if (isNaN(value) || (value !== 0 && value < 100) || value > 60000) {
+            log('Invalid poll interval for ' + id + ' (0 = off, or 100-60000 ms)', 'error');
+            return null;
+        }
+        intervals[id] = value;
     }
+    return intervals;
+}
+
+function updateTxGuardInputs() {
+    document.getElementById('txTimeout').value = txGuard.timeoutS;
+    document.getElementById('swrLimit').value = txGuard.swrLimit.toFixed(1);
+    document.getElementById('releaseOnHidden').checked = RELEASE_ON_HIDDEN;
 }
 
 // Settings management
@@ -951,18 +2468,45 @@ function loadSettings() {
         const stored = localStorage.getItem(SETTINGS_KEY);
         if (stored) {
             const settings = JSON.parse(stored);
+            TRANSPORT = settings.transport || 'serial';
             BAUD_RATE = settings.baudRate || 19200;
             IC7300_ADDRESS = settings.civAddress || 0x94;
-            WAVELOG_URL = settings.wavelogUrl || '';
-            WAVELOG_API_KEY = settings.wavelogApiKey || '';
-            WAVELOG_ENABLED = settings.wavelogEnabled || false;
+            CIV_TIMEOUT_MS = settings.civTimeout || 500;
+            CIV_RETRIES = settings.civRetries ?? 2;
+            radio.configure({ civAddress: IC7300_ADDRESS, timeout: CIV_TIMEOUT_MS, retries: CIV_RETRIES });
+            applyPollIntervals(settings.pollIntervals || {});
+            loggerTargets = settings.loggerTargets || migrateWavelogSettings(settings);
+            bandStack = settings.bandStack || {};
+            bookmarks = settings.bookmarks || [];
+            cwTiming = { ...DEFAULT_CW_TIMING, ...settings.cwTiming };
+            cwMacros = DEFAULT_CW_MACROS.map((macro, index) => ({ ...macro, ...settings.cwMacros?.[index] }));
+            myCall = settings.myCall || '';
+            txGuard.configure({
+                timeoutS: settings.txTimeout ?? DEFAULT_TX_GUARD.timeoutS,
+                swrLimit: settings.swrLimit ?? DEFAULT_TX_GUARD.swrLimit
+            });
+            RELEASE_ON_HIDDEN = settings.releaseOnHidden ?? true;
+            BRIDGE_URL = settings.bridgeUrl || DEFAULT_BRIDGE_URL;
+            BRIDGE_TOKEN = settings.bridgeToken || '';
 
             // Update UI
+            document.getElementById('transport').value = TRANSPORT;
             document.getElementById('baudRate').value = BAUD_RATE;
             document.getElementById('civAddress').value = IC7300_ADDRESS.toString(16).toUpperCase();
-            document.getElementById('wavelogUrl').value = WAVELOG_URL;
-            document.getElementById('wavelogApiKey').value = WAVELOG_API_KEY;
-            document.getElementById('wavelogEnabled').checked = WAVELOG_ENABLED;
+            document.getElementById('civTimeout').value = CIV_TIMEOUT_MS;
+            document.getElementById('civRetries').value = CIV_RETRIES;
+            updatePollIntervalInputs();
+            renderLoggerTargets();
+            updateTxGuardInputs();
+            document.getElementById('bridgeUrl').value = BRIDGE_URL;
+            document.getElementById('bridgeToken').value = BRIDGE_TOKEN;
+            document.getElementById('cwKeyer').value = settings.cwKeyer || 'civ';
+            updateCWTimingInputs();
+            cwDecoderInput = settings.cwDecoderInput || '';
+            cwDecoderTone = settings.cwDecoderTone ?? 0;
+            document.getElementById('cwDecoderTone').value = cwDecoderTone;
+            remoteAudioSettings = { ...DEFAULT_REMOTE_AUDIO, ...settings.remoteAudio };
+            updateRemoteAudioInputs();
 
             log('Settings loaded from storage', 'success');
         }
@@ -982,18 +2526,77 @@ function saveSettings() {
             return false;
         }
 
+        const civTimeout = parseInt(document.getElementById('civTimeout').value);
+        const civRetries = parseInt(document.getElementById('civRetries').value);
+
+        if (isNaN(civTimeout) || civTimeout < 50 || civTimeout > 5000) {
+            log('Invalid reply timeout (must be 50-5000 ms)', 'error');
+            return false;
+        }
+
+        if (isNaN(civRetries) || civRetries < 0 || civRetries > 5) {
+            log('Invalid retry count (must be 0-5)', 'error');
+            return false;
+        }
+
+        const pollIntervals = readPollIntervalInputs();
+        if (!pollIntervals) {
+            return false;
+        }
+
+        const txTimeout = parseInt(document.getElementById('txTimeout').value);
+        const swrLimit = parseFloat(document.getElementById('swrLimit').value);
+
+        if (isNaN(txTimeout) || txTimeout < 0 || txTimeout > 3600) {
+            log('Invalid TX timeout (0 = off, or up to 3600 s)', 'error');
+            return false;
+        }
+
+        if (isNaN(swrLimit) || (swrLimit !== 0 && (swrLimit < 1.2 || swrLimit > 3))) {
+            log('Invalid SWR limit (0 = off, or 1.2-3.0)', 'error');
+            return false;
+        }
+
+        const bridgeUrl = document.getElementById('bridgeUrl').value.trim() || DEFAULT_BRIDGE_URL;
+        if (!/^wss?:\/\//.test(bridgeUrl)) {
+            log('Invalid bridge URL (must start with ws:// or wss://)', 'error');
+            return false;
+        }
+
+        TRANSPORT = document.getElementById('transport').value;
         BAUD_RATE = baudRate;
         IC7300_ADDRESS = civAddress;
-        WAVELOG_URL = document.getElementById('wavelogUrl').value.trim();
-        WAVELOG_API_KEY = document.getElementById('wavelogApiKey').value.trim();
-        WAVELOG_ENABLED = document.getElementById('wavelogEnabled').checked;
+        CIV_TIMEOUT_MS = civTimeout;
+        CIV_RETRIES = civRetries;
+        radio.configure({ civAddress: IC7300_ADDRESS, timeout: CIV_TIMEOUT_MS, retries: CIV_RETRIES });
+        applyPollIntervals(pollIntervals);
+        txGuard.configure({ timeoutS: txTimeout, swrLimit });
+        RELEASE_ON_HIDDEN = document.getElementById('releaseOnHidden').checked;
+        BRIDGE_URL = bridgeUrl;
+        BRIDGE_TOKEN = document.getElementById('bridgeToken').value;
 
         const settings = {
+            transport: TRANSPORT,
             baudRate: BAUD_RATE,
             civAddress: IC7300_ADDRESS,
-            wavelogUrl: WAVELOG_URL,
-            wavelogApiKey: WAVELOG_API_KEY,
-            wavelogEnabled: WAVELOG_ENABLED
+            civTimeout: CIV_TIMEOUT_MS,
+            civRetries: CIV_RETRIES,
+            pollIntervals: pollIntervals,
+            loggerTargets: loggerTargets,
+            txTimeout: txGuard.timeoutS,
+            swrLimit: txGuard.swrLimit,
+            releaseOnHidden: RELEASE_ON_HIDDEN,
+            bridgeUrl: BRIDGE_URL,
+            bridgeToken: BRIDGE_TOKEN,
+            bandStack: bandStack,
+            bookmarks: bookmarks,
+            cwKeyer: cwKeyerMode(),
+            cwTiming: cwTiming,
+            cwDecoderInput: cwDecoderInput,
+            cwDecoderTone: cwDecoderTone,
+            remoteAudio: remoteAudioSettings,
+            cwMacros: cwMacros,
+            myCall: myCall
         };
 
         localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
@@ -1005,23 +2608,60 @@ function saveSettings() {
     }
 }
 
+// Update some stored settings without touching the rest (used for data
+// that changes outside the settings form, like bookmarks)
+function storeSettings(changes) {
+    try {
+        const stored = localStorage.getItem(SETTINGS_KEY);
+        const settings = stored ? JSON.parse(stored) : {};
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...settings, ...changes }));
+    } catch (error) {
+        log('Error saving settings: ' + error.message, 'error');
+    }
+}
+
 function resetSettings() {
     try {
         localStorage.removeItem(SETTINGS_KEY);
+        // Bookmarks, the band stack and CW macros are user data, not settings; keep them
+        storeSettings({ bandStack, bookmarks, cwMacros, myCall });
 
         // Reset to defaults
+        TRANSPORT = 'serial';
         BAUD_RATE = 19200;
         IC7300_ADDRESS = 0x94;
-        WAVELOG_URL = '';
-        WAVELOG_API_KEY = '';
-        WAVELOG_ENABLED = false;
+        CIV_TIMEOUT_MS = 500;
+        CIV_RETRIES = 2;
+        radio.configure({ civAddress: IC7300_ADDRESS, timeout: CIV_TIMEOUT_MS, retries: CIV_RETRIES });
+        loggerTargets = [];
+        txGuard.configure(DEFAULT_TX_GUARD);
+        RELEASE_ON_HIDDEN = true;
+        BRIDGE_URL = DEFAULT_BRIDGE_URL;
+        BRIDGE_TOKEN = '';
+        cwTiming = { ...DEFAULT_CW_TIMING };
+        cwDecoderInput = '';
+        cwDecoderTone = 0;
+        decoderAudio?.decoder.setTone(0);
 
         // Update UI
+        document.getElementById('transport').value = TRANSPORT;
         document.getElementById('baudRate').value = BAUD_RATE;
         document.getElementById('civAddress').value = '94';
-        document.getElementById('wavelogUrl').value = '';
-        document.getElementById('wavelogApiKey').value = '';
-        document.getElementById('wavelogEnabled').checked = false;
+        document.getElementById('civTimeout').value = CIV_TIMEOUT_MS;
+        document.getElementById('civRetries').value = CIV_RETRIES;
+        applyPollIntervals(DEFAULT_POLL_INTERVALS);
+        updatePollIntervalInputs();
+        renderLoggerTargets();
+        updateTxGuardInputs();
+        document.getElementById('bridgeUrl').value = BRIDGE_URL;
+        document.getElementById('bridgeToken').value = '';
+        document.getElementById('cwKeyer').value = 'civ';
+        updateCWTimingInputs();
+        document.getElementById('cwDecoderTone').value = 0;
+        remoteAudioSettings = { ...DEFAULT_REMOTE_AUDIO };
+        remoteAudio.configure(remoteAudioSettings);
+        updateRemoteAudioInputs();
+        listAudioDevices();
 
         log('Settings reset to defaults', 'success');
     } catch (error) {
@@ -1032,18 +2672,41 @@ function resetSettings() {
 // Auto-save settings when they change
 document.addEventListener('DOMContentLoaded', () => {
     loadSettings();
-
+    renderTxMeters();
+    drawHistory();
+    renderScopeSpans();
+    renderControlsPanel();
+    renderBandBar();
+    renderBookmarks();
+    renderCWMacros();
+    updateRemoteAudioInputs();
+    listAudioDevices();
+    renderLoggerTargets();
+    initQsoForm();
+    openQsoLog();
+    updateBridgeStatus();
+
+    const transportSelect = document.getElementById('transport');
     const baudRateSelect = document.getElementById('baudRate');
     const civAddressInput = document.getElementById('civAddress');
-    const wavelogUrlInput = document.getElementById('wavelogUrl');
-    const wavelogApiKeyInput = document.getElementById('wavelogApiKey');
-    const wavelogEnabledCheck = document.getElementById('wavelogEnabled');
+    const civTimeoutInput = document.getElementById('civTimeout');
+    const civRetriesInput = document.getElementById('civRetries');
 
+    transportSelect.addEventListener('change', saveSettings);
     baudRateSelect.addEventListener('change', saveSettings);
     civAddressInput.addEventListener('blur', saveSettings);
-    wavelogUrlInput.addEventListener('blur', saveSettings);
-    wavelogApiKeyInput.addEventListener('blur', saveSettings);
-    wavelogEnabledCheck.addEventListener('change', saveSettings);
+    civTimeoutInput.addEventListener('change', saveSettings);
+    civRetriesInput.addEventListener('change', saveSettings);
+    Object.values(POLL_INTERVAL_INPUTS).forEach(inputId => {
+        document.getElementById(inputId).addEventListener('change', saveSettings);
+    });
+    ['txTimeout', 'swrLimit', 'releaseOnHidden'].forEach(id => {
+        document.getElementById(id).addEventListener('change', saveSettings);
+    });
+    ['bridgeUrl', 'bridgeToken'].forEach(id => {
+        document.getElementById(id).addEventListener('blur', saveSettings);
+    });
+    document.getElementById('modeSelect').addEventListener('change', updateDataModeCheck);
 
     // Validate CI-V address input
     civAddressInput.addEventListener('input', (e) => {
@@ -1051,69 +2714,693 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
-// Wavelog integration
-async function sendToWavelog(frequency, mode) {
-    if (!WAVELOG_ENABLED || !WAVELOG_URL || !WAVELOG_API_KEY) {
-        return;
-    }
-
-    try {
-        // Build Wavelog radio API endpoint
-        const url = WAVELOG_URL.replace(/\/$/, '') + '/index.php/api/radio';
-
-        // Map IC-7300 mode codes to Wavelog mode names
-        const modeMap = {
-            0x00: 'LSB',
-            0x01: 'USB',
-            0x02: 'AM',
-            0x03: 'CW',
-            0x04: 'RTTY',
-            0x05: 'FM',
-            0x07: 'CW',  // CW-R
-            0x08: 'RTTY' // RTTY-R
-        };
+// Logger targets
+// Every enabled target gets the TX frequency, RX frequency and mode after
+// each change (debounced in onRadioStateChanged). See loggers.js for the
+// request formats.
+
+// Settings from before logger targets had a single Wavelog entry
+function migrateWavelogSettings(settings) {
+    if (!settings.wavelogUrl) return [];
+    return [{
+        ...createLoggerTarget('wavelog'),
+        url: settings.wavelogUrl,
+        key: settings.wavelogApiKey || '',
+        enabled: settings.wavelogEnabled || false
+    }];
+}
 
-        const modeName = modeMap[mode] || 'USB';
+// "Wavelog log.example.com" for log messages
+function describeLoggerTarget(target) {
+    const label = LOGGER_TYPES[target.type]?.label || target.type;
+    const host = target.url.replace(/^\w+:\/\//, '').replace(/\/.*$/, '');
+    return host ? label + ' ' + host : label;
+}
 
-        const data = {
-            key: WAVELOG_API_KEY,
-            radio: 'IC-7300',
-            frequency: frequency,
-            mode: modeName
-        };
+// HTTP address of the relay, derived from the bridge URL (N1MM targets)
+function relayHttpUrl() {
+    return BRIDGE_URL.replace(/^ws/, 'http').replace(/\/bridge\/?$/, '');
+}
 
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(data)
-        });
+async function sendToLogger(target, status) {
+    const name = describeLoggerTarget(target);
+    try {
+        const { url, options } = buildLoggerRequest(target, status, { url: relayHttpUrl(), token: BRIDGE_TOKEN });
+        const response = await fetch(url, options);
 
         if (response.ok) {
-            log('Wavelog updated: ' + (frequency / 1000000).toFixed(6) + ' MHz ' + modeName, 'success');
+            log(name + ' updated: ' + (status.frequencyHz / 1000000).toFixed(6) + ' MHz ' +
+                loggerModeName(status.modeCode, status.dataMode), 'success');
         } else {
-            log('Wavelog update failed: ' + response.status, 'error');
+            log(name + ' update failed: ' + response.status, 'error');
         }
     } catch (error) {
-        log('Wavelog error: ' + error.message, 'error');
+        log(name + ' error: ' + error.message, 'error');
+    }
+}
+
+async function sendToLoggers() {
+    const targets = loggerTargets.filter(target => target.enabled && !loggerTargetError(target));
+    if (!targets.length) {
+        return;
     }
+
+    const status = {
+        frequencyHz: radio.transmitFrequencyHz(),
+        rxFrequencyHz: radio.state.frequencyHz,
+        modeCode: radio.state.modeCode,
+        dataMode: radio.state.dataMode,
+        split: radio.state.split,
+        ptt: radio.state.ptt,
+        time: Date.now()
+    };
+    await Promise.all(targets.map(target => sendToLogger(target, status)));
 }
 
 // Called when frequency or mode changes
 function onRadioStateChanged() {
-    if (lastFrequencyHz !== null && lastModeCode !== null) {
+    const { frequencyHz, modeCode } = radio.state;
+    if (frequencyHz !== null && modeCode !== null) {
         // Clear existing timer if any
-        if (wavelogDebounceTimer) {
-            clearTimeout(wavelogDebounceTimer);
+        if (loggerDebounceTimer) {
+            clearTimeout(loggerDebounceTimer);
         }
 
         // Set new timer to send after 500ms of no changes
-        wavelogDebounceTimer = setTimeout(() => {
-            sendToWavelog(lastFrequencyHz, lastModeCode);
-            wavelogDebounceTimer = null;
-        }, WAVELOG_DEBOUNCE_MS);
+        loggerDebounceTimer = setTimeout(() => {
+            sendToLoggers();
+            loggerDebounceTimer = null;
+        }, LOGGER_DEBOUNCE_MS);
+    }
+}
+
+function addLoggerTarget() {
+    loggerTargets.push(createLoggerTarget(loggerTargets.length ? 'webhook' : 'wavelog'));
+    storeSettings({ loggerTargets });
+    renderLoggerTargets();
+}
+
+function deleteLoggerTarget(index) {
+    const [target] = loggerTargets.splice(index, 1);
+    storeSettings({ loggerTargets });
+    renderLoggerTargets();
+    log('Logger target removed: ' + describeLoggerTarget(target), 'info');
+}
+
+function editLoggerTarget(index, field, value) {
+    const target = loggerTargets[index];
+    target[field] = value;
+
+    const error = loggerTargetError(target);
+    if (error && target.enabled) {
+        log(error, 'error');
+        if (field === 'enabled') {
+            // Not enabled until it is complete
+            target.enabled = false;
+            renderLoggerTargets();
+        }
+    }
+    if (field === 'type') {
+        renderLoggerTargets();
+    }
+    storeSettings({ loggerTargets });
+
+    // A target that was just completed or re-enabled can take the queued QSOs
+    flushQsoUploads();
+}
+
+function renderLoggerTargets() {
+    const list = document.getElementById('loggerTargetList');
+    list.innerHTML = '';
+
+    loggerTargets.forEach((target, index) => {
+        const type = LOGGER_TYPES[target.type];
+        const item = document.createElement('div');
+        item.className = 'logger-target';
+
+        const field = (labelText, control, labelFor = control.id) => {
+            const wrapper = document.createElement('div');
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            label.htmlFor = labelFor;
+            wrapper.append(label, control);
+            return wrapper;
+        };
+
+        const input = (name, attributes) => {
+            const el = document.createElement('input');
+            el.type = 'text';
+            el.id = `logger${name[0].toUpperCase() + name.slice(1)}${index}`;
+            el.value = target[name] ?? '';
+            Object.assign(el, attributes);
+            el.addEventListener('change', () => editLoggerTarget(index, name, el.value.trim()));
+            return el;
+        };
+
+        const typeSelect = document.createElement('select');
+        typeSelect.id = 'loggerType' + index;
+        Object.entries(LOGGER_TYPES).forEach(([value, { label }]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = target.type;
+        typeSelect.addEventListener('change', () => editLoggerTarget(index, 'type', typeSelect.value));
+
+        const urlField = field(target.type === 'n1mm' ? 'Address (host:port)' : 'URL',
+            input('url', { placeholder: type.urlPlaceholder }));
+        urlField.className = 'logger-url';
+
+        const keyInput = input('key', { type: 'password', placeholder: type.keyRequired ? 'Your API Key' : 'Optional' });
+        const keyToggle = document.createElement('button');
+        keyToggle.type = 'button';
+        keyToggle.className = 'toggle-visibility';
+        keyToggle.setAttribute('aria-label', 'Toggle API key visibility');
+        const eyeIcon = document.createElement('span');
+        eyeIcon.textContent = '👁';
+        keyToggle.appendChild(eyeIcon);
+        keyToggle.addEventListener('click', () => toggleKeyVisibility(keyInput, eyeIcon));
+        const keyWrapper = document.createElement('div');
+        keyWrapper.className = 'input-with-toggle';
+        keyWrapper.append(keyInput, keyToggle);
+        const keyField = field('API Key', keyWrapper, keyInput.id);
+        keyField.className = 'logger-url';
+        keyField.hidden = target.type === 'n1mm';
+
+        const stationField = field('Station ID (QSO upload)',
+            input('stationId', { placeholder: 'Optional, e.g. 1', maxLength: 10 }));
+        stationField.className = 'logger-url';
+        stationField.hidden = !QSO_UPLOAD_TYPES.includes(target.type);
+
+        const enabledCheck = document.createElement('input');
+        enabledCheck.type = 'checkbox';
+        enabledCheck.id = 'loggerEnabled' + index;
+        enabledCheck.checked = target.enabled;
+        enabledCheck.addEventListener('change', () => editLoggerTarget(index, 'enabled', enabledCheck.checked));
+        const enabledLabel = document.createElement('label');
+        enabledLabel.htmlFor = enabledCheck.id;
+        enabledLabel.textContent = 'Enabled';
+        const enabledField = document.createElement('div');
+        enabledField.className = 'logger-enabled';
+        enabledField.append(enabledCheck, enabledLabel);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = '✕';
+        deleteBtn.className = 'danger';
+        deleteBtn.title = 'Remove logger target';
+        deleteBtn.addEventListener('click', () => deleteLoggerTarget(index));
+
+        item.append(
+            field('Type', typeSelect),
+            field('Radio Name', input('radio', { placeholder: 'IC-7300', maxLength: 40 })),
+            enabledField,
+            deleteBtn,
+            urlField,
+            keyField,
+            stationField
+        );
+        list.appendChild(item);
+    });
+}
+
+// QSO log
+// Contacts are stored in IndexedDB (qsolog.js) and uploaded to every enabled
+// Wavelog/Cloudlog target with a station ID. Each QSO lists the targets it
+// has not reached yet in qso.pending, so QSOs logged while a logger is down
+// are sent by a later flushQsoUploads(): after the next QSO, when the
+// browser comes back online, when a target is edited, or by the retry timer.
+const qsoLog = new QsoLog();
+let qsos = [];             // All QSOs, oldest first
+let qsoLogOpen = false;
+const qsoEdited = new Set();  // Prefilled inputs the operator has changed
+let qsoUploading = false;
+let qsoUploadAgain = false;   // flushQsoUploads() was called during an upload
+let qsoRetryTimer = null;
+const unreachableTargets = new Set();  // Upload keys whose last attempt failed to connect
+const QSO_RETRY_MS = 60000;
+const QSO_TABLE_ROWS = 100;   // Newest QSOs shown in the table; exports have all
+
+// Inputs that follow the radio until the operator changes them
+const QSO_PREFILL_INPUTS = ['qsoFreq', 'qsoMode', 'qsoRstSent', 'qsoRstRcvd'];
+
+async function openQsoLog() {
+    try {
+        await qsoLog.open();
+        qsos = await qsoLog.all();
+        qsoLogOpen = true;
+        log(`QSO log opened (${qsos.length} QSOs)`, 'info');
+    } catch (error) {
+        log('QSO log unavailable: ' + error.message, 'error');
+    }
+    ['qsoLogBtn', 'qsoImportBtn', 'qsoExportBtn'].forEach(id => {
+        document.getElementById(id).disabled = !qsoLogOpen;
+    });
+    renderQsoLog();
+    flushQsoUploads();
+}
+
+function initQsoForm() {
+    const modeList = document.getElementById('qsoModeList');
+    ADIF_MODE_NAMES.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode;
+        modeList.appendChild(option);
+    });
+
+    QSO_PREFILL_INPUTS.forEach(id => {
+        document.getElementById(id).addEventListener('input', () => {
+            qsoEdited.add(id);
+            if (id === 'qsoFreq') updateQsoBand();
+            if (id === 'qsoMode') prefillQsoReports();
+        });
+    });
+
+    // Time On is when the operator starts typing the call
+    document.getElementById('qsoCall').addEventListener('input', event => {
+        if (event.target.value.trim() && !document.getElementById('qsoTimeOn').value) {
+            const now = new Date().toISOString();
+            document.getElementById('qsoDate').value = now.slice(0, 10);
+            document.getElementById('qsoTimeOn').value = now.slice(11, 16);
+        }
+    });
+
+    document.querySelectorAll('.qso-form input').forEach(input => {
+        input.addEventListener('keydown', event => {
+            if (event.key === 'Enter') logQso();
+        });
+    });
+
+    prefillQsoForm();
+}
+
+// Frequency, band, mode and reports from the radio, except inputs the operator changed
+function prefillQsoForm() {
+    const frequencyHz = radio.transmitFrequencyHz();
+    const { modeCode, dataMode } = radio.state;
+
+    if (!qsoEdited.has('qsoFreq') && frequencyHz !== null) {
+        document.getElementById('qsoFreq').value = (frequencyHz / 1000000).toFixed(6);
+        updateQsoBand();
+    }
+    if (!qsoEdited.has('qsoMode') && modeCode !== null) {
+        document.getElementById('qsoMode').value = adifMode(modeCode, dataMode).mode;
+    }
+    prefillQsoReports();
+}
+
+function prefillQsoReports() {
+    const report = defaultReport(document.getElementById('qsoMode').value.trim().toUpperCase());
+    ['qsoRstSent', 'qsoRstRcvd'].forEach(id => {
+        if (!qsoEdited.has(id)) document.getElementById(id).value = report;
+    });
+}
+
+function updateQsoBand() {
+    const frequencyHz = Math.round(parseFloat(document.getElementById('qsoFreq').value) * 1000000);
+    document.getElementById('qsoBand').value = bandForFrequency(frequencyHz)?.name || '';
+}
+
+function clearQsoForm() {
+    ['qsoCall', 'qsoDate', 'qsoTimeOn', 'qsoTimeOff', 'qsoNotes'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    qsoEdited.clear();
+    prefillQsoForm();
+}
+
+// "DL1ABC 14.074000 MHz FT8 2024-03-01 12:05Z" for log messages
+function describeQso(qso) {
+    const date = `${qso.qsoDate.slice(0, 4)}-${qso.qsoDate.slice(4, 6)}-${qso.qsoDate.slice(6, 8)}`;
+    const time = `${qso.timeOn.slice(0, 2)}:${qso.timeOn.slice(2, 4)}Z`;
+    const frequency = qso.frequencyHz ? (qso.frequencyHz / 1000000).toFixed(6) + ' MHz' : qso.band;
+    return `${qso.call} ${frequency} ${qso.mode} ${date} ${time}`;
+}
+
+async function logQso() {
+    if (!qsoLogOpen) return;
+    const value = id => document.getElementById(id).value.trim();
+    const now = new Date().toISOString();
+
+    const call = value('qsoCall').toUpperCase();
+    if (!/^[A-Z0-9]+(\/[A-Z0-9]+)*$/.test(call) || !/\d/.test(call)) {
+        log('Invalid call sign', 'error');
+        return;
+    }
+
+    const frequencyHz = parseFrequencyInput(value('qsoFreq'));
+    if (frequencyHz === null) {
+        return;
+    }
+
+    const mode = value('qsoMode').toUpperCase();
+    if (!/^[A-Z0-9]+$/.test(mode)) {
+        log('Invalid mode', 'error');
+        return;
+    }
+
+    const qsoDate = normalizeDate(value('qsoDate') || now.slice(0, 10));
+    const timeOn = normalizeTime(value('qsoTimeOn') || now.slice(11, 16));
+    const timeOff = normalizeTime(value('qsoTimeOff') || now.slice(11, 19));
+    if (!qsoDate || !timeOn || !timeOff) {
+        log('Invalid date or time (YYYY-MM-DD, HH:MM in UTC)', 'error');
+        return;
+    }
+
+    // The radio's mode gives the submode (USB/LSB) and, in split, the RX frequency
+    const fromRadio = radio.connected && radio.state.modeCode !== null;
+    const radioMode = fromRadio ? adifMode(radio.state.modeCode, radio.state.dataMode) : null;
+    const rxFrequencyHz = fromRadio && !qsoEdited.has('qsoFreq') ? radio.state.frequencyHz : null;
+
+    const qso = {
+        call,
+        qsoDate,
+        timeOn,
+        timeOff,
+        frequencyHz,
+        rxFrequencyHz: rxFrequencyHz !== frequencyHz ? rxFrequencyHz : null,
+        band: bandForFrequency(frequencyHz)?.name || '',
+        mode,
+        submode: radioMode && radioMode.mode === mode ? radioMode.submode : '',
+        rstSent: value('qsoRstSent'),
+        rstRcvd: value('qsoRstRcvd'),
+        notes: value('qsoNotes'),
+        pending: qsoUploadTargets(loggerTargets).map(qsoUploadKey),
+        uploaded: false,
+        uploadError: ''
+    };
+
+    try {
+        await qsoLog.add(qso);
+    } catch (error) {
+        log('Could not store QSO: ' + error.message, 'error');
+        return;
+    }
+    qsos.push(qso);
+    qsos.sort(compareQsos);
+    log('Logged ' + describeQso(qso), 'success');
+
+    clearQsoForm();
+    renderQsoLog();
+    flushQsoUploads();
+}
+
+async function deleteQso(qso) {
+    if (!confirm(`Delete QSO with ${qso.call}?`)) return;
+    try {
+        await qsoLog.delete(qso.id);
+    } catch (error) {
+        log('Could not delete QSO: ' + error.message, 'error');
+        return;
+    }
+    qsos = qsos.filter(entry => entry !== qso);
+    log('Deleted ' + describeQso(qso), 'info');
+    renderQsoLog();
+}
+
+// Queue a QSO again for all current upload targets (after a refusal, or for imported QSOs)
+async function requeueQso(qso) {
+    const pending = qsoUploadTargets(loggerTargets).map(qsoUploadKey);
+    if (!pending.length) {
+        log('No logger target to upload to: enable a Wavelog or Cloudlog target with a Station ID', 'error');
+        return;
+    }
+    qso.pending = pending;
+    qso.uploadError = '';
+    await qsoLog.put(qso);
+    renderQsoLog();
+    flushQsoUploads();
+}
+
+// Upload one QSO: 'sent', 'unreachable' (try again later) or why it was refused
+async function uploadQso(target, qso) {
+    const key = qsoUploadKey(target);
+    const name = describeLoggerTarget(target);
+    const { url, options } = buildQsoUploadRequest(target, qsoToADIF(qso));
+
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (error) {
+        response = { ok: false, status: 0, statusText: error.message };
+    }
+
+    // Network errors and server trouble are worth retrying; other refusals are not
+    if (!response.ok && (response.status === 0 || response.status === 429 || response.status >= 500)) {
+        if (!unreachableTargets.has(key)) {
+            log(`${name} unreachable (${response.status || response.statusText}), QSOs queued`, 'error');
+            unreachableTargets.add(key);
+        }
+        return 'unreachable';
+    }
+    if (unreachableTargets.delete(key)) {
+        log(name + ' reachable again, sending queued QSOs', 'info');
+    }
+
+    if (response.ok) {
+        log(`${name}: uploaded ${qso.call}`, 'success');
+        return 'sent';
+    }
+
+    let reason = 'HTTP ' + response.status;
+    try {
+        const body = await response.json();
+        if (body.reason) reason += ': ' + body.reason;
+    } catch (error) {
+        // No JSON body; the status will do
+    }
+    log(`${name} refused ${qso.call}: ${reason}`, 'error');
+    return reason;
+}
+
+// Send queued QSOs to the targets that are configured and reachable
+async function flushQsoUploads() {
+    if (qsoUploading) {
+        qsoUploadAgain = true;
+        return;
+    }
+    clearTimeout(qsoRetryTimer);
+    qsoRetryTimer = null;
+    if (!qsoLogOpen || !navigator.onLine) return;
+
+    qsoUploading = true;
+    const targets = new Map(qsoUploadTargets(loggerTargets).map(target => [qsoUploadKey(target), target]));
+    const unreachable = new Set();
+    try {
+        for (const qso of qsos.filter(entry => entry.pending.length)) {
+            for (const key of qso.pending) {
+                const target = targets.get(key);
+                if (!target || unreachable.has(key)) continue;
+
+                const result = await uploadQso(target, qso);
+                if (result === 'unreachable') {
+                    unreachable.add(key);
+                    continue;
+                }
+                qso.pending = qso.pending.filter(pendingKey => pendingKey !== key);
+                if (result === 'sent') {
+                    qso.uploaded = true;
+                } else {
+                    qso.uploadError = result;
+                }
+                // Deleted while it was being uploaded
+                if (qsos.includes(qso)) await qsoLog.put(qso);
+                renderQsoLog();
+            }
+        }
+    } catch (error) {
+        log('QSO upload error: ' + error.message, 'error');
+    } finally {
+        qsoUploading = false;
+    }
+
+    if (qsoUploadAgain) {
+        qsoUploadAgain = false;
+        flushQsoUploads();
+    } else if (unreachable.size) {
+        qsoRetryTimer = setTimeout(flushQsoUploads, QSO_RETRY_MS);
+    }
+}
+
+window.addEventListener('online', flushQsoUploads);
+
+function exportQsoLog() {
+    downloadFile('ic7300-log.adi', formatADIF(qsos), 'text/plain');
+    log(`Exported ${qsos.length} QSOs to ic7300-log.adi`, 'success');
+}
+
+// Add the QSOs of an ADIF file, skipping ones already in the log.
+// Imported QSOs are not uploaded; use Upload on the ones a logger should get.
+async function importQsoFile(fileInput) {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file || !qsoLogOpen) return;
+
+    const imported = [];
+    let duplicates = 0;
+    let errors = 0;
+    parseADIF(await file.text()).forEach((record, index) => {
+        const { qso, error } = qsoFromADIF(record);
+        if (error) {
+            log(`${file.name}: record ${index + 1}: ${error}`, 'error');
+            errors++;
+        } else if ([...qsos, ...imported].some(existing => sameQSO(existing, qso))) {
+            duplicates++;
+        } else {
+            imported.push(qso);
+        }
+    });
+
+    try {
+        if (imported.length) await qsoLog.add(...imported);
+    } catch (error) {
+        log(`Could not store QSOs from ${file.name}: ${error.message}`, 'error');
+        return;
+    }
+    qsos.push(...imported);
+    qsos.sort(compareQsos);
+    renderQsoLog();
+
+    log(`Imported ${imported.length} QSOs from ${file.name}` +
+        (duplicates ? `, ${duplicates} already in the log` : '') +
+        (errors ? `, ${errors} skipped` : ''), imported.length ? 'success' : 'info');
+}
+
+function renderQsoLog() {
+    const body = document.getElementById('qsoTableBody');
+    body.innerHTML = '';
+
+    const queued = qsos.filter(qso => qso.pending.length).length;
+    document.getElementById('qsoStatus').textContent = !qsoLogOpen ? 'Log not opened'
+        : `${qsos.length} QSOs` + (queued ? `, ${queued} queued for upload` : '');
+
+    qsos.slice(-QSO_TABLE_ROWS).reverse().forEach(qso => {
+        const row = document.createElement('tr');
+        const cell = text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            row.appendChild(td);
+            return td;
+        };
+
+        cell(`${qso.qsoDate.slice(0, 4)}-${qso.qsoDate.slice(4, 6)}-${qso.qsoDate.slice(6, 8)} ` +
+            `${qso.timeOn.slice(0, 2)}:${qso.timeOn.slice(2, 4)}`);
+        cell(qso.call);
+        cell(qso.frequencyHz ? (qso.frequencyHz / 1000000).toFixed(3) : '');
+        cell(qso.band);
+        cell(qso.mode);
+        cell(qso.rstSent);
+        cell(qso.rstRcvd);
+        cell(qso.notes);
+
+        const status = cell(qso.pending.length ? 'Queued' : qso.uploadError ? 'Failed' : qso.uploaded ? 'Sent' : '');
+        if (qso.uploadError && !qso.pending.length) {
+            status.className = 'qso-upload-failed';
+            status.title = qso.uploadError;
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'memory-actions';
+        if (!qso.pending.length && (!qso.uploaded || qso.uploadError)) {
+            const uploadBtn = document.createElement('button');
+            uploadBtn.textContent = qso.uploadError ? 'Retry' : 'Upload';
+            uploadBtn.className = 'secondary';
+            uploadBtn.addEventListener('click', () => requeueQso(qso));
+            actions.appendChild(uploadBtn);
+        }
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = '✕';
+        deleteBtn.className = 'danger';
+        deleteBtn.title = 'Delete QSO';
+        deleteBtn.addEventListener('click', () => deleteQso(qso));
+        actions.appendChild(deleteBtn);
+        cell('').appendChild(actions);
+
+        body.appendChild(row);
+    });
+}
+
+// Remote-control bridge
+// Lets browsers elsewhere on the network tune, change mode and key PTT
+// through the relay (relay.mjs), and answers rigctld programs connected to
+// it. Their commands run through setFrequency(), setMode() and setPTT() like
+// the buttons here, so they are checked and logged the same way, with the
+// client's name and address.
+const bridgeHost = new BridgeHost(radio);
+let remotePttClient = null;  // Client id that keyed PTT, released if it leaves
+
+// Remote PTT, remembering which client keyed
+async function setRemotePTT(on, command) {
+    const result = await setPTT(on, command.origin);
+    if (result.ok) remotePttClient = on ? command.client : null;
+    return result;
+}
+
+const rigctlHandler = new RigctlHandler(radio, {
+    setFrequency: (frequencyHz, command) => setFrequency(String(frequencyHz / 1000000), command.origin),
+    setMode: (selection, command) => setMode(selection, command.origin),
+    setPTT: setRemotePTT
+});
+
+const BRIDGE_HANDLERS = {
+    setFrequency: ({ args, origin }) => setFrequency(String(args.frequency ?? ''), origin),
+    setMode: ({ args, origin }) => setMode({ modeCode: args.modeCode, filter: args.filter, dataMode: args.dataMode }, origin),
+    setPTT: command => setRemotePTT(Boolean(command.args.on), command),
+    rigctl: async command => ({ ok: true, reply: await rigctlHandler.handle(String(command.args.line ?? ''), command) })
+};
+
+bridgeHost.on('command', async command => {
+    const result = await BRIDGE_HANDLERS[command.command]({ ...command, args: command.args || {} });
+    bridgeHost.reply(command, result);
+});
+
+bridgeHost.on('client', ({ event, client, origin }) => {
+    log('Remote client ' + event + ': ' + origin, 'info');
+    if (event === 'left' && client === remotePttClient) {
+        txGuard.trip('remote client ' + origin + ' left while transmitting');
+    }
+    updateBridgeStatus();
+});
+
+bridgeHost.on('close', () => {
+    log('Remote bridge closed', 'info');
+    if (remotePttClient !== null) {
+        txGuard.trip('remote bridge closed while a client was transmitting');
+    }
+    updateBridgeStatus();
+});
+
+radio.on('ptt', ({ ptt }) => {
+    if (!ptt) remotePttClient = null;
+});
+
+async function toggleBridge() {
+    if (bridgeHost.open) {
+        bridgeHost.close();
+        return;
+    }
+    if (!saveSettings()) {
+        return;
+    }
+
+    try {
+        await bridgeHost.start(BRIDGE_URL, 'IC-7300', BRIDGE_TOKEN);
+        log('Remote bridge started: ' + BRIDGE_URL, 'success');
+    } catch (error) {
+        log('Remote bridge failed: ' + error.message, 'error');
     }
+    updateBridgeStatus();
+}
+
+function updateBridgeStatus() {
+    const open = bridgeHost.open;
+    document.getElementById('bridgeBtn').textContent = open ? 'Stop Bridge' : 'Start Bridge';
+    document.getElementById('bridgeUrl').disabled = open;
+    document.getElementById('bridgeToken').disabled = open;
+
+    const origins = [...bridgeHost.clients.values()];
+    document.getElementById('bridgeClients').textContent = !open ? 'Bridge stopped'
+        : origins.length ? 'Remote clients: ' + origins.join(', ') : 'No remote clients';
 }
 
 // Check for Web Serial API support
@@ -1121,5 +3408,61 @@ if ('serial' in navigator) {
     log('Web Serial API supported', 'success');
 } else {
     log('Web Serial API not supported in this browser', 'error');
-    log('Please use Chrome, Edge, or Opera', 'error');
+    log('Please use Chrome, Edge, or Opera (or choose the simulated IC-7300)', 'error');
 }
+
+// Expose handlers used by onclick attributes in index.html
+Object.assign(window, {
+    connect,
+    disconnect,
+    resetSettings,
+    setFrequency,
+    setMode,
+    selectVFO,
+    swapVFO,
+    equalizeVFO,
+    toggleSplit,
+    setTxFrequency,
+    setRITOffset,
+    clearRITOffset,
+    toggleRIT,
+    toggleXIT,
+    addBookmark,
+    addLoggerTarget,
+    logQso,
+    clearQsoForm,
+    exportQsoLog,
+    importQsoFile,
+    togglePTT,
+    toggleBridge,
+    toggleScope,
+    setScopeMode,
+    setScopeSpan,
+    setScopeRefLevel,
+    tuneFromScope,
+    setHistoryWindow,
+    clearHistory,
+    exportHistory,
+    readAllMemories,
+    writeMemoryChanges,
+    importMemoryFile,
+    applyMemoryImport,
+    cancelMemoryImport,
+    exportMemories,
+    sendCW,
+    stopCW,
+    clearCWMessage,
+    changeCWSpeed,
+    changeCWKeyer,
+    changeCWTiming,
+    toggleCWDecoder,
+    changeDecoderInput,
+    changeDecoderTone,
+    decodeWAVFile,
+    clearDecodedText,
+    toggleRemoteAudio,
+    changeRemoteAudio,
+    changeAudioDevice,
+    changeMyCall,
+    resetCWMacros
+});
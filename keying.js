@@ -0,0 +1,137 @@
+// CW keying clock
+// Runs a plan of key-down/key-up events (planCWKeying() in cw.js) against
+// performance.now(). Each timer is set from the planned time of the next
+// event, not from the previous timer, so timer jitter does not add up over a
+// message. When a timer fires so late that the element would be cut short
+// (e.g. a busy page), the rest of the plan moves back by that much, keeping
+// every element and space at its length. No DOM access.
+//
+// KeyingClock runs the scheduler in a Worker (cw-worker.js) where there is
+// one: browsers throttle timers of background tabs, but not of workers.
+//
+// Events:
+//   key   { down, late }  - time to close (down) or open the key; late in ms
+//   done  { maxLate }     - the plan has been sent, or was stopped
+
+import { Emitter } from './radio.js';
+
+const LATE_TOLERANCE_MS = 2;  // Lateness taken up by the following spaces
+
+export class KeyingScheduler extends Emitter {
+    constructor(now = () => performance.now()) {
+        super();
+        this.now = now;
+        this.running = false;
+        this.events = [];
+        this.index = 0;
+        this.startTime = 0;
+        this.maxLate = 0;
+        this.timer = null;
+    }
+
+    start(events) {
+        this.stop();
+        this.running = true;
+        this.events = events;
+        this.index = 0;
+        this.startTime = this.now();
+        this.maxLate = 0;
+        this.tick();
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.emit('done', { maxLate: this.maxLate });
+    }
+
+    tick() {
+        const now = this.now();
+
+        // Send every event that is due (normally one)
+        while (this.running && this.index < this.events.length &&
+            this.startTime + this.events[this.index].time <= now) {
+            const event = this.events[this.index++];
+            const late = now - this.startTime - event.time;
+            this.maxLate = Math.max(this.maxLate, late);
+            if (late > LATE_TOLERANCE_MS) this.startTime += late;
+            this.emit('key', { down: event.down, late });
+        }
+
+        if (!this.running) return;  // Stopped by a key handler
+        if (this.index >= this.events.length) {
+            this.stop();
+            return;
+        }
+
+        const delay = this.startTime + this.events[this.index].time - this.now();
+        this.timer = setTimeout(() => this.tick(), Math.max(0, delay));
+    }
+}
+
+export class KeyingClock extends Emitter {
+    constructor() {
+        super();
+
+        this.run = 0;          // Counts plans, to drop worker messages of stopped ones
+        this.events = null;    // The plan while running
+        this.scheduler = new KeyingScheduler();
+        this.scheduler.on('key', detail => this.emit('key', detail));
+        this.scheduler.on('done', detail => this.finish(this.run, detail));
+
+        this.worker = null;
+        if (typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(new URL('./cw-worker.js', import.meta.url), { type: 'module' });
+                this.worker.onmessage = ({ data }) => {
+                    if (data.run !== this.run) return;
+                    if (data.type === 'key') this.emit('key', { down: data.down, late: data.late });
+                    if (data.type === 'done') this.finish(data.run, { maxLate: data.maxLate });
+                };
+                this.worker.onerror = (event) => this.workerFailed(event.message);
+            } catch (error) {
+                this.workerFailed(error.message);
+            }
+        }
+    }
+
+    // The worker could not be started (e.g. pages opened from file://);
+    // use timers on this thread from now on
+    workerFailed(message) {
+        console.warn('CW keying worker unavailable, using page timers:', message);
+        this.worker?.terminate();
+        this.worker = null;
+        // A worker fails before it sends anything, so the plan starts over
+        if (this.events) this.scheduler.start(this.events);
+    }
+
+    start(events) {
+        this.stop();
+        this.run++;
+        this.events = events;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'start', run: this.run, events });
+        } else {
+            this.scheduler.start(events);
+        }
+    }
+
+    // Stop sending; 'done' follows at once
+    stop() {
+        if (!this.events) return;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'stop' });
+            this.finish(this.run, { maxLate: 0 });
+        } else {
+            this.scheduler.stop();
+        }
+    }
+
+    finish(run, detail) {
+        if (run !== this.run || !this.events) return;
+        this.events = null;
+        this.emit('done', detail);
+    }
+}
@@ -0,0 +1,180 @@
+// Logger targets
+// Radio status updates for logging programs, sent when the frequency or mode
+// changes. Each target has its own type, URL, key, radio name and enable flag,
+// so several radios can report under their own names and one radio to several
+// loggers. No DOM access.
+//
+// Types:
+//   wavelog, cloudlog  POST <url>/index.php/api/radio (JSON with the API key);
+//                      with a station ID, logged QSOs also go to
+//                      <url>/index.php/api/qso for that station profile
+//   webhook            POST <url> (JSON; the key, if any, as a Bearer token)
+//   n1mm               N1MM RadioInfo XML over UDP to <host:port>. Browsers
+//                      cannot send UDP, so the page posts it to the relay
+//                      (relay.mjs /udp), which forwards the datagram.
+
+import { DATA_MODE_CODES } from './civ.js';
+
+export const LOGGER_TYPES = {
+    wavelog: { label: 'Wavelog', urlPlaceholder: 'https://your-wavelog-instance.com', keyRequired: true },
+    cloudlog: { label: 'Cloudlog', urlPlaceholder: 'https://your-cloudlog-instance.com', keyRequired: true },
+    webhook: { label: 'HTTP Webhook', urlPlaceholder: 'https://example.com/radio-status', keyRequired: false },
+    n1mm: { label: 'N1MM UDP (via relay)', urlPlaceholder: '127.0.0.1:12060', keyRequired: false }
+};
+
+export const DEFAULT_N1MM_PORT = 12060;
+export const DEFAULT_LOGGER_RADIO = 'IC-7300';
+
+// Mode names used by Wavelog/Cloudlog, in Hamlib style
+const LOGGER_MODE_NAMES = {
+    0x00: 'LSB',
+    0x01: 'USB',
+    0x02: 'AM',
+    0x03: 'CW',
+    0x04: 'RTTY',
+    0x05: 'FM',
+    0x07: 'CW',  // CW-R
+    0x08: 'RTTY' // RTTY-R
+};
+
+// Types that accept QSO uploads
+export const QSO_UPLOAD_TYPES = ['wavelog', 'cloudlog'];
+
+export function createLoggerTarget(type = 'wavelog') {
+    return { type, url: '', key: '', radio: DEFAULT_LOGGER_RADIO, stationId: '', enabled: false };
+}
+
+// Data modes use the Hamlib names (PKTUSB, PKTLSB, PKTAM, PKTFM)
+export function loggerModeName(modeCode, dataMode = false) {
+    return (dataMode && DATA_MODE_CODES.includes(modeCode) ? 'PKT' : '') + (LOGGER_MODE_NAMES[modeCode] || 'USB');
+}
+
+// "host:port" of an N1MM target; the port defaults to 12060
+export function parseUdpAddress(text) {
+    const match = /^(?:udp:\/\/)?([\w.-]+)(?::(\d+))?$/.exec(text.trim());
+    if (!match) return null;
+    const port = match[2] ? parseInt(match[2]) : DEFAULT_N1MM_PORT;
+    if (port < 1 || port > 65535) return null;
+    return { host: match[1], port };
+}
+
+// What is wrong with a target's settings, or null if it can be used
+export function loggerTargetError(target) {
+    const type = LOGGER_TYPES[target.type];
+    if (!type) return 'Unknown logger type ' + target.type;
+    if (!target.url) return type.label + ': URL missing';
+    if (target.type === 'n1mm') {
+        if (!parseUdpAddress(target.url)) return type.label + ': address must be host:port';
+    } else if (!/^https?:\/\/./.test(target.url)) {
+        return type.label + ': URL must start with http:// or https://';
+    }
+    if (type.keyRequired && !target.key) return type.label + ': API key missing';
+    if (!target.radio) return type.label + ': radio name missing';
+    if (QSO_UPLOAD_TYPES.includes(target.type) && target.stationId && !/^\d+$/.test(target.stationId)) {
+        return type.label + ': station ID must be a number';
+    }
+    return null;
+}
+
+// Enabled targets that logged QSOs are uploaded to
+export function qsoUploadTargets(targets) {
+    return targets.filter(target => target.enabled && QSO_UPLOAD_TYPES.includes(target.type) &&
+        target.stationId && !loggerTargetError(target));
+}
+
+// Identifies an upload target in a QSO's pending list; targets have no id,
+// and the same logbook is the same URL and station profile
+export function qsoUploadKey(target) {
+    return target.url.replace(/\/$/, '') + '#' + target.stationId;
+}
+
+function escapeXML(text) {
+    return String(text).replace(/[<>&'"]/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+// N1MM RadioInfo packet; frequencies are in units of 10 Hz
+export function n1mmRadioInfo(radioName, status) {
+    const fields = {
+        app: 'IC7300WebTRX',
+        StationName: radioName,
+        RadioNr: 1,
+        Freq: Math.round(status.rxFrequencyHz / 10),
+        TXFreq: Math.round(status.frequencyHz / 10),
+        Mode: LOGGER_MODE_NAMES[status.modeCode] || 'USB',
+        IsRunning: 'False',
+        FocusRadioNr: 1,
+        ActiveRadioNr: 1,
+        IsSplit: status.split ? 'True' : 'False',
+        IsTransmitting: status.ptt ? 'True' : 'False',
+        RadioName: radioName,
+        IsConnected: 'True'
+    };
+    return '<?xml version="1.0" encoding="utf-8"?>\n<RadioInfo>\n' +
+        Object.entries(fields).map(([name, value]) => `  <${name}>${escapeXML(value)}</${name}>`).join('\n') +
+        '\n</RadioInfo>\n';
+}
+
+// "2024/03/01 18:05" (UTC), the timestamp format of the Cloudlog radio API
+function cloudlogTimestamp(time) {
+    return new Date(time).toISOString().slice(0, 16).replace(/-/g, '/').replace('T', ' ');
+}
+
+function jsonRequest(data) {
+    return { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(data) };
+}
+
+// Request for one target as { url, options } for fetch().
+// status: { frequencyHz (TX), rxFrequencyHz, modeCode, dataMode, split, ptt, time }
+// relay: { url, token } of the relay's HTTP side, used by N1MM targets
+export function buildLoggerRequest(target, status, relay = { url: '', token: '' }) {
+    const mode = loggerModeName(status.modeCode, status.dataMode);
+
+    switch (target.type) {
+        case 'wavelog':
+        case 'cloudlog': {
+            const data = { key: target.key, radio: target.radio, frequency: status.frequencyHz, mode };
+            // frequency is the TX frequency; the RX frequency is sent as well when it differs (split/XIT)
+            if (status.rxFrequencyHz !== status.frequencyHz) data.frequency_rx = status.rxFrequencyHz;
+            if (target.type === 'cloudlog') data.timestamp = cloudlogTimestamp(status.time);
+            return { url: target.url.replace(/\/$/, '') + '/index.php/api/radio', options: jsonRequest(data) };
+        }
+
+        case 'webhook': {
+            const request = {
+                url: target.url,
+                options: jsonRequest({
+                    radio: target.radio,
+                    frequency: status.frequencyHz,
+                    frequency_rx: status.rxFrequencyHz,
+                    mode,
+                    split: status.split,
+                    ptt: status.ptt,
+                    timestamp: new Date(status.time).toISOString()
+                })
+            };
+            if (target.key) request.options.headers.Authorization = 'Bearer ' + target.key;
+            return request;
+        }
+
+        case 'n1mm': {
+            const { host, port } = parseUdpAddress(target.url);
+            const params = new URLSearchParams({ host, port });
+            if (relay.token) params.set('token', relay.token);
+            // text/plain keeps this a simple request, without a CORS preflight
+            return {
+                url: relay.url.replace(/\/$/, '') + '/udp?' + params,
+                options: { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: n1mmRadioInfo(target.radio, status) }
+            };
+        }
+    }
+    throw new Error('Unknown logger type ' + target.type);
+}
+
+// QSO upload to a Wavelog/Cloudlog target: one ADIF record (see adif.js)
+// for the target's station profile
+export function buildQsoUploadRequest(target, adifRecord) {
+    return {
+        url: target.url.replace(/\/$/, '') + '/index.php/api/qso',
+        options: jsonRequest({ key: target.key, station_profile_id: target.stationId, type: 'adif', string: adifRecord })
+    };
+}
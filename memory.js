@@ -0,0 +1,144 @@
+// IC-7300 memory channels (CI-V 0x1A 00)
+// Encode/decode memory contents. No DOM access.
+//
+// Memory contents data after 1A 00:
+//   [ch hi] [ch lo]       channel number, 2 bytes BCD (0001-0099)
+//   [select]              00 = none, 01-03 = SEL1-SEL3
+//   [freq x5]             frequency, 5 bytes BCD little-endian (like 0x05)
+//   [mode] [filter]       mode code, filter 01-03
+//   [data]                data mode 00 = off, 01 = on
+//   [duplex/tone]         high nibble duplex (0 simplex, 1 DUP-, 2 DUP+),
+//                         low nibble tone (0 off, 1 TONE, 2 TSQL)
+//   [tone x3]             repeater tone, 3 bytes BCD big-endian (00 08 85 = 88.5 Hz)
+//   [tsql x3]             tone squelch frequency, same format
+//   [name x10]            name, 10 ASCII characters, space padded
+// An empty channel is just [ch hi] [ch lo] FF.
+
+import { frequencyToBCD, bcdToFrequency } from './civ.js';
+
+export const CMD_MEMORY = 0x1A;
+export const SUB_MEMORY_CONTENTS = 0x00;
+
+export const MEMORY_CHANNELS = 99;
+export const MEMORY_NAME_LENGTH = 10;
+
+export const DUPLEX = ['Simplex', 'DUP-', 'DUP+'];
+export const TONE_MODES = ['Off', 'TONE', 'TSQL'];
+
+// Default content for a new channel
+export function emptyMemory(channel) {
+    return {
+        channel,
+        empty: true,
+        select: 0,
+        frequencyHz: 0,
+        modeCode: 0x01,
+        filter: 1,
+        dataMode: false,
+        duplex: 0,
+        toneMode: 0,
+        toneHz: 88.5,
+        tsqlHz: 88.5,
+        name: ''
+    };
+}
+
+// Channel number as 2 BCD bytes (e.g. 42 -> 00 42)
+export function channelToBCD(channel) {
+    const str = channel.toString().padStart(4, '0');
+    return [
+        (parseInt(str[0]) << 4) | parseInt(str[1]),
+        (parseInt(str[2]) << 4) | parseInt(str[3])
+    ];
+}
+
+export function bcdToChannel(high, low) {
+    return ((high >> 4) & 0x0F) * 1000 + (high & 0x0F) * 100 + ((low >> 4) & 0x0F) * 10 + (low & 0x0F);
+}
+
+// Tone frequency in Hz as 3 BCD bytes (e.g. 88.5 -> 00 08 85)
+export function toneToBCD(toneHz) {
+    const str = Math.round(toneHz * 10).toString().padStart(6, '0');
+    const bytes = [];
+    for (let i = 0; i < 6; i += 2) {
+        bytes.push((parseInt(str[i]) << 4) | parseInt(str[i + 1]));
+    }
+    return bytes;
+}
+
+export function bcdToTone(bytes) {
+    let value = 0;
+    bytes.forEach(b => {
+        value = value * 100 + ((b >> 4) & 0x0F) * 10 + (b & 0x0F);
+    });
+    return value / 10;
+}
+
+// Decode the data following 1A 00 in a reply
+export function decodeMemory(payload) {
+    const channel = bcdToChannel(payload[0], payload[1]);
+
+    if (payload.length < 3 || payload[2] === 0xFF) {
+        return emptyMemory(channel);
+    }
+
+    if (payload.length < 18) {
+        throw new Error(`Memory ${channel}: reply too short (${payload.length} bytes)`);
+    }
+
+    const nameBytes = payload.slice(18, 18 + MEMORY_NAME_LENGTH);
+
+    return {
+        channel,
+        empty: false,
+        select: payload[2],
+        frequencyHz: bcdToFrequency(payload.slice(3, 8)),
+        modeCode: payload[8],
+        filter: payload[9],
+        dataMode: payload[10] === 0x01,
+        duplex: (payload[11] >> 4) & 0x0F,
+        toneMode: payload[11] & 0x0F,
+        toneHz: bcdToTone(payload.slice(12, 15)),
+        tsqlHz: bcdToTone(payload.slice(15, 18)),
+        name: String.fromCharCode(...nameBytes).trimEnd()
+    };
+}
+
+// Encode a memory as the data following 1A 00 in a write
+export function encodeMemory(memory) {
+    const channel = channelToBCD(memory.channel);
+
+    if (memory.empty) {
+        return [...channel, 0xFF];
+    }
+
+    const name = memory.name.slice(0, MEMORY_NAME_LENGTH).padEnd(MEMORY_NAME_LENGTH, ' ');
+
+    return [
+        ...channel,
+        memory.select,
+        ...frequencyToBCD(memory.frequencyHz),
+        memory.modeCode,
+        memory.filter,
+        memory.dataMode ? 0x01 : 0x00,
+        ((memory.duplex & 0x0F) << 4) | (memory.toneMode & 0x0F),
+        ...toneToBCD(memory.toneHz),
+        ...toneToBCD(memory.tsqlHz),
+        // The IC-7300 accepts printable ASCII only
+        ...Array.from(name).map(c => (c >= ' ' && c <= '~') ? c.charCodeAt(0) : 0x20)
+    ];
+}
+
+// Compare the fields the radio stores (used to verify a write)
+export function memoriesEqual(a, b) {
+    if (a.empty || b.empty) return a.empty === b.empty;
+    return a.frequencyHz === b.frequencyHz &&
+        a.modeCode === b.modeCode &&
+        a.filter === b.filter &&
+        a.dataMode === b.dataMode &&
+        a.duplex === b.duplex &&
+        a.toneMode === b.toneMode &&
+        a.toneHz === b.toneHz &&
+        a.tsqlHz === b.tsqlHz &&
+        a.name.trimEnd() === b.name.trimEnd();
+}
@@ -0,0 +1,124 @@
+// Meter scales
+// Convert raw 0-255 meter readings into display text and a bargraph level
+// (0-15 segments). No DOM access.
+//
+// Calibration points are from the IC-7300 CI-V reference (command 0x15);
+// values between points are interpolated linearly, values past the last
+// point continue the last segment.
+
+// Value at a raw reading, from [raw, value] calibration points
+export function calibrate(table, rawValue) {
+    let i = 1;
+    while (i < table.length - 1 && rawValue > table[i][0]) i++;
+    const [raw0, value0] = table[i - 1];
+    const [raw1, value1] = table[i];
+    return value0 + (rawValue - raw0) * (value1 - value0) / (raw1 - raw0);
+}
+
+// Transmit meters shown as gauges. warnAbove: value above which the gauge
+// shows a warning; fullScale: raw value at the right end of the gauge.
+export const TX_METER_SCALES = {
+    swr: {
+        label: 'SWR',
+        table: [[0, 1.0], [48, 1.5], [80, 2.0], [120, 3.0]],
+        format: value => value.toFixed(1),
+        fullScale: 160,
+        warnAbove: 2.0
+    },
+    alc: {
+        // 0-120 is the ALC zone; above it the transmitter is overdriven
+        label: 'ALC',
+        table: [[0, 0], [120, 100]],
+        format: value => Math.round(value) + '%',
+        fullScale: 160,
+        warnAbove: 100
+    },
+    comp: {
+        label: 'COMP',
+        table: [[0, 0], [130, 15], [241, 30]],
+        format: value => Math.round(value) + ' dB',
+        fullScale: 241
+    },
+    vd: {
+        label: 'Vd',
+        table: [[0, 0], [13, 10], [241, 16]],
+        format: value => value.toFixed(1) + ' V',
+        fullScale: 241
+    },
+    id: {
+        label: 'Id',
+        table: [[0, 0], [97, 10], [146, 15], [241, 25]],
+        format: value => value.toFixed(1) + ' A',
+        fullScale: 241
+    }
+};
+
+const POWER_TABLE = [[0, 0], [143, 50], [213, 100]];  // Watts at 100 W output
+
+// S-meter: 0=S0, 120=S9, 241=S9+60dB
+export function sMeterReading(rawValue) {
+    if (rawValue <= 120) {
+        // S0 to S9
+        const sUnits = rawValue / 13.3;  // 0-9
+        return { level: Math.floor(sUnits), text: 'S' + Math.floor(sUnits) };
+    }
+
+    // S9+ (over S9)
+    const over = Math.round((rawValue - 120) / 2);
+    return {
+        level: 9 + Math.min(Math.floor(over / 10), 6),  // 9-15 (S9 to S9+60)
+        text: 'S9+' + over
+    };
+}
+
+// Power meter: 0=0%, 143=50%, 213=100% (of 100 W)
+export function powerReading(rawValue) {
+    const powerWatts = Math.round(calibrate(POWER_TABLE, rawValue));
+
+    // Map power to bargraph (0-100W across 15 segments)
+    return { level: Math.min(15, Math.floor(powerWatts * 15 / 100)), text: powerWatts + 'W' };
+}
+
+// S-meter in dB relative to S9 (6 dB per S-unit below S9)
+export function sMeterDb(rawValue) {
+    return rawValue <= 120 ? (rawValue / 13.3 - 9) * 6 : (rawValue - 120) / 2;
+}
+
+// Units of meterValue() for each meter
+export const METER_UNITS = {
+    s: 'dB rel S9',
+    power: 'W',
+    swr: '',
+    alc: '%',
+    comp: 'dB',
+    vd: 'V',
+    id: 'A'
+};
+
+// Calibrated numeric value of any meter (see METER_UNITS)
+export function meterValue(meter, rawValue) {
+    if (meter === 's') return sMeterDb(rawValue);
+    if (meter === 'power') return calibrate(POWER_TABLE, rawValue);
+    return calibrate(TX_METER_SCALES[meter].table, rawValue);
+}
+
+// A TX meter gauge: calibrated value, text, fill (0-1) and warning flag
+export function txMeterReading(meter, rawValue) {
+    const scale = TX_METER_SCALES[meter];
+    const value = calibrate(scale.table, rawValue);
+    return {
+        value,
+        text: scale.format(value),
+        fill: Math.min(1, rawValue / scale.fullScale),
+        warning: scale.warnAbove !== undefined && value > scale.warnAbove
+    };
+}
+
+// Peak hold: keep the highest raw value for holdMs, then follow the meter.
+// Pass the previous result (or null) and the time in ms.
+export function updatePeak(peak, rawValue, now, holdMs = 1500) {
+    if (!peak || rawValue >= peak.value || now - peak.time > holdMs) {
+        return { value: rawValue, time: now };
+    }
+    return peak;
+}
@@ -0,0 +1,76 @@
+// QSO log storage
+// The built-in log lives in IndexedDB (database ic7300_log, store qsos),
+// keyed by an auto-increment id, so it survives reloads and does not count
+// against the settings in localStorage. See adif.js for the QSO fields.
+// No DOM access.
+
+export const QSO_DB_NAME = 'ic7300_log';
+const QSO_STORE = 'qsos';
+const QSO_DB_VERSION = 1;
+
+// Oldest first, by start time
+export function compareQsos(a, b) {
+    return (a.qsoDate + a.timeOn).localeCompare(b.qsoDate + b.timeOn) || a.id - b.id;
+}
+
+// Promise for an IndexedDB request
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+export class QsoLog {
+    constructor(name = QSO_DB_NAME) {
+        this.name = name;
+        this.db = null;
+    }
+
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+        const req = indexedDB.open(this.name, QSO_DB_VERSION);
+        req.onupgradeneeded = () => {
+            req.result.createObjectStore(QSO_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        this.db = await request(req);
+    }
+
+    // Run fn(store) in a transaction; resolves with fn's result once it is committed
+    transaction(mode, fn) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(QSO_STORE, mode);
+            let result;
+            Promise.resolve(fn(tx.objectStore(QSO_STORE))).then(value => {
+                result = value;
+            }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // All QSOs, oldest first
+    all() {
+        return this.transaction('readonly', store => request(store.getAll())).then(qsos => qsos.sort(compareQsos));
+    }
+
+    // Store new QSOs; sets their ids
+    async add(...qsos) {
+        await this.transaction('readwrite', store => Promise.all(qsos.map(async qso => {
+            qso.id = await request(store.add(qso));
+        })));
+        return qsos;
+    }
+
+    // Store a changed QSO
+    put(qso) {
+        return this.transaction('readwrite', store => request(store.put(qso)));
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', store => request(store.delete(id)));
+    }
+}
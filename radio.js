@@ -0,0 +1,1102 @@
+// IC-7300 radio controller
+// Owns the connection, the command transaction queue and the poll scheduler,
+// and reports radio state as events. No DOM access, so pages can drive the
+// radio directly and Node can run it against the simulated transport.
+// The connection is any transport described in transport.js.
+//
+// Events (subscribe with radio.on(name, handler)):
+//   log        { message, type }            - activity for the user's log
+//   connected  / disconnected
+//   lost                                    - the link failed (e.g. USB unplugged); disconnected follows
+//   frame      { cmd, payload, from, to }   - every packet received
+//   frequency  { frequencyHz, transceive }  - frequency reported by the radio
+//   mode       { modeCode, filter, dataMode, transceive }
+//   change     { frequencyHz, modeCode, dataMode } - frequency, mode, data mode or TX frequency changed
+//   vfo        { vfo, split, txFrequencyHz, rit, xit, ritOffsetHz } - VFO/split/RIT state changed
+//   control    { id, value }                - level/function control changed (see controls.js)
+//   ptt        { ptt, detected }            - TX/RX state changed
+//   meter      { meter, value }             - raw meter reading ('s' in RX; 'power', 'swr',
+//                                             'alc', 'comp', 'vd', 'id' in TX)
+//   scope      { enabled, mode, halfSpanHz, refLevel } - spectrum scope settings changed
+//   sweep      { mode, lowHz, highHz, outOfRange, data } - one spectrum scope sweep (see scope.js)
+
+import {
+    CONTROLLER_ADDRESS,
+    DEFAULT_RADIO_ADDRESS,
+    CMD_TRANSCEIVE_FREQ,
+    CMD_TRANSCEIVE_MODE,
+    CMD_READ_FREQ,
+    CMD_READ_MODE,
+    CMD_WRITE_FREQ,
+    CMD_WRITE_MODE,
+    CMD_SELECT_VFO,
+    CMD_SPLIT,
+    CMD_SET_LEVEL,
+    CMD_ATTENUATOR,
+    CMD_FUNCTION,
+    CMD_READ_METER,
+    CMD_SEND_CW,
+    CMD_SETTINGS,
+    CMD_PTT,
+    CMD_RIT,
+    CMD_VFO_FREQ,
+    CMD_ACK,
+    CMD_NAK,
+    SUB_KEYER_SPEED,
+    CW_TEXT_MAX_LENGTH,
+    CW_STOP,
+    KEYER_MIN_WPM,
+    KEYER_MAX_WPM,
+    SUB_METER_S,
+    METER_SUBCOMMANDS,
+    TX_METERS,
+    SUB_TX_STATUS,
+    SUB_SETTING,
+    SUB_DATA_MODE,
+    SETTING_DATA_OFF_MOD,
+    SUB_VFO_A,
+    SUB_VFO_B,
+    SUB_VFO_EQUAL,
+    SUB_VFO_SWAP,
+    SUB_RIT_OFFSET,
+    SUB_RIT,
+    SUB_XIT,
+    SUB_SELECTED_VFO,
+    SUB_UNSELECTED_VFO,
+    DATA_MODE_CODES,
+    SUBCOMMAND_CMDS,
+    buildCommand,
+    parseResponse,
+    decodeFrames,
+    bcdToFrequency,
+    frequencyToBCD,
+    bcdToLevel,
+    levelToBCD,
+    wpmToKeyerLevel,
+    keyerLevelToWpm,
+    ritOffsetToBCD,
+    bcdToRitOffset,
+    toHex
+} from './civ.js';
+import {
+    CMD_MEMORY,
+    SUB_MEMORY_CONTENTS,
+    channelToBCD,
+    decodeMemory,
+    encodeMemory,
+    memoriesEqual
+} from './memory.js';
+import { CONTROLS, controlById, controlReadData, encodeControl, decodeControl } from './controls.js';
+import {
+    CMD_SCOPE,
+    SUB_SCOPE_WAVE,
+    SUB_SCOPE_ON,
+    SUB_SCOPE_OUTPUT,
+    SUB_SCOPE_MODE,
+    SUB_SCOPE_SPAN,
+    SUB_SCOPE_REF,
+    SCOPE_MAIN,
+    ScopeAssembler,
+    spanToBCD,
+    refLevelToBCD,
+    bcdToRefLevel
+} from './scope.js';
+
+// Poll scheduler timing
+const POLL_TICK_MS = 50;
+const TRANSCEIVE_ACTIVE_MS = 10000;  // Broadcasts seen this recently count as active
+const TRANSCEIVE_BACKOFF = 10;       // Slow down transceive-covered reads by this factor
+
+export const DEFAULT_POLL_INTERVALS = {
+    txStatus: 500,
+    meter: 300,
+    frequency: 2000,
+    mode: 2000,
+    vfo: 2000,
+    controls: 5000
+};
+
+// VFO/split/RIT part of the radio state
+const INITIAL_VFO_STATE = {
+    vfo: null,            // 'A' or 'B'; the IC-7300 cannot report it, so known only after we select one
+    split: false,
+    txFrequencyHz: null,  // Unselected VFO, which transmits when split is on
+    rit: false,
+    xit: false,           // ΔTX
+    ritOffsetHz: 0        // Shared by RIT and XIT
+};
+
+// Spectrum scope settings, null until read
+const INITIAL_SCOPE_STATE = {
+    enabled: false,       // Waveform output to CI-V
+    mode: null,           // Index into SCOPE_MODES
+    halfSpanHz: null,     // Center mode span (±)
+    refLevel: null        // dB
+};
+
+// Minimal event emitter
+export class Emitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+        return this;
+    }
+
+    emit(event, detail) {
+        (this.listeners[event] || []).slice().forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in ${event} handler:`, error);
+            }
+        });
+    }
+}
+
+export class Radio extends Emitter {
+    constructor(options = {}) {
+        super();
+
+        this.civAddress = DEFAULT_RADIO_ADDRESS;
+        this.controllerAddress = CONTROLLER_ADDRESS;
+        this.timeout = 500;   // Reply timeout (ms)
+        this.retries = 2;     // Retries after a timeout
+        this.configure(options);
+
+        this.transport = null;
+        this.reader = null;
+        this.connected = false;
+
+        // Last known radio state
+        this.state = { frequencyHz: null, modeCode: null, filter: null, dataMode: false, ptt: false, ...INITIAL_VFO_STATE };
+        this.controls = {};  // control id -> last value read (see controls.js)
+        this.scope = { ...INITIAL_SCOPE_STATE };
+        this.scopeAssembler = new ScopeAssembler();
+
+        // Running totals of discarded frames since connect
+        this.frameStats = { echoes: 0, foreign: 0, collisions: 0, malformed: 0 };
+
+        // Transaction layer
+        this.transactionQueue = [];
+        this.activeTransaction = null;
+        this.sendCount = 0;         // Numbers every command written, see claimUnqueuedReply()
+        this.unqueuedReplies = [];  // { sent, time } of commands written past the queue, oldest first
+
+        // Poll scheduler
+        this.pollItems = [];
+        this.pollTimer = null;
+        this.pollGeneration = 0;  // Bumped on start/stop so a stale cycle never reschedules
+        this.lastTransceiveTime = 0;
+
+        this.registerPollItem('txStatus', {
+            read: () => this.getPTT(),
+            interval: DEFAULT_POLL_INTERVALS.txStatus,
+            priority: 1
+        });
+        this.registerPollItem('meter', {
+            read: () => this.readMeters(),
+            interval: DEFAULT_POLL_INTERVALS.meter,
+            priority: 2
+        });
+        this.registerPollItem('frequency', {
+            read: () => this.getFrequency(),
+            interval: DEFAULT_POLL_INTERVALS.frequency,
+            priority: 3,
+            coveredByTransceive: true
+        });
+        this.registerPollItem('mode', {
+            read: async () => {
+                await this.getMode();
+                await this.getDataMode();
+            },
+            interval: DEFAULT_POLL_INTERVALS.mode,
+            priority: 4,
+            coveredByTransceive: true
+        });
+        this.registerPollItem('vfo', {
+            read: async () => {
+                await this.getSplit();
+                if (this.state.split) await this.getTxFrequency();
+                await this.getRIT();
+            },
+            interval: DEFAULT_POLL_INTERVALS.vfo,
+            priority: 5
+        });
+        this.registerPollItem('controls', {
+            read: () => this.readControls(),
+            interval: DEFAULT_POLL_INTERVALS.controls,
+            priority: 6
+        });
+    }
+
+    // Update addresses and transaction settings
+    configure(options) {
+        if (options.civAddress !== undefined) this.civAddress = options.civAddress;
+        if (options.controllerAddress !== undefined) this.controllerAddress = options.controllerAddress;
+        if (options.timeout !== undefined) this.timeout = options.timeout;
+        if (options.retries !== undefined) this.retries = options.retries;
+    }
+
+    log(message, type = 'info') {
+        this.emit('log', { message, type });
+    }
+
+    // Open a transport (WebSerialTransport, SimulatedIC7300, ...)
+    async connect(transport) {
+        await transport.open();
+
+        this.transport = transport;
+        this.reader = transport.readable.getReader();
+        this.connected = true;
+        this.state = { frequencyHz: null, modeCode: null, filter: null, dataMode: false, ptt: false, ...INITIAL_VFO_STATE };
+        this.controls = {};
+        this.scope = { ...INITIAL_SCOPE_STATE };
+        this.scopeAssembler = new ScopeAssembler();
+        this.frameStats = { echoes: 0, foreign: 0, collisions: 0, malformed: 0 };
+        this.unqueuedReplies = [];
+
+        this.readLoop();
+        this.emit('connected');
+    }
+
+    async disconnect() {
+        this.stopPolling();
+        this.cancelTransactions('Disconnected');
+        this.connected = false;
+
+        try {
+            if (this.reader) {
+                // A failed stream rejects cancel(); the transport still needs closing
+                await this.reader.cancel().catch(() => {});
+                this.reader = null;
+            }
+
+            if (this.transport) {
+                await this.transport.close();
+                this.transport = null;
+            }
+        } finally {
+            this.emit('disconnected');
+        }
+    }
+
+    // Read loop for incoming data
+    async readLoop() {
+        let pending = [];
+
+        try {
+            while (true) {
+                const { value, done } = await this.reader.read();
+                if (done) break;
+
+                const result = decodeFrames(pending, value, this.controllerAddress);
+                pending = result.pending;
+                this.recordFrameStats(result);
+
+                result.frames.forEach(frame => this.handleResponse(frame));
+            }
+        } catch (error) {
+            this.log('Read error: ' + error.message, 'error');
+            console.error('Read error:', error);
+        }
+
+        // The stream ended without disconnect() being called
+        if (this.connected) {
+            this.log('Connection lost', 'error');
+            this.emit('lost');
+            try {
+                await this.disconnect();
+            } catch (error) {
+                console.error('Disconnect error:', error);
+            }
+        }
+    }
+
+    // Add one decoder result to the totals and report problems. Echoes and
+    // packets for other controllers are normal on a shared bus, so they are
+    // only mentioned the first time in a connection.
+    recordFrameStats(result) {
+        const before = { ...this.frameStats };
+        Object.keys(this.frameStats).forEach(key => {
+            this.frameStats[key] += result[key];
+        });
+
+        if (result.collisions > 0) {
+            this.log(`CI-V collision, packet dropped (${this.frameStats.collisions} total)`, 'error');
+        }
+        if (result.malformed > 0) {
+            this.log(`Malformed CI-V data discarded (${this.frameStats.malformed} total)`, 'error');
+        }
+        if (before.echoes === 0 && result.echoes > 0) {
+            this.log('CI-V echo back is on; echoed commands are ignored', 'info');
+        }
+        if (before.foreign === 0 && result.foreign > 0) {
+            this.log('Ignoring CI-V packets for other controllers', 'info');
+        }
+    }
+
+    // Handle received response
+    handleResponse(data) {
+        // Log received data for debugging (not scope waveforms, which stream
+        // several packets a second)
+        if (data[4] !== CMD_SCOPE || data[5] !== SUB_SCOPE_WAVE) {
+            this.log('RX: ' + toHex(data), 'info');
+        }
+
+        const response = parseResponse(data);
+        if (!response) {
+            this.log('Invalid response packet', 'error');
+            return;
+        }
+
+        // Hand the reply to the command waiting for it
+        this.matchTransaction(response);
+
+        // Frequency and mode broadcasts mean CI-V Transceive is on
+        if (response.cmd === CMD_TRANSCEIVE_FREQ || response.cmd === CMD_TRANSCEIVE_MODE) {
+            this.lastTransceiveTime = Date.now();
+        }
+
+        // Check for ACK/NAK
+        if (response.cmd === CMD_ACK) {
+            this.log('Command acknowledged', 'success');
+        } else if (response.cmd === CMD_NAK) {
+            this.log('Command rejected (NAK)', 'error');
+        }
+
+        // Handle frequency response (polled read or transceive broadcast)
+        if (response.cmd === CMD_READ_FREQ || response.cmd === CMD_TRANSCEIVE_FREQ) {
+            if (response.payload.length >= 5) {
+                const freqHz = bcdToFrequency(response.payload.slice(0, 5));
+                this.updateFrequency(freqHz, response.cmd === CMD_TRANSCEIVE_FREQ);
+            }
+        }
+
+        // Handle mode response (polled read or transceive broadcast)
+        if (response.cmd === CMD_READ_MODE || response.cmd === CMD_TRANSCEIVE_MODE) {
+            if (response.payload.length >= 1) {
+                const filter = response.payload.length >= 2 ? response.payload[1] : null;
+                this.updateMode(response.payload[0], filter, response.cmd === CMD_TRANSCEIVE_MODE);
+            }
+
+            // The mode broadcast does not carry the data flag, so ask for it
+            if (response.cmd === CMD_TRANSCEIVE_MODE && this.connected) {
+                this.getDataMode().catch(error => this.log('Data mode read failed: ' + error.message, 'error'));
+            }
+        }
+
+        // Handle data mode response: 1A 06 [data] [filter]
+        if (response.cmd === CMD_SETTINGS && response.payload[0] === SUB_DATA_MODE && response.payload.length >= 2) {
+            const filter = response.payload[2] ? response.payload[2] : null;  // 00 when data mode is off
+            this.updateDataMode(response.payload[1] === 0x01, filter);
+        }
+
+        // Handle meter response: 15 [sub] [value x2]
+        if (response.cmd === CMD_READ_METER) {
+            if (response.payload.length >= 3) {
+                const subCmd = response.payload[0];
+                const value = bcdToLevel(response.payload[1], response.payload[2]);  // 0000-0255
+
+                // Sub-command 0x02 = S-meter (RX), 0x11-0x16 = TX meters
+                const meter = Object.keys(METER_SUBCOMMANDS).find(name => METER_SUBCOMMANDS[name] === subCmd);
+                if (meter) {
+                    this.emit('meter', { meter, value });
+                }
+            }
+        }
+
+        // Handle split response: 0F [00 off / 01 on]
+        if (response.cmd === CMD_SPLIT && response.payload.length >= 1) {
+            this.updateVFO({ split: response.payload[0] === 0x01 });
+        }
+
+        // Handle VFO frequency response: 25 [00 selected / 01 unselected] [freq x5]
+        if (response.cmd === CMD_VFO_FREQ && response.payload.length >= 6) {
+            const freqHz = bcdToFrequency(response.payload.slice(1, 6));
+            if (response.payload[0] === SUB_SELECTED_VFO) {
+                this.updateFrequency(freqHz);
+            } else if (response.payload[0] === SUB_UNSELECTED_VFO) {
+                this.updateVFO({ txFrequencyHz: freqHz });
+            }
+        }
+
+        // Handle RIT/XIT responses: 21 00 [offset], 21 01 [on], 21 02 [on]
+        if (response.cmd === CMD_RIT && response.payload.length >= 2) {
+            const subCmd = response.payload[0];
+            if (subCmd === SUB_RIT_OFFSET && response.payload.length >= 4) {
+                this.updateVFO({ ritOffsetHz: bcdToRitOffset(response.payload.slice(1, 4)) });
+            } else if (subCmd === SUB_RIT) {
+                this.updateVFO({ rit: response.payload[1] === 0x01 });
+            } else if (subCmd === SUB_XIT) {
+                this.updateVFO({ xit: response.payload[1] === 0x01 });
+            }
+        }
+
+        // Handle level/function control responses (14 xx, 16 xx, 11)
+        if (response.cmd === CMD_SET_LEVEL || response.cmd === CMD_FUNCTION || response.cmd === CMD_ATTENUATOR) {
+            const decoded = decodeControl(response.cmd, response.payload);
+            if (decoded) {
+                this.updateControl(decoded.control.id, decoded.value);
+            }
+        }
+
+        if (response.cmd === CMD_SCOPE && response.payload.length >= 2) {
+            this.handleScope(response.payload);
+        }
+
+        // Handle operating status response (TX/RX state)
+        if (response.cmd === CMD_PTT) {
+            if (response.payload.length >= 2 && response.payload[0] === SUB_TX_STATUS) {
+                // PTT status: 0x00 = RX, 0x01 = TX
+                this.updatePTT(response.payload[1] === 0x01, true);
+            }
+        }
+
+        this.emit('frame', response);
+    }
+
+    // Scope waveform packets and settings replies: 27 [sub] ...
+    handleScope(payload) {
+        switch (payload[0]) {
+            case SUB_SCOPE_WAVE: {
+                const sweep = this.scopeAssembler.add(payload);
+                if (sweep) this.emit('sweep', sweep);
+                break;
+            }
+            case SUB_SCOPE_OUTPUT:
+                this.updateScope({ enabled: payload[1] === 0x01 });
+                break;
+            case SUB_SCOPE_MODE:
+                if (payload.length >= 3) this.updateScope({ mode: payload[2] });
+                break;
+            case SUB_SCOPE_SPAN:
+                if (payload.length >= 7) this.updateScope({ halfSpanHz: bcdToFrequency(payload.slice(2, 7)) });
+                break;
+            case SUB_SCOPE_REF:
+                if (payload.length >= 5) this.updateScope({ refLevel: bcdToRefLevel(payload.slice(2, 5)) });
+                break;
+        }
+    }
+
+    // Apply a frequency reported by the radio
+    updateFrequency(freqHz, transceive = false) {
+        const previous = this.state.frequencyHz;
+        this.state.frequencyHz = freqHz;
+        this.emit('frequency', { frequencyHz: freqHz, transceive });
+
+        if (previous !== null && previous !== freqHz) {
+            this.emit('change', { frequencyHz: freqHz, modeCode: this.state.modeCode, dataMode: this.state.dataMode });
+        }
+    }
+
+    // Apply a mode reported by the radio
+    updateMode(modeCode, filter, transceive = false) {
+        const previous = this.state.modeCode;
+        this.state.modeCode = modeCode;
+        if (filter !== null) this.state.filter = filter;
+        // Only LSB/USB/AM/FM have data variants
+        if (!DATA_MODE_CODES.includes(modeCode)) this.state.dataMode = false;
+        this.emit('mode', { modeCode, filter: this.state.filter, dataMode: this.state.dataMode, transceive });
+
+        if (previous !== null && previous !== modeCode) {
+            this.emit('change', { frequencyHz: this.state.frequencyHz, modeCode, dataMode: this.state.dataMode });
+        }
+    }
+
+    // Apply a data mode flag (and the filter that comes with it) reported by the radio
+    updateDataMode(dataMode, filter = null) {
+        const dataChanged = this.state.dataMode !== dataMode;
+        const filterChanged = filter !== null && filter !== this.state.filter;
+        if (!dataChanged && !filterChanged) return;
+
+        this.state.dataMode = dataMode;
+        if (filter !== null) this.state.filter = filter;
+        if (this.state.modeCode === null) return;
+
+        const { frequencyHz, modeCode } = this.state;
+        this.emit('mode', { modeCode, filter: this.state.filter, dataMode, transceive: false });
+        if (dataChanged) {
+            this.emit('change', { frequencyHz, modeCode, dataMode });
+        }
+    }
+
+    // Apply VFO/split/RIT changes reported by the radio (or made by us where
+    // the radio cannot report them, like the selected VFO)
+    updateVFO(changes) {
+        const previousTx = this.transmitFrequencyHz();
+        const changed = Object.keys(changes).filter(key => this.state[key] !== changes[key]);
+        if (changed.length === 0) return;
+
+        Object.assign(this.state, changes);
+        const { vfo, split, txFrequencyHz, rit, xit, ritOffsetHz } = this.state;
+        this.emit('vfo', { vfo, split, txFrequencyHz, rit, xit, ritOffsetHz });
+
+        const transmitHz = this.transmitFrequencyHz();
+        if (previousTx !== null && transmitHz !== previousTx) {
+            const { frequencyHz, modeCode, dataMode } = this.state;
+            this.emit('change', { frequencyHz, modeCode, dataMode });
+        }
+    }
+
+    // Frequency the radio transmits on: the other VFO when split is on,
+    // plus the offset when XIT is on. null while unknown.
+    transmitFrequencyHz() {
+        const { frequencyHz, split, txFrequencyHz, xit, ritOffsetHz } = this.state;
+        const base = split ? txFrequencyHz : frequencyHz;
+        if (base === null) return null;
+        return base + (xit ? ritOffsetHz : 0);
+    }
+
+    // Apply a control value reported by the radio
+    updateControl(id, value) {
+        if (this.controls[id] === value) return;
+        this.controls[id] = value;
+        this.emit('control', { id, value });
+    }
+
+    // Apply scope settings and report them if anything changed
+    updateScope(changes) {
+        const changed = Object.keys(changes).filter(key => this.scope[key] !== changes[key]);
+        if (changed.length === 0) return;
+        Object.assign(this.scope, changes);
+        this.emit('scope', { ...this.scope });
+    }
+
+    // Apply a TX/RX state, either commanded by us or detected by polling
+    updatePTT(ptt, detected = false) {
+        if (this.state.ptt === ptt) return;
+        this.state.ptt = ptt;
+        this.emit('ptt', { ptt, detected });
+    }
+
+    // Send command to radio (no reply handling, see transact())
+    async sendCommand(cmd, data = []) {
+        if (!this.transport || !this.connected) {
+            this.log('Not connected', 'error');
+            return false;
+        }
+
+        try {
+            const command = buildCommand(cmd, data, this.civAddress, this.controllerAddress);
+
+            // Write binary data directly
+            await this.transport.write(command);
+            this.log('TX: ' + toHex(command), 'tx');
+
+            return true;
+        } catch (error) {
+            this.log('Send error: ' + error.message, 'error');
+            console.error('Send error:', error);
+            return false;
+        }
+    }
+
+    // Transaction layer
+    // Commands are queued and sent one at a time. Each waits for the reply that
+    // answers it (data, ACK 0xFB or NAK 0xFA) before the next one goes out.
+
+    // Queue a command and resolve with the radio's reply.
+    // Rejects on NAK, on timeout after all retries, or on disconnect.
+    // options.matchLength: how many leading data bytes a data reply must repeat
+    // (default 1 for commands with sub-commands, e.g. 1A 00 00 42 needs 3).
+    transact(cmd, data = [], options = {}) {
+        return new Promise((resolve, reject) => {
+            this.transactionQueue.push({
+                cmd,
+                data,
+                matchLength: options.matchLength ?? (SUBCOMMAND_CMDS.includes(cmd) ? 1 : 0),
+                timeout: options.timeout ?? this.timeout,
+                retries: options.retries ?? this.retries,
+                settle: null,
+                resolve,
+                reject
+            });
+            this.processTransactionQueue();
+        });
+    }
+
+    // Run queued transactions one after another
+    async processTransactionQueue() {
+        if (this.activeTransaction || this.transactionQueue.length === 0) return;
+
+        const txn = this.transactionQueue.shift();
+        this.activeTransaction = txn;
+
+        try {
+            txn.resolve(await this.runTransaction(txn));
+        } catch (error) {
+            txn.reject(error);
+        }
+
+        this.activeTransaction = null;
+        this.processTransactionQueue();
+    }
+
+    // Send a transaction and wait for its reply, retrying on timeout
+    async runTransaction(txn) {
+        const name = 'command 0x' + txn.cmd.toString(16).padStart(2, '0').toUpperCase();
+
+        for (let attempt = 0; attempt <= txn.retries; attempt++) {
+            if (attempt > 0) {
+                this.log(`No reply to ${name}, retrying (${attempt}/${txn.retries})`, 'error');
+            }
+
+            let timer = null;
+            const reply = new Promise(resolve => {
+                txn.settle = resolve;
+                timer = setTimeout(() => resolve(null), txn.timeout);
+            });
+
+            txn.sent = ++this.sendCount;
+            if (!await this.sendCommand(txn.cmd, txn.data)) {
+                clearTimeout(timer);
+                txn.settle = null;
+                throw new Error(`Failed to send ${name}`);
+            }
+
+            const response = await reply;
+            clearTimeout(timer);
+            txn.settle = null;
+
+            if (response === null) continue;
+            if (response instanceof Error) throw response;
+            if (response.cmd === CMD_NAK) {
+                throw new Error(`Radio rejected ${name} (NAK)`);
+            }
+            return response;
+        }
+
+        throw new Error(`Timeout waiting for reply to ${name}`);
+    }
+
+    // Check whether a received packet answers the active transaction
+    matchTransaction(response) {
+        if ((response.cmd === CMD_ACK || response.cmd === CMD_NAK) && this.claimUnqueuedReply()) return;
+
+        const txn = this.activeTransaction;
+        if (!txn || !txn.settle) return;
+
+        let matches = response.cmd === CMD_ACK || response.cmd === CMD_NAK;
+        if (response.cmd === txn.cmd) {
+            const length = Math.min(txn.matchLength, txn.data.length);
+            matches = txn.data.slice(0, length).every((b, i) => response.payload[i] === b);
+        }
+
+        if (matches) {
+            txn.settle(response);
+            txn.settle = null;
+        }
+    }
+
+    // Write a command ahead of the queue. Its ACK/NAK is not waited for, but
+    // is remembered so it cannot settle the active transaction instead.
+    sendUnqueued(cmd, data) {
+        this.unqueuedReplies.push({ sent: ++this.sendCount, time: Date.now() });
+        return this.sendCommand(cmd, data);
+    }
+
+    // Take an ACK/NAK for a command written by sendUnqueued(), if it is one.
+    // The radio answers in the order it was sent to, so the reply belongs to
+    // whichever is older: the oldest unqueued command or the active
+    // transaction (if it is still waiting). Replies that never came are
+    // forgotten after the timeout.
+    claimUnqueuedReply() {
+        const now = Date.now();
+        this.unqueuedReplies = this.unqueuedReplies.filter(reply => now - reply.time < this.timeout);
+        if (this.unqueuedReplies.length === 0) return false;
+
+        const txn = this.activeTransaction;
+        if (txn && txn.settle && txn.sent < this.unqueuedReplies[0].sent) return false;
+        this.unqueuedReplies.shift();
+        return true;
+    }
+
+    // Reject everything still waiting (used on disconnect)
+    cancelTransactions(reason) {
+        const pending = this.transactionQueue;
+        this.transactionQueue = [];
+        pending.forEach(txn => txn.reject(new Error(reason)));
+
+        if (this.activeTransaction && this.activeTransaction.settle) {
+            this.activeTransaction.settle(new Error(reason));
+        }
+    }
+
+    // Read frequency (Hz) from radio
+    async getFrequency() {
+        await this.transact(CMD_READ_FREQ);
+        return this.state.frequencyHz;
+    }
+
+    // Set frequency (Hz) and read it back
+    async setFrequency(freqHz) {
+        await this.transact(CMD_WRITE_FREQ, frequencyToBCD(freqHz));
+        return this.getFrequency();
+    }
+
+    // Read mode code from radio
+    async getMode() {
+        await this.transact(CMD_READ_MODE);
+        return this.state.modeCode;
+    }
+
+    // Set mode and filter (1-3) and read it back.
+    // dataMode selects the -D variant of LSB/USB/AM/FM (0x1A 06).
+    async setMode(modeCode, filter = 0x01, dataMode = false) {
+        await this.transact(CMD_WRITE_MODE, [modeCode, filter]);
+        if (DATA_MODE_CODES.includes(modeCode)) {
+            await this.setDataMode(dataMode, filter);
+        } else if (dataMode) {
+            throw new Error('Data mode is only available in LSB, USB, AM and FM');
+        }
+        return this.getMode();
+    }
+
+    // Read the data mode flag (true = -D mode)
+    async getDataMode() {
+        await this.transact(CMD_SETTINGS, [SUB_DATA_MODE]);
+        return this.state.dataMode;
+    }
+
+    // Turn data mode on/off; the radio takes the filter with it (00 when off)
+    async setDataMode(dataMode, filter = this.state.filter || 0x01) {
+        await this.transact(CMD_SETTINGS, [SUB_DATA_MODE, dataMode ? 0x01 : 0x00, dataMode ? filter : 0x00]);
+        return this.getDataMode();
+    }
+
+    // Read the modulation input used outside data mode (index into MOD_INPUTS)
+    async getModInput() {
+        const response = await this.transact(CMD_SETTINGS, [SUB_SETTING, ...SETTING_DATA_OFF_MOD], { matchLength: 3 });
+        return response.payload[3];
+    }
+
+    // Select the modulation input (e.g. MOD_INPUT_USB for audio from the
+    // computer) and read it back
+    async setModInput(input) {
+        await this.transact(CMD_SETTINGS, [SUB_SETTING, ...SETTING_DATA_OFF_MOD, input]);
+        return this.getModInput();
+    }
+
+    // Select VFO 'A' or 'B'
+    async selectVFO(vfo) {
+        await this.transact(CMD_SELECT_VFO, [vfo === 'B' ? SUB_VFO_B : SUB_VFO_A]);
+        this.updateVFO({ vfo });
+        await this.readVFOs();
+    }
+
+    // Exchange VFO A and B
+    async swapVFO() {
+        await this.transact(CMD_SELECT_VFO, [SUB_VFO_SWAP]);
+        if (this.state.vfo) this.updateVFO({ vfo: this.state.vfo === 'A' ? 'B' : 'A' });
+        await this.readVFOs();
+    }
+
+    // Copy the selected VFO to the other one (A=B)
+    async equalizeVFO() {
+        await this.transact(CMD_SELECT_VFO, [SUB_VFO_EQUAL]);
+        await this.readVFOs();
+    }
+
+    // Re-read both VFOs after a VFO change
+    async readVFOs() {
+        await this.getFrequency();
+        await this.getMode();
+        await this.getDataMode();
+        await this.getTxFrequency();
+    }
+
+    async getSplit() {
+        await this.transact(CMD_SPLIT);
+        return this.state.split;
+    }
+
+    async setSplit(on) {
+        await this.transact(CMD_SPLIT, [on ? 0x01 : 0x00]);
+        await this.getSplit();
+        if (on) await this.getTxFrequency();
+    }
+
+    // Read the unselected VFO frequency (the TX frequency when split is on)
+    async getTxFrequency() {
+        await this.transact(CMD_VFO_FREQ, [SUB_UNSELECTED_VFO]);
+        return this.state.txFrequencyHz;
+    }
+
+    // Set the unselected VFO frequency and read it back
+    async setTxFrequency(freqHz) {
+        await this.transact(CMD_VFO_FREQ, [SUB_UNSELECTED_VFO, ...frequencyToBCD(freqHz)]);
+        return this.getTxFrequency();
+    }
+
+    // Read RIT/XIT offset and on/off states
+    async getRIT() {
+        await this.transact(CMD_RIT, [SUB_RIT_OFFSET]);
+        await this.transact(CMD_RIT, [SUB_RIT]);
+        await this.transact(CMD_RIT, [SUB_XIT]);
+    }
+
+    // Set the RIT/XIT offset (-9999 to +9999 Hz) and read it back
+    async setRITOffset(offsetHz) {
+        await this.transact(CMD_RIT, [SUB_RIT_OFFSET, ...ritOffsetToBCD(offsetHz)]);
+        await this.transact(CMD_RIT, [SUB_RIT_OFFSET]);
+        return this.state.ritOffsetHz;
+    }
+
+    async setRIT(on) {
+        await this.transact(CMD_RIT, [SUB_RIT, on ? 0x01 : 0x00]);
+        await this.transact(CMD_RIT, [SUB_RIT]);
+    }
+
+    async setXIT(on) {
+        await this.transact(CMD_RIT, [SUB_XIT, on ? 0x01 : 0x00]);
+        await this.transact(CMD_RIT, [SUB_XIT]);
+    }
+
+    // Read one control (see controls.js) and return its value
+    async getControl(id) {
+        const control = controlById(id);
+        await this.transact(control.cmd, controlReadData(control));
+        return this.controls[id];
+    }
+
+    // Set a control and read it back
+    async setControl(id, value) {
+        const control = controlById(id);
+        await this.transact(control.cmd, encodeControl(control, value));
+        return this.getControl(id);
+    }
+
+    // Read every control
+    async readControls() {
+        for (const control of CONTROLS) {
+            await this.getControl(control.id);
+        }
+        return this.controls;
+    }
+
+    // Start (true) or stop (false) the scope waveform stream ('sweep' events).
+    // Starting also turns the scope on; stopping leaves the radio's display alone.
+    async setScope(on) {
+        if (on) await this.transact(CMD_SCOPE, [SUB_SCOPE_ON, 0x01]);
+        await this.transact(CMD_SCOPE, [SUB_SCOPE_OUTPUT, on ? 0x01 : 0x00]);
+        this.scopeAssembler = new ScopeAssembler();
+        this.updateScope({ enabled: on });
+    }
+
+    // Read scope mode, span and reference level
+    async getScopeSettings() {
+        await this.transact(CMD_SCOPE, [SUB_SCOPE_MODE, SCOPE_MAIN]);
+        await this.transact(CMD_SCOPE, [SUB_SCOPE_SPAN, SCOPE_MAIN]);
+        await this.transact(CMD_SCOPE, [SUB_SCOPE_REF, SCOPE_MAIN]);
+        return this.scope;
+    }
+
+    // Set scope mode (0 center, 1 fixed) and read it back
+    async setScopeMode(mode) {
+        await this.transact(CMD_SCOPE, [SUB_SCOPE_MODE, SCOPE_MAIN, mode]);
+        await this.transact(CMD_SCOPE, [SUB_SCOPE_MODE, SCOPE_MAIN]);
+        return this.scope.mode;
+    }
+
+    // Set the center mode span (half span in Hz, one of SCOPE_SPANS) and read it back
+    async setScopeSpan(halfSpanHz) {
+        await this.transact(CMD_SCOPE, [SUB_SCOPE_SPAN, SCOPE_MAIN, ...spanToBCD(halfSpanHz)]);
+        await this.transact(CMD_SCOPE, [SUB_SCOPE_SPAN, SCOPE_MAIN]);
+        return this.scope.halfSpanHz;
+    }
+
+    // Set the reference level (-20 to +20 dB, 0.5 dB steps) and read it back
+    async setScopeRefLevel(db) {
+        await this.transact(CMD_SCOPE, [SUB_SCOPE_REF, SCOPE_MAIN, ...refLevelToBCD(db)]);
+        await this.transact(CMD_SCOPE, [SUB_SCOPE_REF, SCOPE_MAIN]);
+        return this.scope.refLevel;
+    }
+
+    // Read TX/RX state (true = TX)
+    async getPTT() {
+        await this.transact(CMD_PTT, [SUB_TX_STATUS]);
+        return this.state.ptt;
+    }
+
+    // Key (true) or unkey (false) the transmitter
+    async setPTT(on) {
+        // 0x01 = push (TX), 0x00 = release (RX)
+        await this.transact(CMD_PTT, [SUB_TX_STATUS, on ? 0x01 : 0x00]);
+        this.updatePTT(on);
+    }
+
+    // Unkey at once for safety: 1C 00 00 is written straight to the radio ahead
+    // of queued commands (see sendUnqueued()) and DTR/RTS keying is dropped.
+    // The TX status poll confirms RX afterwards.
+    async releasePTT() {
+        this.updatePTT(false);
+        await Promise.all([
+            this.sendUnqueued(CMD_PTT, [SUB_TX_STATUS, 0x00]),
+            this.setSignals({ dataTerminalReady: false, requestToSend: false }).catch(error => {
+                console.error('Keying line release failed:', error);
+            })
+        ]);
+    }
+
+    // Read a meter (SUB_METER_S, SUB_METER_POWER, ...) and return its raw value
+    async readMeter(subCmd) {
+        const response = await this.transact(CMD_READ_METER, [subCmd]);
+        return bcdToLevel(response.payload[1], response.payload[2]);
+    }
+
+    // Read the S-meter in RX, or all TX meters (power, SWR, ALC, COMP, Vd, Id) in TX
+    async readMeters() {
+        if (!this.state.ptt) {
+            await this.readMeter(SUB_METER_S);
+            return;
+        }
+        for (const meter of TX_METERS) {
+            if (!this.state.ptt) break;
+            await this.readMeter(METER_SUBCOMMANDS[meter]);
+        }
+    }
+
+    // Read the keyer speed (WPM)
+    async getKeyerSpeed() {
+        const response = await this.transact(CMD_SET_LEVEL, [SUB_KEYER_SPEED]);
+        return keyerLevelToWpm(bcdToLevel(response.payload[1], response.payload[2]));
+    }
+
+    // Set the keyer speed (6-48 WPM); returns the speed set
+    async setKeyerSpeed(wpm) {
+        wpm = Math.max(KEYER_MIN_WPM, Math.min(KEYER_MAX_WPM, Math.round(wpm)));
+        // Command: 0x14 0C [level 0000-0255 as BCD], 0 = 6 WPM, 255 = 48 WPM
+        await this.transact(CMD_SET_LEVEL, [SUB_KEYER_SPEED, ...levelToBCD(wpmToKeyerLevel(wpm))]);
+        return wpm;
+    }
+
+    // Send up to 30 characters with the radio's keyer. The radio must be in CW
+    // mode with break-in on to transmit; it answers as soon as it has the text.
+    async sendCWText(text) {
+        if (text.length === 0 || text.length > CW_TEXT_MAX_LENGTH) {
+            throw new Error(`CW text must be 1-${CW_TEXT_MAX_LENGTH} characters`);
+        }
+        // Not retried: a lost ACK would otherwise send the text twice
+        await this.transact(CMD_SEND_CW, Array.from(text, char => char.charCodeAt(0)), { retries: 0 });
+    }
+
+    // Stop the radio's keyer and drop what it has not sent yet
+    async stopCWText() {
+        await this.transact(CMD_SEND_CW, [CW_STOP]);
+    }
+
+    // Read a memory channel (1-99), see memory.js for the fields
+    async readMemory(channel) {
+        const response = await this.transact(CMD_MEMORY, [SUB_MEMORY_CONTENTS, ...channelToBCD(channel)],
+            { matchLength: 3 });
+        return decodeMemory(response.payload.slice(1));
+    }
+
+    // Write a memory channel and read it back to verify
+    async writeMemory(memory) {
+        await this.transact(CMD_MEMORY, [SUB_MEMORY_CONTENTS, ...encodeMemory(memory)]);
+
+        const stored = await this.readMemory(memory.channel);
+        if (!memoriesEqual(stored, memory)) {
+            throw new Error(`Memory ${memory.channel} verify failed`);
+        }
+        return stored;
+    }
+
+    // Set DTR/RTS lines (used for CW keying)
+    async setSignals(signals) {
+        if (!this.transport) return;
+        await this.transport.setSignals(signals);
+    }
+
+    // Poll scheduler
+    // Each poll item has its own interval (ms, 0 = off) and priority (lower runs
+    // first). A cycle reads every item that is due, waits for all replies, and
+    // only then schedules the next cycle, so reads never pile up on the bus.
+    // Items covered by CI-V Transceive are read less often while broadcasts arrive.
+
+    // Register a value to be read periodically
+    registerPollItem(id, options) {
+        this.pollItems.push({
+            id,
+            read: options.read,
+            interval: options.interval,
+            priority: options.priority ?? 10,
+            coveredByTransceive: options.coveredByTransceive || false,
+            lastRun: 0
+        });
+        this.pollItems.sort((a, b) => a.priority - b.priority);
+    }
+
+    // Set how often a poll item is read (0 disables it)
+    setPollInterval(id, interval) {
+        const item = this.pollItems.find(item => item.id === id);
+        if (item) {
+            item.interval = interval;
+        }
+    }
+
+    getPollInterval(id) {
+        const item = this.pollItems.find(item => item.id === id);
+        return item ? item.interval : null;
+    }
+
+    // Effective interval, stretched while the radio is broadcasting changes itself
+    effectivePollInterval(item) {
+        const transceiveActive = Date.now() - this.lastTransceiveTime < TRANSCEIVE_ACTIVE_MS;
+        if (item.coveredByTransceive && transceiveActive) {
+            return item.interval * TRANSCEIVE_BACKOFF;
+        }
+        return item.interval;
+    }
+
+    // Run one poll cycle: read every due item in priority order
+    async runPollCycle(generation) {
+        const now = Date.now();
+        const due = this.pollItems.filter(item =>
+            item.interval > 0 && now - item.lastRun >= this.effectivePollInterval(item));
+
+        for (const item of due) {
+            if (!this.connected || generation !== this.pollGeneration) return;
+
+            item.lastRun = Date.now();
+            try {
+                await item.read();
+            } catch (error) {
+                this.log(`Poll ${item.id} failed: ` + error.message, 'error');
+            }
+        }
+    }
+
+    // Start polling for status
+    startPolling() {
+        this.stopPolling();
+        this.pollItems.forEach(item => { item.lastRun = 0; });
+
+        const generation = this.pollGeneration;
+        const loop = async () => {
+            await this.runPollCycle(generation);
+            if (generation === this.pollGeneration) {
+                this.pollTimer = setTimeout(loop, POLL_TICK_MS);
+            }
+        };
+        this.pollTimer = setTimeout(loop, 0);
+    }
+
+    // Stop polling
+    stopPolling() {
+        this.pollGeneration++;
+        if (this.pollTimer !== null) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+}
@@ -0,0 +1,523 @@
+// Bridge relay server (Node, no dependencies)
+// Serves the app's files and relays bridge messages (see bridge.js) between
+// the tab that owns the radio and remote browsers on the LAN. Also listens for
+// Hamlib rigctld clients (WSJT-X, fldigi, rigctl -m 2) and passes their
+// command lines to the tab, which answers them (see rigctl.js), and forwards
+// the tab's N1MM logger updates as UDP datagrams (POST /udp, see loggers.js).
+//
+//   node relay.mjs [--port 8765] [--token secret] [--allow-origin http://host:port]
+//                  [--udp-target host:port] [--rigctld-port 4532] [--rigctld-host 127.0.0.1]
+//
+// Then open http://localhost:8765/ on the radio computer, start the bridge,
+// and open http://<this computer>:8765/remote.html on the other device. Both
+// need the token, which is made up at startup and printed unless given.
+
+import http from 'node:http';
+import net from 'node:net';
+import dgram from 'node:dgram';
+import dns from 'node:dns/promises';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const BRIDGE_PATH = '/bridge';
+const UDP_PATH = '/udp';
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const RIGCTLD_TIMEOUT_MS = 5000;
+const RIG_ETIMEOUT = -5;
+const RIG_EIO = -6;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.md': 'text/plain; charset=utf-8'
+};
+
+// Command line: --port N --token T --allow-origin O (repeatable) --udp-target H:P (repeatable)
+// --rigctld-port N (0 = off) --rigctld-host H (or BRIDGE_PORT / BRIDGE_TOKEN /
+// BRIDGE_ALLOW_ORIGINS / UDP_TARGETS (both comma-separated) / RIGCTLD_PORT / RIGCTLD_HOST)
+function parseArgs(argv) {
+    const options = {
+        port: parseInt(process.env.BRIDGE_PORT) || 8765,
+        token: process.env.BRIDGE_TOKEN || '',
+        allowOrigins: (process.env.BRIDGE_ALLOW_ORIGINS || '').split(',').filter(Boolean),
+        udpTargets: (process.env.UDP_TARGETS || '').split(',').filter(Boolean),
+        rigctldPort: parseInt(process.env.RIGCTLD_PORT ?? 4532),
+        rigctldHost: process.env.RIGCTLD_HOST || '127.0.0.1'
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i]);
+        else if (argv[i] === '--token') options.token = argv[++i] || '';
+        else if (argv[i] === '--allow-origin') options.allowOrigins.push(argv[++i]);
+        else if (argv[i] === '--udp-target') options.udpTargets.push(argv[++i]);
+        else if (argv[i] === '--rigctld-port') options.rigctldPort = parseInt(argv[++i]);
+        else if (argv[i] === '--rigctld-host') options.rigctldHost = argv[++i];
+    }
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+// Anyone who can reach the relay could otherwise transmit, so there is always a token
+const tokenGenerated = !options.token;
+if (tokenGenerated) options.token = crypto.randomBytes(12).toString('base64url');
+
+function tokenMatches(token) {
+    const expected = Buffer.from(options.token);
+    const given = Buffer.from(String(token ?? ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Browsers send the page's origin with a WebSocket upgrade, so other sites
+// cannot connect a visitor's browser to the bridge: only pages served by this
+// relay and --allow-origin origins may. Programs other than browsers send
+// none; they still need the token.
+function originAllowed(request) {
+    const origin = request.headers.origin;
+    if (origin === undefined || options.allowOrigins.includes(origin)) return true;
+    try {
+        return new URL(origin).host === request.headers.host;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The request's URL, or null if it cannot be parsed. Anyone on the network
+// can send one, so a bad URL must never throw.
+function requestUrl(request) {
+    try {
+        return new URL(request.url, 'http://localhost');
+    } catch (error) {
+        return null;
+    }
+}
+
+// Static files from this directory
+async function serveFile(request, response, url) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(url.pathname);
+    } catch (error) {
+        response.writeHead(400).end('Bad request');
+        return;
+    }
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    if (!filePath.startsWith(ROOT + path.sep) || !CONTENT_TYPES[path.extname(filePath)]) {
+        response.writeHead(404).end('Not found');
+        return;
+    }
+
+    try {
+        const body = await fs.readFile(filePath);
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] });
+        response.end(body);
+    } catch (error) {
+        response.writeHead(404).end('Not found');
+    }
+}
+
+// POST /udp?host=H&port=P&token=T: send the body to H:P as one UDP datagram
+const udpSocket = dgram.createSocket('udp4');
+
+// Where datagrams may go: the --udp-target addresses if any are given,
+// otherwise this computer and the private (LAN) address ranges
+const LAN_ADDRESSES = new net.BlockList();
+LAN_ADDRESSES.addSubnet('127.0.0.0', 8);
+LAN_ADDRESSES.addSubnet('10.0.0.0', 8);
+LAN_ADDRESSES.addSubnet('172.16.0.0', 12);
+LAN_ADDRESSES.addSubnet('192.168.0.0', 16);
+LAN_ADDRESSES.addSubnet('169.254.0.0', 16);
+
+// Resolve a datagram destination to the address it is sent to, or null if it is not allowed
+async function udpDestination(host, port) {
+    if (options.udpTargets.length > 0 && !options.udpTargets.includes(`${host}:${port}`)) return null;
+    const { address } = await dns.lookup(host, { family: 4 });
+    if (options.udpTargets.length === 0 && !LAN_ADDRESSES.check(address, 'ipv4')) return null;
+    return address;
+}
+
+// Pages served here post same-origin; --allow-origin pages get a CORS header
+function corsHeaders(request) {
+    const origin = request.headers.origin;
+    return options.allowOrigins.includes(origin) ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' } : {};
+}
+
+function forwardUdp(request, response, url) {
+    const params = url.searchParams;
+    const host = params.get('host');
+    const port = parseInt(params.get('port'));
+    const headers = corsHeaders(request);
+
+    if (!originAllowed(request) || !tokenMatches(params.get('token'))) {
+        response.writeHead(403, headers).end('Wrong bridge token or origin');
+        return;
+    }
+    if (!host || !(port > 0 && port < 65536)) {
+        response.writeHead(400, headers).end('host and port required');
+        return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_MESSAGE_BYTES) request.destroy();
+        else chunks.push(chunk);
+    });
+    request.on('end', async () => {
+        let address;
+        try {
+            address = await udpDestination(host, port);
+        } catch (error) {
+            response.writeHead(502, headers).end(error.message);
+            return;
+        }
+        if (!address) {
+            response.writeHead(403, headers).end(`${host}:${port} is not an allowed UDP destination (see --udp-target)`);
+            return;
+        }
+        udpSocket.send(Buffer.concat(chunks), port, address, error => {
+            if (error) {
+                response.writeHead(502, headers).end(error.message);
+            } else {
+                response.writeHead(204, headers).end();
+            }
+        });
+    });
+}
+
+// Minimal WebSocket (RFC 6455): unfragmented text frames, ping and close
+class WebSocketPeer {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.closed = false;
+
+        socket.on('data', data => {
+            this.buffer = Buffer.concat([this.buffer, data]);
+            this.readFrames(onMessage);
+        });
+        socket.on('close', () => {
+            this.closed = true;
+            onClose();
+        });
+        socket.on('error', () => socket.destroy());
+    }
+
+    readFrames(onMessage) {
+        while (this.buffer.length >= 2) {
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            if (length > MAX_MESSAGE_BYTES || !masked) {
+                this.close();
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            if (opcode === 0x1) {
+                onMessage(payload.toString('utf8'));
+            } else if (opcode === 0x8) {
+                this.close();
+                return;
+            } else if (opcode === 0x9) {
+                this.writeFrame(0xA, payload);
+            }
+        }
+    }
+
+    // Server frames are never masked
+    writeFrame(opcode, payload) {
+        if (this.closed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.from([0x80 | opcode, 126, payload.length >> 8, payload.length & 0xFF]);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(message) {
+        this.writeFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    close() {
+        if (this.closed) return;
+        this.writeFrame(0x8, Buffer.alloc(0));
+        this.closed = true;
+        this.socket.end();
+    }
+}
+
+// rigctld TCP connection (see rigctl.js): one command per line, answered in
+// order. Each line goes to the host as a 'rigctl' command and the reply text of
+// its result is written back. Other bridge messages are ignored.
+class RigctldPeer {
+    constructor(socket, onClose) {
+        this.socket = socket;
+        this.buffer = '';
+        this.queue = Promise.resolve();
+        this.pending = null;  // { id, resolve, timer }
+        this.nextId = 1;
+        this.client = null;   // Relay client id and origin, set by addClient()
+
+        socket.setEncoding('utf8');
+        socket.on('data', data => {
+            this.buffer += data;
+            if (this.buffer.length > MAX_MESSAGE_BYTES) {
+                socket.destroy();
+                return;
+            }
+            const lines = this.buffer.split('\n');
+            this.buffer = lines.pop();
+            lines.map(line => line.trim()).filter(line => line).forEach(line => {
+                this.queue = this.queue.then(() => this.handleLine(line));
+            });
+        });
+        socket.on('close', () => {
+            this.finish(`RPRT ${RIG_EIO}\n`);
+            onClose();
+        });
+        socket.on('error', () => socket.destroy());
+    }
+
+    async handleLine(line) {
+        if (this.socket.destroyed) return;
+        if (line === 'q' || line === 'Q' || line === '\\quit') {
+            this.close();
+            return;
+        }
+        if (!host) {
+            this.socket.write(`RPRT ${RIG_EIO}\n`);
+            return;
+        }
+
+        const id = this.nextId++;
+        const reply = await new Promise(resolve => {
+            const timer = setTimeout(() => this.finish(`RPRT ${RIG_ETIMEOUT}\n`), RIGCTLD_TIMEOUT_MS);
+            this.pending = { id, resolve, timer };
+            host.peer.send({ type: 'command', id, command: 'rigctl', args: { line }, client: this.client.id, origin: this.client.origin });
+        });
+        if (!this.socket.destroyed) this.socket.write(reply);
+    }
+
+    finish(reply) {
+        if (!this.pending) return;
+        clearTimeout(this.pending.timer);
+        this.pending.resolve(reply);
+        this.pending = null;
+    }
+
+    send(message) {
+        if (message.type === 'result' && this.pending?.id === message.id) {
+            this.finish(message.reply || `RPRT ${message.ok ? 0 : RIG_EIO}\n`);
+        }
+    }
+
+    close() {
+        this.socket.end();
+    }
+}
+
+// Relay state
+let host = null;                // { peer, origin }
+const clients = new Map();      // client id -> { peer, origin }
+let nextClientId = 1;
+
+function log(message) {
+    console.log(`[${new Date().toLocaleTimeString()}] ${message}`);
+}
+
+function broadcastToClients(message) {
+    clients.forEach(client => client.peer.send(message));
+}
+
+// Register a client (browser or rigctld) and tell the host
+function addClient(peer, origin) {
+    const id = nextClientId++;
+    clients.set(id, { peer, origin });
+    if (host) host.peer.send({ type: 'client', event: 'joined', client: id, origin });
+    log('Client connected: ' + origin);
+    return id;
+}
+
+function removeClient(id) {
+    const client = clients.get(id);
+    clients.delete(id);
+    if (host) host.peer.send({ type: 'client', event: 'left', client: id, origin: client.origin });
+    log('Client disconnected: ' + client.origin);
+}
+
+function handleHello(peer, origin, hello) {
+    if (!tokenMatches(hello.token)) {
+        peer.send({ type: 'error', message: 'Wrong bridge token' });
+        peer.close();
+        return null;
+    }
+
+    const name = String(hello.name || hello.role).replace(/[^\w .-]/g, '').slice(0, 20);
+    const who = `${name}@${origin}`;
+
+    if (hello.role === 'host') {
+        if (host) {
+            peer.send({ type: 'error', message: 'Another tab is already the bridge host (' + host.origin + ')' });
+            peer.close();
+            return null;
+        }
+        host = { peer, origin: who };
+        peer.send({ type: 'welcome', client: 0 });
+        clients.forEach((client, id) => peer.send({ type: 'client', event: 'joined', client: id, origin: client.origin }));
+        broadcastToClients({ type: 'host', connected: true });
+        log('Host connected: ' + who);
+        return { role: 'host' };
+    }
+
+    if (hello.role === 'client') {
+        const id = addClient(peer, who);
+        peer.send({ type: 'welcome', client: id });
+        peer.send({ type: 'host', connected: host !== null });
+        return { role: 'client', id };
+    }
+
+    peer.send({ type: 'error', message: 'Unknown role' });
+    peer.close();
+    return null;
+}
+
+function acceptBridge(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || request.headers.upgrade?.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    if (!originAllowed(request)) {
+        log('Bridge connection from origin ' + request.headers.origin + ' refused (see --allow-origin)');
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+    const origin = (request.socket.remoteAddress || '').replace(/^::ffff:/, '');
+    let session = null;
+
+    const peer = new WebSocketPeer(socket, text => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+
+        if (!session) {
+            if (message.type === 'hello') session = handleHello(peer, origin, message);
+            return;
+        }
+
+        if (session.role === 'host') {
+            if (message.type === 'result') {
+                clients.get(message.client)?.peer.send(message);
+            } else {
+                broadcastToClients(message);
+            }
+        } else if (message.type === 'command') {
+            const client = clients.get(session.id);
+            if (!host) {
+                peer.send({ type: 'result', id: message.id, ok: false, error: 'No radio host connected' });
+                return;
+            }
+            // Origin comes from the relay, never from the client
+            host.peer.send({ ...message, client: session.id, origin: client.origin });
+        }
+    }, () => {
+        if (!session) return;
+        if (session.role === 'host' && host?.peer === peer) {
+            host = null;
+            broadcastToClients({ type: 'host', connected: false });
+            log('Host disconnected');
+        } else if (session.role === 'client') {
+            removeClient(session.id);
+        }
+    });
+}
+
+const server = http.createServer((request, response) => {
+    const url = requestUrl(request);
+    if (!url) {
+        response.writeHead(400).end('Bad request');
+        return;
+    }
+    if (request.method === 'POST' && url.pathname === UDP_PATH) {
+        forwardUdp(request, response, url);
+        return;
+    }
+    if (request.method !== 'GET') {
+        response.writeHead(405).end();
+        return;
+    }
+    // A failure serving one file must not stop the relay
+    serveFile(request, response, url).catch(error => {
+        console.error('Serving ' + request.url + ' failed:', error);
+        if (!response.headersSent) response.writeHead(500);
+        response.end();
+    });
+});
+
+server.on('upgrade', (request, socket) => {
+    if (requestUrl(request)?.pathname === BRIDGE_PATH) {
+        acceptBridge(request, socket);
+    } else {
+        socket.destroy();
+    }
+});
+
+server.listen(options.port, () => {
+    log(`Relay listening on port ${options.port}`);
+    if (tokenGenerated) log(`Bridge token: ${options.token} (enter it on both pages; --token sets a fixed one)`);
+    log(`Radio tab: http://localhost:${options.port}/   Remote: http://<this computer>:${options.port}/remote.html`);
+});
+
+// rigctld has no authentication, so it only listens on localhost unless told otherwise
+if (options.rigctldPort > 0) {
+    const rigctld = net.createServer(socket => {
+        const origin = 'rigctld@' + (socket.remoteAddress || '').replace(/^::ffff:/, '');
+        const peer = new RigctldPeer(socket, () => removeClient(peer.client.id));
+        peer.client = { id: addClient(peer, origin), origin };
+    });
+    rigctld.listen(options.rigctldPort, options.rigctldHost, () => {
+        log(`rigctld listening on ${options.rigctldHost}:${options.rigctldPort} (Hamlib model 2, NET rigctl)`);
+    });
+}
@@ -0,0 +1,206 @@
+// IC-7300 remote page
+// Operates the radio of another browser tab through the bridge relay (see
+// bridge.js and relay.mjs). The host tab checks and logs every command; this
+// page only shows its answers.
+
+import { MODES, FILTERS, DATA_MODE_CODES, modeLabel } from './civ.js';
+import { sMeterReading, powerReading } from './meters.js';
+import { BridgeClient } from './bridge.js';
+
+const REMOTE_SETTINGS_KEY = 'ic7300_remote_settings';
+
+const bridge = new BridgeClient();
+let hostConnected = false;
+let radioConnected = false;
+let radioState = {};
+
+// Logging function
+function log(message, type = 'info') {
+    const logDiv = document.getElementById('log');
+    const timestamp = new Date().toLocaleTimeString();
+    const entry = document.createElement('div');
+    entry.textContent = `[${timestamp}] ${message}`;
+    if (type === 'error') entry.style.color = '#f44336';
+    if (type === 'success') entry.style.color = '#4CAF50';
+    logDiv.appendChild(entry);
+    logDiv.scrollTop = logDiv.scrollHeight;
+
+    // Keep only last 50 entries
+    while (logDiv.children.length > 50) {
+        logDiv.removeChild(logDiv.firstChild);
+    }
+}
+
+function defaultBridgeUrl() {
+    const scheme = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${scheme}//${location.host || 'localhost:8765'}/bridge`;
+}
+
+function loadRemoteSettings() {
+    try {
+        const settings = JSON.parse(localStorage.getItem(REMOTE_SETTINGS_KEY) || '{}');
+        document.getElementById('bridgeUrl').value = settings.bridgeUrl || defaultBridgeUrl();
+        document.getElementById('clientName').value = settings.clientName || '';
+        document.getElementById('bridgeToken').value = settings.bridgeToken || '';
+    } catch (error) {
+        log('Error loading settings: ' + error.message, 'error');
+    }
+}
+
+function saveRemoteSettings() {
+    localStorage.setItem(REMOTE_SETTINGS_KEY, JSON.stringify({
+        bridgeUrl: document.getElementById('bridgeUrl').value.trim(),
+        clientName: document.getElementById('clientName').value.trim(),
+        bridgeToken: document.getElementById('bridgeToken').value
+    }));
+}
+
+async function connectBridge() {
+    saveRemoteSettings();
+    const url = document.getElementById('bridgeUrl').value.trim() || defaultBridgeUrl();
+    const name = document.getElementById('clientName').value.trim() || 'remote';
+
+    try {
+        await bridge.start(url, name, document.getElementById('bridgeToken').value);
+        log('Connected to bridge: ' + url, 'success');
+    } catch (error) {
+        log('Bridge connection failed: ' + error.message, 'error');
+    }
+    updateStatus();
+}
+
+function disconnectBridge() {
+    bridge.close();
+}
+
+bridge.on('close', () => {
+    hostConnected = false;
+    log('Disconnected from bridge', 'info');
+    updateStatus();
+});
+
+bridge.on('host', ({ connected }) => {
+    if (connected !== hostConnected) {
+        log(connected ? 'Radio host is online' : 'Radio host is offline', connected ? 'success' : 'error');
+    }
+    hostConnected = connected;
+    if (!connected) radioConnected = false;
+    updateStatus();
+});
+
+bridge.on('state', ({ connected, state }) => {
+    radioConnected = connected;
+    radioState = state;
+    updateStatus();
+});
+
+bridge.on('meter', ({ meter, value }) => {
+    if (meter === 's' && !radioState.ptt) {
+        document.getElementById('meterLabel').textContent = 'S-METER (RX)';
+        document.getElementById('meterValue').textContent = sMeterReading(value).text;
+    } else if (meter === 'power' && radioState.ptt) {
+        document.getElementById('meterLabel').textContent = 'POWER (TX)';
+        document.getElementById('meterValue').textContent = powerReading(value).text;
+    }
+});
+
+// Send a command to the host and log its answer
+async function sendCommand(command, args, description) {
+    log(description, 'info');
+    const result = await bridge.command(command, args);
+    if (!result.ok) {
+        log(description + ' failed: ' + result.error, 'error');
+    }
+    return result;
+}
+
+async function setFrequency() {
+    const frequency = document.getElementById('freqInput').value.trim();
+    await sendCommand('setFrequency', { frequency }, 'Set frequency ' + frequency + ' MHz');
+}
+
+async function setMode() {
+    const modeCode = parseInt(document.getElementById('modeSelect').value, 16);
+    const filter = parseInt(document.getElementById('filterSelect').value);
+    const dataMode = document.getElementById('dataModeCheck').checked && DATA_MODE_CODES.includes(modeCode);
+    await sendCommand('setMode', { modeCode, filter, dataMode }, 'Set mode ' + modeLabel(modeCode, dataMode) + ' FIL' + filter);
+}
+
+async function togglePTT() {
+    const on = !radioState.ptt;
+    await sendCommand('setPTT', { on }, on ? 'Push PTT' : 'Release PTT');
+}
+
+function updateDataModeCheck() {
+    const modeCode = parseInt(document.getElementById('modeSelect').value, 16);
+    const dataModeCheck = document.getElementById('dataModeCheck');
+    dataModeCheck.disabled = !canOperate() || !DATA_MODE_CODES.includes(modeCode);
+    if (dataModeCheck.disabled) dataModeCheck.checked = false;
+}
+
+function canOperate() {
+    return bridge.open && hostConnected && radioConnected;
+}
+
+function updateStatus() {
+    const statusDiv = document.getElementById('status');
+    const statusText = document.getElementById('statusText');
+    const operate = canOperate();
+
+    if (!bridge.open) {
+        statusDiv.className = 'status disconnected';
+        statusText.textContent = 'Not connected to the bridge';
+    } else if (!hostConnected) {
+        statusDiv.className = 'status disconnected';
+        statusText.textContent = 'Waiting for the radio host';
+    } else if (!radioConnected) {
+        statusDiv.className = 'status disconnected';
+        statusText.textContent = 'Host is online, radio not connected';
+    } else {
+        statusDiv.className = 'status connected';
+        statusText.textContent = 'Connected';
+    }
+
+    document.getElementById('connectBtn').disabled = bridge.open;
+    document.getElementById('disconnectBtn').disabled = !bridge.open;
+    ['bridgeUrl', 'clientName', 'bridgeToken'].forEach(id => {
+        document.getElementById(id).disabled = bridge.open;
+    });
+    ['freqInput', 'setFreqBtn', 'modeSelect', 'filterSelect', 'setModeBtn', 'pttBtn'].forEach(id => {
+        document.getElementById(id).disabled = !operate;
+    });
+    updateDataModeCheck();
+
+    const { frequencyHz, modeCode, filter, dataMode, ptt } = operate ? radioState : {};
+    document.getElementById('freqDisplay').textContent =
+        frequencyHz ? (frequencyHz / 1000000).toFixed(6) + ' MHz' : '----.--- MHz';
+    document.getElementById('modeDisplay').textContent =
+        modeCode !== null && modeCode !== undefined ? modeLabel(modeCode, dataMode) + (filter ? ' FIL' + filter : '') : '---';
+    if (!operate) document.getElementById('meterValue').textContent = '---';
+
+    const pttBtn = document.getElementById('pttBtn');
+    pttBtn.textContent = ptt ? 'Release PTT' : 'Push PTT';
+    pttBtn.classList.toggle('ptt-active', Boolean(ptt));
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const modeSelect = document.getElementById('modeSelect');
+    Object.entries(MODES).forEach(([code, name]) => {
+        modeSelect.add(new Option(name, code, false, code === '01'));
+    });
+    const filterSelect = document.getElementById('filterSelect');
+    FILTERS.forEach(filter => filterSelect.add(new Option('FIL' + filter, filter)));
+    modeSelect.addEventListener('change', updateDataModeCheck);
+
+    loadRemoteSettings();
+    updateStatus();
+});
+
+// Expose handlers used by onclick attributes in remote.html
+Object.assign(window, {
+    connectBridge,
+    disconnectBridge,
+    setFrequency,
+    setMode,
+    togglePTT
+});
@@ -0,0 +1,223 @@
+// Hamlib rigctld (NET rigctl) protocol
+// Answers the line-based rigctld commands that logging and digital-mode
+// programs send (rigctl -m 2, WSJT-X, fldigi, ...). Reads come from the
+// cached Radio state; settings go through the page's own commands, so they
+// are checked and logged like any other. No DOM access.
+//
+// Supported commands (one per line, long forms with a backslash also work):
+//   f  / \get_freq          -> 14074000
+//   F  / \set_freq  <Hz>    -> RPRT 0
+//   m  / \get_mode          -> PKTUSB, then the passband (Hz)
+//   M  / \set_mode  <mode> <passband Hz, 0 = FIL1, -1 = keep filter>
+//   t  / \get_ptt           -> 0 / 1
+//   T  / \set_ptt   <0/1>
+//   v  / \get_vfo           -> VFOA
+//   s  / \get_split_vfo     -> 0, then the TX VFO
+//   \dump_state             rig capabilities (protocol version 0)
+//   \get_powerstat          -> 1 while connected to the radio
+//   \chk_vfo                -> 0 (commands carry no VFO argument)
+// Settings and errors answer "RPRT <code>" (0 = ok, negative = Hamlib error).
+
+import { RIT_MAX_HZ } from './civ.js';
+import { BANDS } from './bands.js';
+
+// Hamlib error codes
+export const RIG_OK = 0;
+export const RIG_EINVAL = -1;     // Invalid parameter
+export const RIG_EIO = -6;        // No radio connected
+export const RIG_ERJCTED = -9;    // Command rejected
+export const RIG_ENAVAIL = -11;   // Command not available
+
+// Hamlib mode names and bits for the IC-7300 modes (data modes are PKT*)
+export const HAMLIB_MODES = [
+    { name: 'AM', bit: 0x1, modeCode: 0x02, dataMode: false },
+    { name: 'CW', bit: 0x2, modeCode: 0x03, dataMode: false },
+    { name: 'USB', bit: 0x4, modeCode: 0x01, dataMode: false },
+    { name: 'LSB', bit: 0x8, modeCode: 0x00, dataMode: false },
+    { name: 'RTTY', bit: 0x10, modeCode: 0x04, dataMode: false },
+    { name: 'FM', bit: 0x20, modeCode: 0x05, dataMode: false },
+    { name: 'CWR', bit: 0x80, modeCode: 0x07, dataMode: false },
+    { name: 'RTTYR', bit: 0x100, modeCode: 0x08, dataMode: false },
+    { name: 'PKTLSB', bit: 0x400, modeCode: 0x00, dataMode: true },
+    { name: 'PKTUSB', bit: 0x800, modeCode: 0x01, dataMode: true },
+    { name: 'PKTFM', bit: 0x1000, modeCode: 0x05, dataMode: true },
+    { name: 'PKTAM', bit: 0x400000, modeCode: 0x02, dataMode: true }
+];
+
+// Factory default FIL1-FIL3 widths (Hz) by Hamlib mode; the radio's filters
+// can be changed in its menus, so these are only what we report
+const FILTER_WIDTHS = {
+    LSB: [3000, 2400, 1800],
+    USB: [3000, 2400, 1800],
+    AM: [9000, 6000, 3000],
+    CW: [1200, 500, 250],
+    CWR: [1200, 500, 250],
+    RTTY: [2400, 500, 250],
+    RTTYR: [2400, 500, 250],
+    FM: [15000, 10000, 7000],
+    PKTLSB: [1200, 500, 250],
+    PKTUSB: [1200, 500, 250],
+    PKTAM: [9000, 6000, 3000],
+    PKTFM: [15000, 10000, 7000]
+};
+
+const LONG_COMMANDS = {
+    '\\get_freq': 'f',
+    '\\set_freq': 'F',
+    '\\get_mode': 'm',
+    '\\set_mode': 'M',
+    '\\get_ptt': 't',
+    '\\set_ptt': 'T',
+    '\\get_vfo': 'v',
+    '\\get_split_vfo': 's'
+};
+
+const RX_RANGE_HZ = [30000, 74800000];
+const TX_POWER_MW = [2000, 100000];
+const ALL_VFOS = 0x3;  // VFO A | VFO B
+
+// Hamlib mode entry for an IC-7300 mode, or null
+export function hamlibMode(modeCode, dataMode = false) {
+    return HAMLIB_MODES.find(mode => mode.modeCode === modeCode && mode.dataMode === dataMode) ||
+        HAMLIB_MODES.find(mode => mode.modeCode === modeCode && !mode.dataMode) || null;
+}
+
+// Filter (1-3) whose default width is closest to a passband
+export function filterForPassband(modeName, passbandHz) {
+    const widths = FILTER_WIDTHS[modeName];
+    let best = 0;
+    widths.forEach((width, index) => {
+        if (Math.abs(width - passbandHz) < Math.abs(widths[best] - passbandHz)) best = index;
+    });
+    return best + 1;
+}
+
+function hex(value) {
+    return '0x' + value.toString(16);
+}
+
+// \dump_state answer: the IC-7300's ranges, tuning steps and filters
+export function dumpState() {
+    const allModes = HAMLIB_MODES.reduce((bits, mode) => bits | mode.bit, 0);
+    const endOfRanges = '0 0 0 0 0 0 0';
+
+    // Filter lists group the modes that share widths
+    const filterGroups = {};
+    HAMLIB_MODES.forEach(mode => {
+        const key = FILTER_WIDTHS[mode.name].join(' ');
+        filterGroups[key] = (filterGroups[key] || 0) | mode.bit;
+    });
+
+    return [
+        '0',            // Protocol version
+        '2',            // Rig model (NET rigctl)
+        '2',            // ITU region
+        `${RX_RANGE_HZ[0]}.000000 ${RX_RANGE_HZ[1]}.000000 ${hex(allModes)} -1 -1 ${hex(ALL_VFOS)} 0x0`,
+        endOfRanges,
+        ...BANDS.map(band => `${band.lowHz}.000000 ${band.highHz}.000000 ${hex(allModes)} ${TX_POWER_MW[0]} ${TX_POWER_MW[1]} ${hex(ALL_VFOS)} 0x0`),
+        endOfRanges,
+        ...[1, 10, 100, 1000].map(step => `${hex(allModes)} ${step}`),
+        '0 0',
+        ...Object.entries(filterGroups).flatMap(([widths, bits]) =>
+            widths.split(' ').map(width => `${hex(bits)} ${width}`)),
+        '0 0',
+        String(RIT_MAX_HZ),  // Max RIT
+        String(RIT_MAX_HZ),  // Max XIT
+        '0',            // Max IF shift
+        '0',            // Announces
+        '0',            // Preamps (dB, none reported)
+        '0',            // Attenuators (dB, none reported)
+        '0', '0',       // Get/set functions
+        '0', '0',       // Get/set levels
+        '0', '0'        // Get/set parameters
+    ].join('\n') + '\n';
+}
+
+function report(code) {
+    return `RPRT ${code}\n`;
+}
+
+// commands: the page's checked commands, each resolving { ok, error }
+//   setFrequency(frequencyHz, source)
+//   setMode({ modeCode, filter, dataMode }, source)
+//   setPTT(on, source)
+// source is whatever handle() was given, e.g. who sent the line
+export class RigctlHandler {
+    constructor(radio, commands) {
+        this.radio = radio;
+        this.commands = commands;
+    }
+
+    // Answer one command line
+    async handle(line, source = null) {
+        const [word = '', ...args] = line.trim().split(/\s+/);
+        const command = LONG_COMMANDS[word] || word;
+        const state = this.radio.state;
+
+        switch (command) {
+            case 'f':
+                if (state.frequencyHz === null) return report(RIG_EIO);
+                return `${state.frequencyHz}\n`;
+
+            case 'F': {
+                const frequencyHz = Math.round(parseFloat(args[0]));
+                if (isNaN(frequencyHz)) return report(RIG_EINVAL);
+                return this.run(() => this.commands.setFrequency(frequencyHz, source));
+            }
+
+            case 'm': {
+                const mode = state.modeCode === null ? null : hamlibMode(state.modeCode, state.dataMode);
+                if (!mode) return report(RIG_EIO);
+                const width = FILTER_WIDTHS[mode.name][(state.filter || 1) - 1];
+                return `${mode.name}\n${width}\n`;
+            }
+
+            case 'M': {
+                const mode = HAMLIB_MODES.find(entry => entry.name === String(args[0]).toUpperCase());
+                const passbandHz = parseInt(args[1] ?? '0');
+                if (!mode || isNaN(passbandHz)) return report(RIG_EINVAL);
+
+                // 0 asks for the normal width: FIL1, which the radio also starts with
+                let filter = 1;
+                if (passbandHz < 0) filter = state.filter || 1;
+                else if (passbandHz > 0) filter = filterForPassband(mode.name, passbandHz);
+
+                return this.run(() => this.commands.setMode({ modeCode: mode.modeCode, filter, dataMode: mode.dataMode }, source));
+            }
+
+            case 't':
+                return `${state.ptt ? 1 : 0}\n`;
+
+            case 'T': {
+                // 1 = PTT, 2 = mic, 3 = data: all key the radio
+                const ptt = parseInt(args[0]);
+                if (isNaN(ptt) || ptt < 0 || ptt > 3) return report(RIG_EINVAL);
+                return this.run(() => this.commands.setPTT(ptt !== 0, source));
+            }
+
+            case 'v':
+                return state.vfo === 'B' ? 'VFOB\n' : 'VFOA\n';
+
+            case 's':
+                return `${state.split ? 1 : 0}\n${state.vfo === 'B' ? 'VFOA' : 'VFOB'}\n`;
+
+            case '\\dump_state':
+                return dumpState();
+
+            case '\\get_powerstat':
+                return `${this.radio.connected ? 1 : 0}\n`;
+
+            case '\\chk_vfo':
+                return '0\n';
+
+            default:
+                return report(RIG_ENAVAIL);
+        }
+    }
+
+    async run(command) {
+        if (!this.radio.connected) return report(RIG_EIO);
+        const result = await command();
+        return report(result.ok ? RIG_OK : RIG_ERJCTED);
+    }
+}
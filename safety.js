@@ -0,0 +1,86 @@
+// Transmit protection
+// Watches a Radio (see radio.js) and releases PTT when a transmission runs
+// longer than the TX timeout or the SWR meter reads above the limit. Pages
+// call trip() for their own reasons (closing, hidden, disconnecting). Every
+// intervention is logged with its reason and reported as a 'trip' event so
+// other keying (CW) can stop too. No DOM access.
+//
+// Events:
+//   trip  { reason } - PTT was released by the guard
+
+import { Emitter } from './radio.js';
+import { txMeterReading } from './meters.js';
+
+export const DEFAULT_TX_GUARD = {
+    timeoutS: 180,   // Longest transmission (s), 0 = no limit
+    swrLimit: 3.0    // Release above this SWR, 0 = off
+};
+
+export class TxGuard extends Emitter {
+    constructor(radio, options = {}) {
+        super();
+
+        this.radio = radio;
+        this.timeoutS = DEFAULT_TX_GUARD.timeoutS;
+        this.swrLimit = DEFAULT_TX_GUARD.swrLimit;
+        this.configure(options);
+
+        this.timer = null;
+        this.tripping = false;
+
+        radio.on('ptt', ({ ptt }) => (ptt ? this.startTimer() : this.stopTimer()));
+        radio.on('meter', ({ meter, value }) => {
+            if (meter === 'swr') this.checkSWR(value);
+        });
+        radio.on('lost', () => {
+            if (!this.radio.state.ptt) return;
+            this.stopTimer();
+            this.radio.log('TX safety: connection lost while transmitting, check that the radio is back in RX', 'error');
+            this.emit('trip', { reason: 'connection lost' });
+            this.radio.updatePTT(false);  // Can no longer be controlled or read
+        });
+    }
+
+    configure(options = {}) {
+        if (options.timeoutS !== undefined) this.timeoutS = options.timeoutS;
+        if (options.swrLimit !== undefined) this.swrLimit = options.swrLimit;
+
+        // Apply a changed timeout to a transmission already in progress
+        if (this.timer) this.startTimer();
+    }
+
+    startTimer() {
+        this.stopTimer();
+        if (this.timeoutS > 0) {
+            this.timer = setTimeout(() => this.trip(`TX timeout (${this.timeoutS} s)`), this.timeoutS * 1000);
+        }
+    }
+
+    stopTimer() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    checkSWR(rawValue) {
+        if (!this.radio.state.ptt || this.swrLimit <= 0) return;
+        const swr = txMeterReading('swr', rawValue).value;
+        if (swr > this.swrLimit) {
+            this.trip(`SWR ${swr.toFixed(1)} above limit ${this.swrLimit.toFixed(1)}`);
+        }
+    }
+
+    // Release PTT now and log why. Does nothing in RX.
+    async trip(reason) {
+        if (!this.radio.state.ptt || this.tripping) return;
+        this.tripping = true;
+        this.stopTimer();
+
+        this.radio.log(`TX safety: ${reason}, releasing PTT`, 'error');
+        this.emit('trip', { reason });
+        try {
+            await this.radio.releasePTT();
+        } finally {
+            this.tripping = false;
+        }
+    }
+}
@@ -0,0 +1,124 @@
+// IC-7300 spectrum scope (CI-V 0x27)
+// Scope settings codecs and reassembly of the waveform packets. No DOM access.
+//
+// Waveform data (27 00), sent by the radio while scope output is on (27 11 01).
+// One sweep is split over several packets ("divisions"):
+//   27 00 [00 main] [division] [last division]   division numbers are BCD, 01-11
+//   division 01:  [mode]          00 center, 01 fixed, 02 scroll-C, 03 scroll-F
+//                 [freq x5]       center frequency (center) or lower edge (fixed)
+//                 [freq x5]       half span (center) or upper edge (fixed)
+//                 [out of range]  00 / 01
+//   division 02-: waveform bytes, one per pixel, 00-A0 (0-160)
+// A sweep sent as a single packet carries the waveform after the header.
+//
+// Settings (main scope, [00] before the value where shown):
+//   27 10 [00/01]                 scope off/on
+//   27 11 [00/01]                 waveform output to CI-V off/on
+//   27 14 [00] [00/01]            center / fixed mode
+//   27 15 [00] [freq x5]          center mode half span (2.5 kHz - 500 kHz)
+//   27 19 [00] [XX XX] [sign]     reference level, 4 BCD digits in 0.01 dB
+//                                 (10 50 = 10.5 dB), sign 00 +, 01 -
+
+import { frequencyToBCD, bcdToFrequency } from './civ.js';
+
+export const CMD_SCOPE = 0x27;
+export const SUB_SCOPE_WAVE = 0x00;
+export const SUB_SCOPE_ON = 0x10;
+export const SUB_SCOPE_OUTPUT = 0x11;
+export const SUB_SCOPE_MODE = 0x14;
+export const SUB_SCOPE_SPAN = 0x15;
+export const SUB_SCOPE_REF = 0x19;
+export const SCOPE_MAIN = 0x00;
+
+export const SCOPE_MODES = ['Center', 'Fixed', 'Scroll-C', 'Scroll-F'];
+
+// Center mode half spans (Hz), shown as ±
+export const SCOPE_SPANS = [2500, 5000, 10000, 25000, 50000, 100000, 250000, 500000];
+
+export const SCOPE_REF_MIN_DB = -20;
+export const SCOPE_REF_MAX_DB = 20;
+
+export const SCOPE_MAX_AMPLITUDE = 160;
+
+const SCOPE_HEADER_LENGTH = 12;
+
+function bcdByte(value) {
+    return ((value >> 4) & 0x0F) * 10 + (value & 0x0F);
+}
+
+export function spanToBCD(halfSpanHz) {
+    return frequencyToBCD(halfSpanHz);
+}
+
+// Reference level (dB, 0.5 dB steps) -> [XX XX] [sign]
+export function refLevelToBCD(db) {
+    const clamped = Math.max(SCOPE_REF_MIN_DB, Math.min(SCOPE_REF_MAX_DB, Math.round(db * 2) / 2));
+    const str = Math.round(Math.abs(clamped) * 100).toString().padStart(4, '0');
+    return [
+        (parseInt(str[0]) << 4) | parseInt(str[1]),
+        (parseInt(str[2]) << 4) | parseInt(str[3]),
+        clamped < 0 ? 0x01 : 0x00
+    ];
+}
+
+export function bcdToRefLevel(bytes) {
+    const value = (bcdByte(bytes[0]) * 100 + bcdByte(bytes[1])) / 100;
+    return bytes[2] === 0x01 ? -value : value;
+}
+
+// Decode the header of division 01: { mode, lowHz, highHz, outOfRange }
+export function decodeScopeHeader(bytes) {
+    const mode = bytes[0];
+    const first = bcdToFrequency(bytes.slice(1, 6));
+    const second = bcdToFrequency(bytes.slice(6, 11));
+    const centered = mode === 0x00 || mode === 0x02;
+    return {
+        mode,
+        lowHz: centered ? first - second : first,
+        highHz: centered ? first + second : second,
+        outOfRange: bytes[11] === 0x01
+    };
+}
+
+// Collects waveform divisions into complete sweeps
+export class ScopeAssembler {
+    constructor() {
+        this.sweep = null;
+        this.nextDivision = 1;
+        this.dropped = 0;  // Sweeps lost to missing or out-of-order divisions
+    }
+
+    // Add the payload of a 27 00 packet (starting at the 00 sub-command).
+    // Returns the sweep { mode, lowHz, highHz, outOfRange, data } when this
+    // packet completes it, otherwise null.
+    add(payload) {
+        if (payload.length < 4) return null;
+        const division = bcdByte(payload[2]);
+        const last = bcdByte(payload[3]);
+        let bytes = payload.slice(4);
+
+        if (division === 1) {
+            if (this.sweep) this.dropped++;
+            if (bytes.length < SCOPE_HEADER_LENGTH) {
+                this.sweep = null;
+                return null;
+            }
+            this.sweep = { ...decodeScopeHeader(bytes), data: [] };
+            bytes = bytes.slice(SCOPE_HEADER_LENGTH);
+        } else if (!this.sweep || division !== this.nextDivision) {
+            if (this.sweep) this.dropped++;
+            this.sweep = null;
+            return null;
+        }
+
+        this.sweep.data.push(...bytes);
+        this.nextDivision = division + 1;
+
+        if (division < last) return null;
+
+        const sweep = this.sweep;
+        sweep.data = Uint8Array.from(sweep.data);
+        this.sweep = null;
+        return sweep;
+    }
+}
@@ -0,0 +1,655 @@
+// Simulated IC-7300
+// An in-memory transport (see transport.js) that answers CI-V commands like
+// the real radio, so the app can be demonstrated and tested without hardware.
+//
+// Supported commands:
+//   0x03 / 0x04   read frequency / mode
+//   0x05 / 0x06   set frequency / mode
+//   0x07          select VFO A/B, A=B, swap
+//   0x0F          read / set split
+//   0x11          read / set attenuator
+//   0x14 / 0x16   read / set the levels and functions in controls.js
+//   0x14 0C       read / set keyer speed
+//   0x15 02 / 11  read S-meter / power meter
+//   0x15 12-16    read SWR / ALC / COMP / Vd / Id meters
+//   0x17          send CW text (CW/CW-R only), FF stops
+//   0x1A 00       read / write memory channel contents
+//   0x1A 05       read / set SET menu items 0066 / 0067 (DATA OFF MOD / DATA MOD)
+//   0x1A 06       read / set data mode (LSB/USB/AM/FM only)
+//   0x1C 00       read / set TX state
+//   0x21 00-02    read / set RIT/XIT offset and on/off
+//   0x25 00 / 01  read / set selected / unselected VFO frequency
+//   0x27 10-19    scope on/off, waveform output, center/fixed mode, span, reference level
+// Anything else is answered with NAK (0xFA).
+//
+// Turning the "VFO knob" with tune() or changing mode with selectMode()
+// sends CI-V Transceive broadcasts (0x00 / 0x01). DTR/RTS changes are
+// recorded in keyingLog and 0x17 texts in cwLog, with timestamps; the keyer
+// transmits (break-in) for as long as its text takes to send.
+// unplug() simulates a lost USB link.
+// While scope output is on, a sweep showing scopeSignals over a noise floor is
+// sent every scopeIntervalMs.
+
+import {
+    DEFAULT_RADIO_ADDRESS,
+    BROADCAST_ADDRESS,
+    CMD_TRANSCEIVE_FREQ,
+    CMD_TRANSCEIVE_MODE,
+    CMD_READ_FREQ,
+    CMD_READ_MODE,
+    CMD_WRITE_FREQ,
+    CMD_WRITE_MODE,
+    CMD_SELECT_VFO,
+    CMD_SPLIT,
+    CMD_ATTENUATOR,
+    CMD_SET_LEVEL,
+    CMD_FUNCTION,
+    CMD_READ_METER,
+    CMD_SEND_CW,
+    CMD_SETTINGS,
+    CMD_PTT,
+    CMD_RIT,
+    CMD_VFO_FREQ,
+    CMD_ACK,
+    CMD_NAK,
+    SUB_KEYER_SPEED,
+    SUB_METER_S,
+    METER_SUBCOMMANDS,
+    SUB_TX_STATUS,
+    SUB_SETTING,
+    SUB_DATA_MODE,
+    SUB_VFO_A,
+    SUB_VFO_B,
+    SUB_VFO_EQUAL,
+    SUB_VFO_SWAP,
+    SUB_RIT_OFFSET,
+    SUB_RIT,
+    SUB_XIT,
+    SUB_SELECTED_VFO,
+    SUB_UNSELECTED_VFO,
+    RIT_MAX_HZ,
+    MODES,
+    DATA_MODE_CODES,
+    buildCommand,
+    decodeFrames,
+    parseResponse,
+    frequencyToBCD,
+    bcdToFrequency,
+    levelToBCD,
+    bcdToLevel,
+    ritOffsetToBCD,
+    bcdToRitOffset,
+    CW_TEXT_MAX_LENGTH,
+    CW_STOP,
+    wpmToKeyerLevel,
+    keyerLevelToWpm
+} from './civ.js';
+import { MORSE_CODE, cwTextDurationMs } from './cw.js';
+import { SUB_MEMORY_CONTENTS, MEMORY_CHANNELS, bcdToChannel } from './memory.js';
+import { controlReadData, encodeControl, decodeControl } from './controls.js';
+import {
+    CMD_SCOPE,
+    SUB_SCOPE_WAVE,
+    SUB_SCOPE_ON,
+    SUB_SCOPE_OUTPUT,
+    SUB_SCOPE_MODE,
+    SUB_SCOPE_SPAN,
+    SUB_SCOPE_REF,
+    SCOPE_MAIN,
+    SCOPE_SPANS,
+    SCOPE_MAX_AMPLITUDE,
+    spanToBCD,
+    refLevelToBCD,
+    bcdToRefLevel
+} from './scope.js';
+
+// Level and function settings at power-on
+const DEFAULT_CONTROLS = {
+    rfPower: 255, afGain: 128, rfGain: 255, squelch: 0,
+    preamp: 0x01, attenuator: 0x00, agc: 0x02,
+    nb: 0, nbLevel: 128, nr: 0, nrLevel: 128, monitor: 0, monitorGain: 128
+};
+
+// SET menu items (0x1A 05) at power-on: item number -> { value, max }
+const DEFAULT_SETTINGS = {
+    0x0066: { value: 0x00, max: 0x03 },  // DATA OFF MOD: MIC
+    0x0067: { value: 0x03, max: 0x03 }   // DATA MOD: USB
+};
+
+// Stations shown on the simulated scope
+const DEFAULT_SCOPE_SIGNALS = [
+    { frequencyHz: 7074600, widthHz: 50, level: 90 },
+    { frequencyHz: 7075400, widthHz: 50, level: 70 },
+    { frequencyHz: 7150000, widthHz: 2400, level: 100 },
+    { frequencyHz: 14074400, widthHz: 50, level: 100 },
+    { frequencyHz: 14075200, widthHz: 50, level: 75 },
+    { frequencyHz: 14076100, widthHz: 50, level: 85 },
+    { frequencyHz: 14200000, widthHz: 2400, level: 110 },
+    { frequencyHz: 14230000, widthHz: 2400, level: 80 }
+];
+
+const SCOPE_POINTS = 475;           // Pixels per sweep
+const SCOPE_DIVISION_POINTS = 50;   // Pixels per waveform packet
+
+// Frequency range the IC-7300 accepts (Hz)
+const MIN_FREQUENCY_HZ = 30000;
+const MAX_FREQUENCY_HZ = 74800000;
+
+export class SimulatedIC7300 {
+    constructor(options = {}) {
+        this.address = options.address ?? DEFAULT_RADIO_ADDRESS;
+        this.latency = options.latency ?? 5;         // Reply delay (ms)
+        this.transceive = options.transceive ?? true; // CI-V Transceive setting
+        this.echo = options.echo ?? false;           // Echo our input like a shared CI-V bus
+        this.noise = options.noise ?? false;         // Let the S-meter wander
+
+        // Radio state
+        this.frequencyHz = options.frequencyHz ?? 14074000;
+        this.modeCode = options.modeCode ?? 0x01;
+        this.filter = options.filter ?? 0x01;
+        this.dataMode = options.dataMode ?? false;
+        this.vfo = 'A';
+        this.otherVfo = {                            // The unselected VFO
+            frequencyHz: options.vfoBFrequencyHz ?? 14074000,
+            modeCode: this.modeCode,
+            filter: this.filter,
+            dataMode: false
+        };
+        this.split = false;
+        this.rit = false;
+        this.xit = false;
+        this.ritOffsetHz = 0;
+        this.controls = { ...DEFAULT_CONTROLS, ...options.controls };
+        this.ptt = false;
+        this.sMeter = options.sMeter ?? 60;          // 0-255 (120 = S9)
+        this.txMeters = {                            // 0-255 readings while transmitting
+            power: options.powerMeter ?? 143,        // 50 W
+            swr: options.swrMeter ?? 30,             // SWR 1.3
+            alc: options.alcMeter ?? 40,
+            comp: options.compMeter ?? 0,
+            vd: options.vdMeter ?? 157,              // 13.8 V
+            id: options.idMeter ?? 120               // 12.4 A
+        };
+        this.memories = new Map();                   // channel -> memory data after the channel number
+        this.settings = Object.fromEntries(
+            Object.entries(DEFAULT_SETTINGS).map(([item, setting]) => [item, { ...setting }]));
+        this.scope = { on: false, output: false, mode: 0x00, halfSpanHz: 25000, refLevel: 0 };
+        this.scopeSignals = options.scopeSignals ?? DEFAULT_SCOPE_SIGNALS;
+        this.scopeIntervalMs = options.scopeIntervalMs ?? 200;
+        this.scopeTimer = null;
+
+        // Line state and history
+        this.signals = { dataTerminalReady: false, requestToSend: false };
+        this.keyingLog = [];
+        this.keyerLevel = wpmToKeyerLevel(options.keyerWpm ?? 20);
+        this.cwLog = [];
+        this.keyerBusyUntil = 0;                     // When the keyer has sent its text (now() time)
+        this.keyerTimer = null;
+
+        this.isOpen = false;
+        this.controller = null;
+        this.readable = null;
+        this.pending = [];
+    }
+
+    async open() {
+        this.readable = new ReadableStream({
+            start: controller => { this.controller = controller; },
+            cancel: () => { this.controller = null; }
+        });
+        this.isOpen = true;
+    }
+
+    async close() {
+        this.isOpen = false;
+        this.stopScope();
+        this.stopKeyer();
+        if (this.controller) {
+            try {
+                this.controller.close();
+            } catch (error) {
+                // Already closed by the reader
+            }
+            this.controller = null;
+        }
+    }
+
+    async write(bytes) {
+        if (!this.isOpen) throw new Error('Simulator is not open');
+
+        if (this.echo) {
+            this.send(Array.from(bytes));
+        }
+
+        // The radio sees every packet on the bus, so decode as its own controller
+        const result = decodeFrames(this.pending, bytes, this.address);
+        this.pending = result.pending;
+        result.frames.forEach(frame => {
+            const request = parseResponse(frame);
+            if (request && request.to === this.address) {
+                this.handleCommand(request);
+            }
+        });
+    }
+
+    // Pull the USB cable: the read stream fails and nothing more is answered
+    unplug() {
+        this.isOpen = false;
+        this.stopScope();
+        this.stopKeyer();
+        if (this.controller) {
+            this.controller.error(new Error('The device has been lost'));
+            this.controller = null;
+        }
+    }
+
+    async setSignals(signals) {
+        Object.assign(this.signals, signals);
+        this.keyingLog.push({ time: now(), ...this.signals });
+    }
+
+    // Deliver raw bytes to the reader after the configured latency
+    send(bytes) {
+        setTimeout(() => {
+            if (this.controller) {
+                this.controller.enqueue(new Uint8Array(bytes));
+            }
+        }, this.latency);
+    }
+
+    // Send a packet from the radio
+    reply(to, cmd, data = []) {
+        this.send(Array.from(buildCommand(cmd, data, to, this.address)));
+    }
+
+    // Answer one CI-V command
+    handleCommand(request) {
+        const { from, cmd, payload } = request;
+        const ack = () => this.reply(from, CMD_ACK);
+        const nak = () => this.reply(from, CMD_NAK);
+
+        switch (cmd) {
+            case CMD_READ_FREQ:
+                this.reply(from, CMD_READ_FREQ, frequencyToBCD(this.frequencyHz));
+                return;
+
+            case CMD_READ_MODE:
+                this.reply(from, CMD_READ_MODE, [this.modeCode, this.filter]);
+                return;
+
+            case CMD_WRITE_FREQ: {
+                if (payload.length < 5) return nak();
+                const freqHz = bcdToFrequency(payload.slice(0, 5));
+                if (freqHz < MIN_FREQUENCY_HZ || freqHz > MAX_FREQUENCY_HZ) return nak();
+                this.frequencyHz = freqHz;
+                return ack();
+            }
+
+            case CMD_WRITE_MODE: {
+                const modeHex = (payload[0] ?? 0xFF).toString(16).padStart(2, '0').toUpperCase();
+                if (!MODES[modeHex]) return nak();
+                this.modeCode = payload[0];
+                if (!DATA_MODE_CODES.includes(this.modeCode)) this.dataMode = false;
+                if (payload.length >= 2) {
+                    if (payload[1] < 1 || payload[1] > 3) return nak();
+                    this.filter = payload[1];
+                }
+                return ack();
+            }
+
+            case CMD_SELECT_VFO:
+                if (payload[0] === SUB_VFO_A || payload[0] === SUB_VFO_B) {
+                    const vfo = payload[0] === SUB_VFO_A ? 'A' : 'B';
+                    if (vfo !== this.vfo) this.swapVFO();
+                } else if (payload[0] === SUB_VFO_SWAP) {
+                    this.swapVFO();
+                } else if (payload[0] === SUB_VFO_EQUAL) {
+                    Object.assign(this.otherVfo, this.selectedVfo());
+                } else {
+                    return nak();
+                }
+                return ack();
+
+            case CMD_SPLIT:
+                if (payload.length === 0) {
+                    this.reply(from, CMD_SPLIT, [this.split ? 0x01 : 0x00]);
+                    return;
+                }
+                if (payload[0] > 0x01) return nak();
+                this.split = payload[0] === 0x01;
+                return ack();
+
+            case CMD_VFO_FREQ: {
+                if (payload[0] !== SUB_SELECTED_VFO && payload[0] !== SUB_UNSELECTED_VFO) return nak();
+                const selected = payload[0] === SUB_SELECTED_VFO;
+                if (payload.length === 1) {
+                    const freqHz = selected ? this.frequencyHz : this.otherVfo.frequencyHz;
+                    this.reply(from, CMD_VFO_FREQ, [payload[0], ...frequencyToBCD(freqHz)]);
+                    return;
+                }
+                if (payload.length < 6) return nak();
+                const freqHz = bcdToFrequency(payload.slice(1, 6));
+                if (freqHz < MIN_FREQUENCY_HZ || freqHz > MAX_FREQUENCY_HZ) return nak();
+                if (selected) {
+                    this.frequencyHz = freqHz;
+                } else {
+                    this.otherVfo.frequencyHz = freqHz;
+                }
+                return ack();
+            }
+
+            case CMD_RIT:
+                if (payload[0] === SUB_RIT_OFFSET) {
+                    if (payload.length === 1) {
+                        this.reply(from, CMD_RIT, [SUB_RIT_OFFSET, ...ritOffsetToBCD(this.ritOffsetHz)]);
+                        return;
+                    }
+                    if (payload.length < 4) return nak();
+                    const offsetHz = bcdToRitOffset(payload.slice(1, 4));
+                    if (Math.abs(offsetHz) > RIT_MAX_HZ) return nak();
+                    this.ritOffsetHz = offsetHz;
+                    return ack();
+                }
+                if (payload[0] === SUB_RIT || payload[0] === SUB_XIT) {
+                    const key = payload[0] === SUB_RIT ? 'rit' : 'xit';
+                    if (payload.length === 1) {
+                        this.reply(from, CMD_RIT, [payload[0], this[key] ? 0x01 : 0x00]);
+                        return;
+                    }
+                    this[key] = payload[1] === 0x01;
+                    return ack();
+                }
+                return nak();
+
+            case CMD_SET_LEVEL:
+                if (payload[0] === SUB_KEYER_SPEED) return this.handleKeyerSpeed(from, payload);
+                return this.handleControl(from, cmd, payload);
+
+            case CMD_FUNCTION:
+            case CMD_ATTENUATOR:
+                return this.handleControl(from, cmd, payload);
+
+            case CMD_SEND_CW:
+                return this.handleSendCW(from, payload);
+
+            case CMD_READ_METER:
+                if (payload[0] === SUB_METER_S) {
+                    const value = this.ptt ? 0 : this.readSMeter();
+                    this.reply(from, CMD_READ_METER, [SUB_METER_S, ...levelToBCD(value)]);
+                } else {
+                    const meter = Object.keys(this.txMeters).find(name => METER_SUBCOMMANDS[name] === payload[0]);
+                    if (!meter) return nak();
+                    // Supply voltage is measured in RX too; the rest read zero
+                    const value = this.ptt || meter === 'vd' ? this.txMeters[meter] : 0;
+                    this.reply(from, CMD_READ_METER, [payload[0], ...levelToBCD(value)]);
+                }
+                return;
+
+            case CMD_SETTINGS:
+                if (payload[0] === SUB_MEMORY_CONTENTS) return this.handleMemory(from, payload);
+                if (payload[0] === SUB_SETTING) return this.handleSetting(from, payload);
+                if (payload[0] === SUB_DATA_MODE) return this.handleDataMode(from, payload);
+                return nak();
+
+            case CMD_SCOPE:
+                return this.handleScope(from, payload);
+
+            case CMD_PTT:
+                if (payload[0] !== SUB_TX_STATUS) return nak();
+                if (payload.length === 1) {
+                    this.reply(from, CMD_PTT, [SUB_TX_STATUS, this.ptt ? 0x01 : 0x00]);
+                } else {
+                    this.ptt = payload[1] === 0x01;
+                    ack();
+                }
+                return;
+
+            default:
+                nak();
+        }
+    }
+
+    // 1A 00: memory channel contents
+    handleMemory(from, payload) {
+        if (payload.length < 3) return this.reply(from, CMD_NAK);
+        const channel = bcdToChannel(payload[1], payload[2]);
+        if (channel < 1 || channel > MEMORY_CHANNELS) return this.reply(from, CMD_NAK);
+
+        if (payload.length === 3) {
+            const contents = this.memories.get(channel) || [0xFF];
+            this.reply(from, CMD_SETTINGS, [...payload.slice(0, 3), ...contents]);
+        } else if (payload[3] === 0xFF) {
+            this.memories.delete(channel);
+            this.reply(from, CMD_ACK);
+        } else {
+            this.memories.set(channel, payload.slice(3));
+            this.reply(from, CMD_ACK);
+        }
+    }
+
+    // 1A 05: SET menu item [item x2 BCD] [value]
+    handleSetting(from, payload) {
+        const setting = payload.length >= 3 ? this.settings[(payload[1] << 8) | payload[2]] : undefined;
+        if (!setting) return this.reply(from, CMD_NAK);
+
+        if (payload.length === 3) {
+            this.reply(from, CMD_SETTINGS, [...payload, setting.value]);
+        } else if (payload[3] <= setting.max) {
+            setting.value = payload[3];
+            this.reply(from, CMD_ACK);
+        } else {
+            this.reply(from, CMD_NAK);
+        }
+    }
+
+    // 14 0C: keyer speed level (0-255 = 6-48 WPM)
+    handleKeyerSpeed(from, payload) {
+        if (payload.length === 1) {
+            return this.reply(from, CMD_SET_LEVEL, [SUB_KEYER_SPEED, ...levelToBCD(this.keyerLevel)]);
+        }
+        if (payload.length < 3) return this.reply(from, CMD_NAK);
+        const level = bcdToLevel(payload[1], payload[2]);
+        if (level > 255) return this.reply(from, CMD_NAK);
+        this.keyerLevel = level;
+        this.reply(from, CMD_ACK);
+    }
+
+    // 17: text for the keyer, queued behind what it is still sending
+    handleSendCW(from, payload) {
+        if (payload.length === 1 && payload[0] === CW_STOP) {
+            this.stopKeyer();
+            this.cwLog.push({ time: now(), stop: true });
+            return this.reply(from, CMD_ACK);
+        }
+
+        const text = String.fromCharCode(...payload).toUpperCase();
+        const cwMode = this.modeCode === 0x03 || this.modeCode === 0x07;
+        if (!cwMode || payload.length === 0 || payload.length > CW_TEXT_MAX_LENGTH ||
+            Array.from(text).some(char => !MORSE_CODE[char] && char !== '^')) {  // ^AR joins two characters
+            return this.reply(from, CMD_NAK);
+        }
+
+        this.cwLog.push({ time: now(), text });
+        const start = Math.max(now(), this.keyerBusyUntil);
+        this.keyerBusyUntil = start + cwTextDurationMs(text, keyerLevelToWpm(this.keyerLevel));
+        this.ptt = true;
+        clearTimeout(this.keyerTimer);
+        this.keyerTimer = setTimeout(() => this.stopKeyer(), this.keyerBusyUntil - now());
+        this.reply(from, CMD_ACK);
+    }
+
+    stopKeyer() {
+        if (!this.keyerTimer) return;
+        clearTimeout(this.keyerTimer);
+        this.keyerTimer = null;
+        this.keyerBusyUntil = 0;
+        this.ptt = false;
+    }
+
+    // 27: scope settings. Output on starts the waveform stream to the controller.
+    handleScope(from, payload) {
+        const [sub, ...data] = payload;
+
+        if (sub === SUB_SCOPE_ON || sub === SUB_SCOPE_OUTPUT) {
+            const key = sub === SUB_SCOPE_ON ? 'on' : 'output';
+            if (data.length === 0) return this.reply(from, CMD_SCOPE, [sub, this.scope[key] ? 0x01 : 0x00]);
+            if (data[0] > 0x01) return this.reply(from, CMD_NAK);
+            this.scope[key] = data[0] === 0x01;
+            this.stopScope();
+            if (this.scope.on && this.scope.output) {
+                this.scopeTimer = setInterval(() => this.sendSweep(from), this.scopeIntervalMs);
+            }
+            return this.reply(from, CMD_ACK);
+        }
+
+        if (data[0] !== SCOPE_MAIN) return this.reply(from, CMD_NAK);
+        const value = data.slice(1);
+
+        if (sub === SUB_SCOPE_MODE) {
+            if (value.length === 0) return this.reply(from, CMD_SCOPE, [sub, SCOPE_MAIN, this.scope.mode]);
+            if (value[0] > 0x01) return this.reply(from, CMD_NAK);
+            this.scope.mode = value[0];
+        } else if (sub === SUB_SCOPE_SPAN) {
+            if (value.length === 0) return this.reply(from, CMD_SCOPE, [sub, SCOPE_MAIN, ...spanToBCD(this.scope.halfSpanHz)]);
+            const halfSpanHz = bcdToFrequency(value.slice(0, 5));
+            if (!SCOPE_SPANS.includes(halfSpanHz)) return this.reply(from, CMD_NAK);
+            this.scope.halfSpanHz = halfSpanHz;
+        } else if (sub === SUB_SCOPE_REF) {
+            if (value.length === 0) return this.reply(from, CMD_SCOPE, [sub, SCOPE_MAIN, ...refLevelToBCD(this.scope.refLevel)]);
+            const refLevel = bcdToRefLevel(value.slice(0, 3));
+            if (Math.abs(refLevel) > 20) return this.reply(from, CMD_NAK);
+            this.scope.refLevel = refLevel;
+        } else {
+            return this.reply(from, CMD_NAK);
+        }
+        return this.reply(from, CMD_ACK);
+    }
+
+    stopScope() {
+        clearInterval(this.scopeTimer);
+        this.scopeTimer = null;
+    }
+
+    // Send one sweep as 27 00 packets: a header division, then the waveform
+    sendSweep(to) {
+        const centered = this.scope.mode === 0x00;
+        // Fixed mode shows the 100 kHz segment containing the frequency
+        const fixedLowHz = Math.floor(this.frequencyHz / 100000) * 100000;
+        const lowHz = centered ? this.frequencyHz - this.scope.halfSpanHz : fixedLowHz;
+        const highHz = centered ? this.frequencyHz + this.scope.halfSpanHz : fixedLowHz + 100000;
+        const binHz = (highHz - lowHz) / SCOPE_POINTS;
+
+        const points = [];
+        for (let i = 0; i < SCOPE_POINTS; i++) {
+            const freqHz = lowHz + i * binHz;
+            let level = 15 + Math.random() * 15;
+            this.scopeSignals.forEach(signal => {
+                const distance = Math.abs(freqHz - signal.frequencyHz) - signal.widthHz / 2;
+                if (distance < binHz) {
+                    level = Math.max(level, signal.level - Math.max(0, distance) / binHz * 20 + Math.random() * 6);
+                }
+            });
+            level += this.scope.refLevel * 2;
+            points.push(Math.max(0, Math.min(SCOPE_MAX_AMPLITUDE, Math.round(level))));
+        }
+
+        const divisions = 1 + Math.ceil(SCOPE_POINTS / SCOPE_DIVISION_POINTS);
+        const bcd = n => ((Math.floor(n / 10)) << 4) | (n % 10);
+        const header = [
+            this.scope.mode,
+            ...frequencyToBCD(centered ? this.frequencyHz : lowHz),
+            ...frequencyToBCD(centered ? this.scope.halfSpanHz : highHz),
+            0x00
+        ];
+        this.reply(to, CMD_SCOPE, [SUB_SCOPE_WAVE, SCOPE_MAIN, bcd(1), bcd(divisions), ...header]);
+        for (let division = 2; division <= divisions; division++) {
+            const start = (division - 2) * SCOPE_DIVISION_POINTS;
+            this.reply(to, CMD_SCOPE, [SUB_SCOPE_WAVE, SCOPE_MAIN, bcd(division), bcd(divisions),
+                ...points.slice(start, start + SCOPE_DIVISION_POINTS)]);
+        }
+    }
+
+    // 1A 06: data mode [00/01] [filter, 00 when off]
+    handleDataMode(from, payload) {
+        if (payload.length === 1) {
+            this.reply(from, CMD_SETTINGS, [SUB_DATA_MODE, this.dataMode ? 0x01 : 0x00, this.dataMode ? this.filter : 0x00]);
+            return;
+        }
+
+        const dataMode = payload[1] === 0x01;
+        if (dataMode && !DATA_MODE_CODES.includes(this.modeCode)) return this.reply(from, CMD_NAK);
+        if (dataMode) {
+            if (payload[2] < 1 || payload[2] > 3) return this.reply(from, CMD_NAK);
+            this.filter = payload[2];
+        }
+        this.dataMode = dataMode;
+        this.reply(from, CMD_ACK);
+    }
+
+    // 14 xx / 16 xx / 11: read (no value) or set a control
+    handleControl(from, cmd, payload) {
+        // Decode with a dummy value byte so a bare read still finds its control
+        const decoded = decodeControl(cmd, [...payload, 0x00, 0x00]);
+        if (!decoded) return this.reply(from, CMD_NAK);
+        const control = decoded.control;
+        const readLength = controlReadData(control).length;
+
+        if (payload.length === readLength) {
+            this.reply(from, cmd, encodeControl(control, this.controls[control.id]));
+            return;
+        }
+
+        const { value } = decodeControl(cmd, payload) || {};
+        const valid = value !== undefined && (
+            control.type === 'level' ? value <= 255 :
+            control.type === 'switch' ? payload[readLength] <= 0x01 :
+            control.options.some(([optionValue]) => optionValue === value));
+        if (!valid) return this.reply(from, CMD_NAK);
+
+        this.controls[control.id] = value;
+        this.reply(from, CMD_ACK);
+    }
+
+    selectedVfo() {
+        const { frequencyHz, modeCode, filter, dataMode } = this;
+        return { frequencyHz, modeCode, filter, dataMode };
+    }
+
+    // Exchange the selected and unselected VFO (0x07 B0, or selecting the other VFO)
+    swapVFO() {
+        const selected = this.selectedVfo();
+        Object.assign(this, this.otherVfo);
+        this.otherVfo = selected;
+        this.vfo = this.vfo === 'A' ? 'B' : 'A';
+    }
+
+    readSMeter() {
+        if (this.noise) {
+            this.sMeter = Math.max(0, Math.min(241, this.sMeter + Math.round((Math.random() - 0.5) * 20)));
+        }
+        return this.sMeter;
+    }
+
+    // Front panel: turn the VFO knob
+    tune(freqHz) {
+        this.frequencyHz = freqHz;
+        if (this.transceive) {
+            this.reply(BROADCAST_ADDRESS, CMD_TRANSCEIVE_FREQ, frequencyToBCD(freqHz));
+        }
+    }
+
+    // Front panel: press a mode key (and DATA for the -D modes)
+    selectMode(modeCode, filter = this.filter, dataMode = false) {
+        this.modeCode = modeCode;
+        this.filter = filter;
+        this.dataMode = dataMode && DATA_MODE_CODES.includes(modeCode);
+        if (this.transceive) {
+            this.reply(BROADCAST_ADDRESS, CMD_TRANSCEIVE_MODE, [modeCode, filter]);
+        }
+    }
+}
+
+// Millisecond timestamp, high resolution where available
+function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
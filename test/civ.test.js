@@ -0,0 +1,155 @@
+// CI-V codecs and frame decoding against IC-7300 frame bytes
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CONTROLLER_ADDRESS,
+    CMD_READ_FREQ,
+    CMD_READ_MODE,
+    CMD_READ_METER,
+    CMD_TRANSCEIVE_FREQ,
+    CMD_ACK,
+    CMD_NAK,
+    buildCommand,
+    parseResponse,
+    decodeFrames,
+    frequencyToBCD,
+    bcdToFrequency,
+    levelToBCD,
+    bcdToLevel,
+    ritOffsetToBCD,
+    bcdToRitOffset
+} from '../civ.js';
+
+// Replies of an IC-7300 at 94h to the controller at E0h
+const FREQUENCY_REPLY = [0xFE, 0xFE, 0xE0, 0x94, 0x03, 0x00, 0x40, 0x07, 0x14, 0x00, 0xFD];  // 14.074000 MHz
+const MODE_REPLY = [0xFE, 0xFE, 0xE0, 0x94, 0x04, 0x01, 0x01, 0xFD];                        // USB FIL1
+const METER_REPLY = [0xFE, 0xFE, 0xE0, 0x94, 0x15, 0x02, 0x01, 0x20, 0xFD];                 // S-meter 0120 (S9)
+const ACK = [0xFE, 0xFE, 0xE0, 0x94, 0xFB, 0xFD];
+const NAK = [0xFE, 0xFE, 0xE0, 0x94, 0xFA, 0xFD];
+const TRANSCEIVE_FREQ = [0xFE, 0xFE, 0x00, 0x94, 0x00, 0x00, 0x50, 0x07, 0x14, 0x00, 0xFD];  // Broadcast 14.075000 MHz
+const ECHO = [0xFE, 0xFE, 0x94, 0xE0, 0x03, 0xFD];                                          // Our own 03 read back
+const FOREIGN = [0xFE, 0xFE, 0xE1, 0x94, 0x03, 0x00, 0x40, 0x07, 0x14, 0x00, 0xFD];         // Reply to another controller
+
+// Small deterministic generator, so failures can be reproduced
+function random(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+test('frequencyToBCD encodes 10 digits little-endian', () => {
+    assert.deepEqual(frequencyToBCD(14074000), [0x00, 0x40, 0x07, 0x14, 0x00]);
+    assert.deepEqual(frequencyToBCD(1810000), [0x00, 0x00, 0x81, 0x01, 0x00]);
+    assert.deepEqual(frequencyToBCD(0), [0x00, 0x00, 0x00, 0x00, 0x00]);
+});
+
+test('frequency BCD round trips', () => {
+    const next = random(7300);
+    const values = [0, 1, 30000, 74800000, 9999999999];
+    for (let i = 0; i < 1000; i++) values.push(Math.floor(next() * 10000000000));
+    values.forEach(freqHz => {
+        const bcd = frequencyToBCD(freqHz);
+        assert.ok(bcd.every(byte => (byte >> 4) <= 9 && (byte & 0x0F) <= 9), `BCD digits for ${freqHz}`);
+        assert.equal(bcdToFrequency(bcd), freqHz);
+    });
+});
+
+test('level BCD round trips for 0-255', () => {
+    assert.deepEqual(levelToBCD(128), [0x01, 0x28]);
+    for (let level = 0; level <= 255; level++) {
+        assert.equal(bcdToLevel(...levelToBCD(level)), level);
+    }
+});
+
+test('RIT offset BCD round trips', () => {
+    assert.deepEqual(ritOffsetToBCD(-1230), [0x30, 0x12, 0x01]);
+    for (let offsetHz = -9999; offsetHz <= 9999; offsetHz += 37) {
+        assert.equal(bcdToRitOffset(ritOffsetToBCD(offsetHz)), offsetHz);
+    }
+});
+
+test('buildCommand frames a command to the radio', () => {
+    assert.deepEqual(Array.from(buildCommand(CMD_READ_FREQ)), [0xFE, 0xFE, 0x94, 0xE0, 0x03, 0xFD]);
+});
+
+test('parseResponse splits radio replies', () => {
+    assert.deepEqual(parseResponse(FREQUENCY_REPLY),
+        { from: 0x94, to: CONTROLLER_ADDRESS, cmd: CMD_READ_FREQ, payload: [0x00, 0x40, 0x07, 0x14, 0x00] });
+    assert.deepEqual(parseResponse(MODE_REPLY).payload, [0x01, 0x01]);
+    assert.equal(parseResponse(MODE_REPLY).cmd, CMD_READ_MODE);
+
+    const meter = parseResponse(METER_REPLY);
+    assert.equal(meter.cmd, CMD_READ_METER);
+    assert.equal(bcdToLevel(meter.payload[1], meter.payload[2]), 120);
+
+    assert.equal(parseResponse(ACK).cmd, CMD_ACK);
+    assert.deepEqual(parseResponse(ACK).payload, []);
+    assert.equal(parseResponse(NAK).cmd, CMD_NAK);
+
+    const broadcast = parseResponse(TRANSCEIVE_FREQ);
+    assert.equal(broadcast.to, 0x00);
+    assert.equal(broadcast.cmd, CMD_TRANSCEIVE_FREQ);
+    assert.equal(bcdToFrequency(broadcast.payload), 14075000);
+});
+
+test('parseResponse rejects broken packets', () => {
+    assert.equal(parseResponse([0xFE, 0xFE, 0xE0, 0x94, 0xFD]), null);           // Too short
+    assert.equal(parseResponse(FREQUENCY_REPLY.slice(0, -1)), null);               // No FD
+    assert.equal(parseResponse([0x00, ...FREQUENCY_REPLY.slice(1)]), null);         // No preamble
+});
+
+test('decodeFrames keeps replies and broadcasts in one chunk', () => {
+    const chunk = [...FREQUENCY_REPLY, ...MODE_REPLY, ...METER_REPLY, ...ACK, ...NAK, ...TRANSCEIVE_FREQ];
+    const result = decodeFrames([], chunk);
+    assert.deepEqual(result.frames.map(frame => Array.from(frame)),
+        [FREQUENCY_REPLY, MODE_REPLY, METER_REPLY, ACK, NAK, TRANSCEIVE_FREQ]);
+    assert.deepEqual(result.pending, []);
+    assert.equal(result.echoes + result.foreign + result.collisions + result.malformed, 0);
+});
+
+test('decodeFrames carries a split frame to the next chunk', () => {
+    for (let split = 1; split < FREQUENCY_REPLY.length; split++) {
+        const first = decodeFrames([], FREQUENCY_REPLY.slice(0, split));
+        assert.equal(first.frames.length, 0);
+        const second = decodeFrames(first.pending, FREQUENCY_REPLY.slice(split));
+        assert.deepEqual(second.frames.map(frame => Array.from(frame)), [FREQUENCY_REPLY]);
+    }
+});
+
+test('decodeFrames drops echoes and packets for other controllers', () => {
+    const result = decodeFrames([], [...ECHO, ...FREQUENCY_REPLY, ...FOREIGN, ...ACK]);
+    assert.deepEqual(result.frames.map(frame => Array.from(frame)), [FREQUENCY_REPLY, ACK]);
+    assert.equal(result.echoes, 1);
+    assert.equal(result.foreign, 1);
+});
+
+test('decodeFrames drops a packet broken by an FC jam', () => {
+    const jammed = [0xFE, 0xFE, 0xE0, 0x94, 0x03, 0x00, 0x40, 0xFC, 0xFC, 0xFC];
+    const result = decodeFrames([], [...jammed, ...MODE_REPLY]);
+    assert.deepEqual(result.frames.map(frame => Array.from(frame)), [MODE_REPLY]);
+    assert.equal(result.collisions, 1);
+    assert.equal(result.malformed, 0);
+
+    // A jam code on its own between packets
+    const loose = decodeFrames([], [0xFC, 0xFC, 0xFD, ...ACK]);
+    assert.equal(loose.collisions, 1);
+    assert.deepEqual(loose.frames.map(frame => Array.from(frame)), [ACK]);
+});
+
+test('decodeFrames skips garbage and extra preamble bytes', () => {
+    const result = decodeFrames([], [0x12, 0x34, 0xFE, ...ACK]);
+    assert.equal(result.malformed, 1);
+    assert.deepEqual(result.frames.map(frame => Array.from(frame)), [ACK]);
+
+    // A packet cut off by a new preamble
+    const cut = decodeFrames([], [0xFE, 0xFE, 0xE0, 0x94, 0x03, ...MODE_REPLY]);
+    assert.equal(cut.malformed, 1);
+    assert.deepEqual(cut.frames.map(frame => Array.from(frame)), [MODE_REPLY]);
+});
+
+test('decodeFrames honours another controller address', () => {
+    const result = decodeFrames([], [...FOREIGN, ...FREQUENCY_REPLY], 0xE1);
+    assert.deepEqual(result.frames.map(frame => Array.from(frame)), [FOREIGN]);
+    assert.equal(result.foreign, 1);
+});
@@ -0,0 +1,70 @@
+// Channel CSV export and import in the simple and CHIRP layouts
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { emptyMemory } from '../memory.js';
+import { parseCSV, exportChannels, importChannels } from '../csv.js';
+
+function memory(channel, frequencyHz, modeCode, dataMode, name) {
+    return { ...emptyMemory(channel), empty: false, frequencyHz, modeCode, dataMode, name };
+}
+
+const MEMORIES = [
+    memory(1, 14074000, 0x01, true, 'FT8'),
+    memory(2, 14080000, 0x08, false, 'RTTY-R'),
+    memory(3, 7030000, 0x07, false, 'CW'),
+    memory(4, 3760000, 0x00, false, 'SSB'),
+    { ...memory(5, 29620000, 0x05, false, 'RPT'), duplex: 1, toneMode: 1, toneHz: 123 },
+    emptyMemory(6)
+];
+
+// The fields an import gives back, with the data flag as the page would store it
+function roundTrip(format) {
+    const { entries, errors } = importChannels(exportChannels(MEMORIES, format));
+    assert.deepEqual(errors, []);
+    return entries.map(entry => [entry.channel, entry.frequencyHz, entry.modeCode, entry.dataMode ?? false, entry.name]);
+}
+
+const EXPECTED = [
+    [1, 14074000, 0x01, true, 'FT8'],
+    [2, 14080000, 0x08, false, 'RTTY-R'],
+    [3, 7030000, 0x07, false, 'CW'],
+    [4, 3760000, 0x00, false, 'SSB'],
+    [5, 29620000, 0x05, false, 'RPT']
+];
+
+test('parseCSV handles quotes, escapes, CRLF and blank lines', () => {
+    assert.deepEqual(parseCSV('a,"b,c","say ""hi"""\r\n\r\n1,2,3'), [['a', 'b,c', 'say "hi"'], ['1', '2', '3']]);
+});
+
+test('simple layout round trips modes and data modes', () => {
+    const text = exportChannels(MEMORIES);
+    assert.match(text, /^1,14\.074000,USB-D,FT8\r\n2,14\.080000,RTTY-R,RTTY-R\r\n/m);
+    assert.deepEqual(roundTrip('simple'), EXPECTED);
+});
+
+test('CHIRP layout uses CHIRP mode names and keeps the data flag in the comment', () => {
+    const rows = parseCSV(exportChannels(MEMORIES, 'chirp'));
+    const mode = rows[0].indexOf('Mode');
+    const comment = rows[0].indexOf('Comment');
+    assert.deepEqual(rows.slice(1).map(row => [row[mode], row[comment]]),
+        [['USB', 'USB-D'], ['RTTYR', ''], ['CWR', ''], ['LSB', ''], ['FM', '']]);
+    assert.deepEqual(roundTrip('chirp'), EXPECTED);
+
+    const repeater = importChannels(exportChannels(MEMORIES, 'chirp')).entries[4];
+    assert.equal(repeater.duplex, 1);
+    assert.equal(repeater.toneMode, 1);
+    assert.equal(repeater.toneHz, 123);
+});
+
+test('CHIRP rows without the data comment leave the data flag open', () => {
+    const header = 'Location,Name,Frequency,Duplex,Offset,Tone,rToneFreq,cToneFreq,DtcsCode,DtcsPolarity,Mode,Comment';
+    const { entries } = importChannels(`${header}\n1,FT8,14.074,,0,,88.5,88.5,023,NN,USB,\n2,CW,7.03,,0,,88.5,88.5,023,NN,CW,CW-D\n`);
+    assert.equal(entries[0].dataMode, null);
+    assert.equal(entries[1].dataMode, null);
+});
+
+test('rows in unknown modes or data variants the radio lacks are skipped', () => {
+    const { entries, errors } = importChannels('Channel,Frequency,Mode\n1,14.074,USB-D\n2,7.03,CW-D\n3,145.5,WFM\n4,7.1,DV\n', { maxHz: 60000000 });
+    assert.equal(entries.length, 1);
+    assert.deepEqual(errors.map(error => error.split(':')[0]), ['line 3', 'line 4', 'line 5']);
+});
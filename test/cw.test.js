@@ -0,0 +1,99 @@
+// Morse encoding and keying timing, with the keying clock run on mock timers
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCWTiming, parseCWText, planCWKeying, cwTextDurationMs, radioKeyerText, splitCWText } from '../cw.js';
+import { KeyingScheduler } from '../keying.js';
+
+// Advance mock time a millisecond at a time, so every timer sees the time it
+// was due at
+function advance(t, ms) {
+    for (let i = 0; i < ms; i++) t.mock.timers.tick(1);
+}
+
+test('PARIS timing at 20 WPM', () => {
+    assert.deepEqual(getCWTiming(20), { dot: 60, dash: 180, symbolSpace: 60, letterSpace: 180, wordSpace: 420 });
+});
+
+test('a word of PARIS takes 50 dots at any speed', () => {
+    for (const wpm of [5, 12, 20, 35, 48]) {
+        const { events } = planCWKeying('PARIS PARIS', getCWTiming(wpm));
+        // Start of the second word
+        assert.ok(Math.abs(events[events.length / 2].time - 60000 / wpm) < 1e-9, `${wpm} WPM`);
+    }
+});
+
+test('Farnsworth stretches spaces to the effective speed', () => {
+    const { events } = planCWKeying('PARIS PARIS', getCWTiming(20, { farnsworthWpm: 10 }));
+    assert.equal(Math.round(events[events.length / 2].time), 6000);
+    // Characters are still sent at 20 WPM
+    assert.equal(events[1].time - events[0].time, 60);
+});
+
+test('weight lengthens elements without changing the speed', () => {
+    const heavy = getCWTiming(20, { weight: 60 });
+    assert.equal(Math.round(heavy.dot), 72);
+    assert.equal(heavy.dot + heavy.symbolSpace, 120);
+    assert.equal(cwTextDurationMs('PARIS', 20), planCWKeying('PARIS', heavy).durationMs);
+});
+
+test('text is encoded with prosigns and unknown characters listed', () => {
+    assert.deepEqual(parseCWText('cq  de <AR> ^SK #'), {
+        codes: ['-.-.', '--.-', ' ', '-..', '.', ' ', '.-.-.', ' ', '...-.-'],
+        unknown: ['#']
+    });
+    assert.equal(radioKeyerText('tu <SK> <SOS> ~'), 'TU ^SK SOS');
+    assert.deepEqual(splitCWText('CQ CQ DE DL1ABC', 9), ['CQ CQ DE', 'DL1ABC']);
+});
+
+test('keying clock sends every event at its planned time', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    const { events, durationMs } = planCWKeying('CQ', getCWTiming(25));
+    const scheduler = new KeyingScheduler(() => Date.now());
+    const sent = [];
+    const done = mock.fn();
+    scheduler.on('key', ({ down, late }) => sent.push({ time: Date.now(), down, late }));
+    scheduler.on('done', done);
+
+    scheduler.start(events);
+    advance(t, durationMs);
+
+    assert.deepEqual(sent.map(({ time, down }) => ({ time, down })), events);
+    assert.ok(sent.every(({ late }) => late === 0));
+    assert.equal(done.mock.callCount(), 1);
+    assert.equal(scheduler.running, false);
+});
+
+test('keying clock moves the rest of the plan back after a late timer', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    const { events } = planCWKeying('EE', getCWTiming(20));  // Down 0, up 60, down 240, up 300
+    // The page stalls for 10 ms just before the second event is due
+    const now = () => Date.now() + (Date.now() >= 60 ? 10 : 0);
+    const scheduler = new KeyingScheduler(now);
+    const sent = [];
+    scheduler.on('key', ({ down, late }) => sent.push({ time: now(), down, late }));
+
+    scheduler.start(events);
+    advance(t, 1000);
+
+    // The second element keeps its length and the space before it
+    assert.deepEqual(sent.map(({ time }) => time), [0, 70, 250, 310]);
+    assert.equal(sent[1].late, 10);
+});
+
+test('keying clock stops at once', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    const { events } = planCWKeying('PARIS', getCWTiming(20));
+    const scheduler = new KeyingScheduler(() => Date.now());
+    const keys = mock.fn();
+    const done = mock.fn();
+    scheduler.on('key', keys);
+    scheduler.on('done', done);
+
+    scheduler.start(events);
+    advance(t, 100);
+    scheduler.stop();
+    advance(t, 5000);
+
+    assert.equal(keys.mock.callCount(), 2);
+    assert.equal(done.mock.callCount(), 1);
+});
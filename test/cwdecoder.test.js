@@ -0,0 +1,105 @@
+// CW decoder fed with WAV recordings made here from the keying plan in cw.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CWDecoder, decodeMorse } from '../cwdecoder.js';
+import { parseWAV } from '../wav.js';
+import { getCWTiming, planCWKeying } from '../cw.js';
+
+const SAMPLE_RATE = 8000;
+const RAMP_MS = 4;  // Rise and fall of each element, as a radio shapes them
+
+// Small deterministic generator, so failures can be reproduced
+function random(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+// Mono samples of text keyed as a tone, with quiet before and after and
+// optional white noise (peak level)
+function keyedTone(text, { wpm, toneHz, noise = 0 }) {
+    const { events, durationMs } = planCWKeying(text, getCWTiming(wpm));
+    const leadMs = 300;
+    const samples = new Float32Array(Math.round(SAMPLE_RATE * (leadMs + durationMs + 1000) / 1000));
+    const next = random(24);
+
+    for (let i = 0; i + 1 < events.length; i += 2) {
+        const start = Math.round(SAMPLE_RATE * (leadMs + events[i].time) / 1000);
+        const end = Math.round(SAMPLE_RATE * (leadMs + events[i + 1].time) / 1000);
+        const ramp = SAMPLE_RATE * RAMP_MS / 1000;
+        for (let n = start; n < end; n++) {
+            const envelope = Math.min(1, (n - start) / ramp, (end - n) / ramp);
+            samples[n] = 0.5 * envelope * Math.sin(2 * Math.PI * toneHz * n / SAMPLE_RATE);
+        }
+    }
+    samples.forEach((sample, n) => { samples[n] = sample + noise * (2 * next() - 1); });
+    return samples;
+}
+
+// A 16-bit PCM WAV file of mono samples
+function buildWAV(samples) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const text = (offset, value) => [...value].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+
+    text(0, 'RIFF');
+    view.setUint32(4, buffer.byteLength - 8, true);
+    text(8, 'WAVE');
+    text(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);                 // PCM
+    view.setUint16(22, 1, true);                 // Mono
+    view.setUint32(24, SAMPLE_RATE, true);
+    view.setUint32(28, SAMPLE_RATE * 2, true);   // Bytes per second
+    view.setUint16(32, 2, true);                 // Bytes per frame
+    view.setUint16(34, 16, true);
+    text(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+    samples.forEach((sample, n) => view.setInt16(44 + n * 2, Math.round(Math.max(-1, Math.min(1, sample)) * 32767), true));
+    return buffer;
+}
+
+// Decode a WAV file in 128-sample blocks, as the audio tap delivers them
+function decodeWAV(buffer, toneHz = 0) {
+    const wav = parseWAV(buffer);
+    const decoder = new CWDecoder({ sampleRate: wav.sampleRate, toneHz });
+    let text = '';
+    let status = null;
+    decoder.on('text', event => { text += event.text; });
+    decoder.on('status', event => { status = event; });
+
+    for (let offset = 0; offset < wav.samples.length; offset += 128) {
+        decoder.process(wav.samples.subarray(offset, offset + 128));
+    }
+    decoder.flush();
+    return { text: text.trim(), ...status };
+}
+
+test('WAV files round trip 16-bit PCM', () => {
+    const samples = Float32Array.from([0, 0.5, -0.5, 0.25, -1]);
+    const wav = parseWAV(buildWAV(samples));
+    assert.equal(wav.sampleRate, SAMPLE_RATE);
+    assert.equal(wav.channels, 1);
+    wav.samples.forEach((sample, n) => assert.ok(Math.abs(sample - samples[n]) < 1e-4, `sample ${n}`));
+});
+
+test('codes decode to characters and prosigns', () => {
+    assert.equal(decodeMorse('-.-.'), 'C');
+    assert.equal(decodeMorse('...-.-'), '<SK>');
+    assert.equal(decodeMorse('.-.-.-.-.-'), '*');
+});
+
+test('decodes a recording and finds its tone and speed', () => {
+    const result = decodeWAV(buildWAV(keyedTone('CQ CQ DE DL1ABC K', { wpm: 25, toneHz: 700 })));
+    assert.equal(result.text, 'CQ CQ DE DL1ABC K');
+    assert.ok(Math.abs(result.toneHz - 700) <= 25, `tone ${result.toneHz} Hz`);
+    assert.ok(Math.abs(result.wpm - 25) <= 2, `${result.wpm} WPM`);
+});
+
+test('follows a slow sender in noise at a set tone', () => {
+    const result = decodeWAV(buildWAV(keyedTone('TEST DE DL1ABC', { wpm: 12, toneHz: 600, noise: 0.1 })), 600);
+    assert.equal(result.text, 'TEST DE DL1ABC');
+    assert.equal(result.toneHz, 600);
+    assert.ok(Math.abs(result.wpm - 12) <= 2, `${result.wpm} WPM`);
+});
@@ -0,0 +1,58 @@
+// Meter scales: raw 0-255 readings to S-units, watts and gauges
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sMeterReading, powerReading, sMeterDb, meterValue, txMeterReading, calibrate, updatePeak } from '../meters.js';
+
+test('S-meter maps 0-120 to S0-S9', () => {
+    assert.deepEqual(sMeterReading(0), { level: 0, text: 'S0' });
+    assert.deepEqual(sMeterReading(60), { level: 4, text: 'S4' });
+    assert.deepEqual(sMeterReading(120), { level: 9, text: 'S9' });
+});
+
+test('S-meter maps readings over 120 to S9+dB', () => {
+    assert.deepEqual(sMeterReading(140), { level: 10, text: 'S9+10' });
+    assert.deepEqual(sMeterReading(240), { level: 15, text: 'S9+60' });
+    assert.equal(sMeterReading(255).level, 15);
+    assert.ok(Math.abs(sMeterDb(120)) < 0.2);
+    assert.equal(sMeterDb(0), -54);
+    assert.equal(sMeterDb(240), 60);
+});
+
+test('S-meter level never goes down as the reading rises', () => {
+    for (let raw = 1; raw <= 255; raw++) {
+        assert.ok(sMeterReading(raw).level >= sMeterReading(raw - 1).level, `raw ${raw}`);
+    }
+});
+
+test('power meter follows the 100 W calibration', () => {
+    assert.deepEqual(powerReading(0), { level: 0, text: '0W' });
+    assert.equal(powerReading(143).text, '50W');
+    assert.equal(powerReading(213).text, '100W');
+    assert.equal(powerReading(213).level, 15);
+    assert.equal(meterValue('power', 143), 50);
+});
+
+test('calibrate interpolates and continues the last segment', () => {
+    const table = [[0, 0], [100, 10], [200, 40]];
+    assert.equal(calibrate(table, 50), 5);
+    assert.equal(calibrate(table, 150), 25);
+    assert.equal(calibrate(table, 250), 55);
+});
+
+test('TX gauges warn above their limits', () => {
+    assert.equal(txMeterReading('swr', 0).text, '1.0');
+    assert.equal(txMeterReading('swr', 80).text, '2.0');
+    assert.equal(txMeterReading('swr', 80).warning, false);
+    assert.equal(txMeterReading('swr', 120).warning, true);
+    assert.equal(txMeterReading('alc', 130).warning, true);
+    assert.equal(txMeterReading('vd', 157).text, '13.8 V');
+    assert.equal(txMeterReading('comp', 500).fill, 1);
+});
+
+test('peak hold keeps the highest reading for the hold time', () => {
+    let peak = updatePeak(null, 100, 0);
+    peak = updatePeak(peak, 50, 1000);
+    assert.equal(peak.value, 100);
+    peak = updatePeak(peak, 50, 1600);
+    assert.equal(peak.value, 50);
+});
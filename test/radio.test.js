@@ -0,0 +1,38 @@
+// Radio transaction layer against the simulated IC-7300
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Radio } from '../radio.js';
+import { SimulatedIC7300 } from '../simulator.js';
+import { SUB_METER_S } from '../civ.js';
+
+async function connect(t, options = {}) {
+    const radio = new Radio();
+    await radio.connect(new SimulatedIC7300({ sMeter: 120, ...options }));
+    t.after(() => radio.disconnect());
+    return radio;
+}
+
+test('releasePTT ACK does not answer a transaction queued after it', async t => {
+    const radio = await connect(t);
+    const release = radio.releasePTT();
+    assert.equal(await radio.readMeter(SUB_METER_S), 120);
+    await release;
+});
+
+test('releasePTT ACK does not answer the next transaction after an in-flight write', async t => {
+    const radio = await connect(t);
+    const keyed = radio.setPTT(true);
+    const release = radio.releasePTT();
+    const meter = radio.readMeter(SUB_METER_S);
+    await keyed;
+    await release;
+    assert.equal(await meter, 120);
+});
+
+test('releasePTT ACK leaves an in-flight read to its data reply', async t => {
+    const radio = await connect(t);
+    const meter = radio.readMeter(SUB_METER_S);
+    await radio.releasePTT();
+    assert.equal(await meter, 120);
+    assert.equal(await radio.readMeter(SUB_METER_S), 120);
+});
@@ -0,0 +1,153 @@
+// rigctld command handler against the simulated IC-7300
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Radio } from '../radio.js';
+import { SimulatedIC7300 } from '../simulator.js';
+import { RigctlHandler } from '../rigctl.js';
+
+// The page's checked commands, reduced to the radio call and its outcome
+function pageCommands(radio) {
+    const run = async action => {
+        try {
+            await action();
+            return { ok: true };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    };
+    return {
+        setFrequency: frequencyHz => run(() => radio.setFrequency(frequencyHz)),
+        setMode: ({ modeCode, filter, dataMode }) => run(() => radio.setMode(modeCode, filter, dataMode)),
+        setPTT: on => run(() => radio.setPTT(on))
+    };
+}
+
+// A handler on a connected radio at 14.074 MHz USB FIL1, state read as the poll would
+async function connect(t) {
+    const radio = new Radio();
+    await radio.connect(new SimulatedIC7300());
+    t.after(() => radio.disconnect());
+    await radio.getFrequency();
+    await radio.getMode();
+    await radio.getDataMode();
+    await radio.getPTT();
+    return { radio, handler: new RigctlHandler(radio, pageCommands(radio)) };
+}
+
+test('f and F read and set the frequency', async t => {
+    const { handler } = await connect(t);
+    assert.equal(await handler.handle('f'), '14074000\n');
+    assert.equal(await handler.handle('F 7074000'), 'RPRT 0\n');
+    assert.equal(await handler.handle('\\get_freq'), '7074000\n');
+    assert.equal(await handler.handle('\\set_freq 10136000.4'), 'RPRT 0\n');
+    assert.equal(await handler.handle('f'), '10136000\n');
+});
+
+test('F answers RPRT -1 on a bad number and -9 when the radio refuses', async t => {
+    const { handler } = await connect(t);
+    assert.equal(await handler.handle('F abc'), 'RPRT -1\n');
+    assert.equal(await handler.handle('F'), 'RPRT -1\n');
+    assert.equal(await handler.handle('F 99000000'), 'RPRT -9\n');
+    assert.equal(await handler.handle('f'), '14074000\n');
+});
+
+test('m and M map modes, data modes and passbands', async t => {
+    const { handler } = await connect(t);
+    assert.equal(await handler.handle('m'), 'USB\n3000\n');
+    assert.equal(await handler.handle('M PKTUSB 500'), 'RPRT 0\n');
+    assert.equal(await handler.handle('m'), 'PKTUSB\n500\n');
+    // -1 keeps the filter, 0 is the normal width (FIL1)
+    assert.equal(await handler.handle('\\set_mode cw -1'), 'RPRT 0\n');
+    assert.equal(await handler.handle('\\get_mode'), 'CW\n500\n');
+    assert.equal(await handler.handle('M RTTYR 0'), 'RPRT 0\n');
+    assert.equal(await handler.handle('m'), 'RTTYR\n2400\n');
+    assert.equal(await handler.handle('M LSB 1700'), 'RPRT 0\n');
+    assert.equal(await handler.handle('m'), 'LSB\n1800\n');
+});
+
+test('M answers RPRT -1 on unknown modes and passbands', async t => {
+    const { handler } = await connect(t);
+    assert.equal(await handler.handle('M WFM 0'), 'RPRT -1\n');
+    assert.equal(await handler.handle('M USB wide'), 'RPRT -1\n');
+    assert.equal(await handler.handle('M'), 'RPRT -1\n');
+    assert.equal(await handler.handle('m'), 'USB\n3000\n');
+});
+
+test('t and T read and key PTT', async t => {
+    const { handler } = await connect(t);
+    assert.equal(await handler.handle('t'), '0\n');
+    assert.equal(await handler.handle('T 1'), 'RPRT 0\n');
+    assert.equal(await handler.handle('\\get_ptt'), '1\n');
+    assert.equal(await handler.handle('\\set_ptt 0'), 'RPRT 0\n');
+    assert.equal(await handler.handle('t'), '0\n');
+    assert.equal(await handler.handle('T 4'), 'RPRT -1\n');
+    assert.equal(await handler.handle('T on'), 'RPRT -1\n');
+});
+
+test('v and s follow the VFO and split state', async t => {
+    const { radio, handler } = await connect(t);
+    assert.equal(await handler.handle('v'), 'VFOA\n');
+    assert.equal(await handler.handle('s'), '0\nVFOB\n');
+    await radio.setSplit(true);
+    assert.equal(await handler.handle('\\get_split_vfo'), '1\nVFOB\n');
+    await radio.selectVFO('B');
+    assert.equal(await handler.handle('\\get_vfo'), 'VFOB\n');
+    assert.equal(await handler.handle('s'), '1\nVFOA\n');
+});
+
+test('chk_vfo, powerstat and unsupported commands', async t => {
+    const { handler } = await connect(t);
+    assert.equal(await handler.handle('\\chk_vfo'), '0\n');
+    assert.equal(await handler.handle('\\get_powerstat'), '1\n');
+    assert.equal(await handler.handle('l RFPOWER'), 'RPRT -11\n');
+    assert.equal(await handler.handle('\\get_level RFPOWER'), 'RPRT -11\n');
+    assert.equal(await handler.handle(''), 'RPRT -11\n');
+});
+
+test('commands answer RPRT -6 once the radio is disconnected', async t => {
+    const { radio, handler } = await connect(t);
+    await radio.disconnect();
+    assert.equal(await handler.handle('F 7074000'), 'RPRT -6\n');
+    assert.equal(await handler.handle('T 1'), 'RPRT -6\n');
+    assert.equal(await handler.handle('\\get_powerstat'), '0\n');
+});
+
+test('dump_state reports the IC-7300 ranges, steps and filters', async t => {
+    const { handler } = await connect(t);
+    const modes = '0x401dbf';  // All twelve Hamlib modes
+    const band = (lowHz, highHz) => `${lowHz}.000000 ${highHz}.000000 ${modes} 2000 100000 0x3 0x0`;
+    assert.equal(await handler.handle('\\dump_state'), [
+        '0',
+        '2',
+        '2',
+        `30000.000000 74800000.000000 ${modes} -1 -1 0x3 0x0`,
+        '0 0 0 0 0 0 0',
+        band(1800000, 2000000),
+        band(3500000, 4000000),
+        band(5250000, 5450000),
+        band(7000000, 7300000),
+        band(10100000, 10150000),
+        band(14000000, 14350000),
+        band(18068000, 18168000),
+        band(21000000, 21450000),
+        band(24890000, 24990000),
+        band(28000000, 29700000),
+        band(50000000, 54000000),
+        '0 0 0 0 0 0 0',
+        `${modes} 1`,
+        `${modes} 10`,
+        `${modes} 100`,
+        `${modes} 1000`,
+        '0 0',
+        '0x400001 9000', '0x400001 6000', '0x400001 3000',  // AM, PKTAM
+        '0xc82 1200', '0xc82 500', '0xc82 250',              // CW, CWR, PKTLSB, PKTUSB
+        '0xc 3000', '0xc 2400', '0xc 1800',                  // LSB, USB
+        '0x110 2400', '0x110 500', '0x110 250',              // RTTY, RTTYR
+        '0x1020 15000', '0x1020 10000', '0x1020 7000',       // FM, PKTFM
+        '0 0',
+        '9999',
+        '9999',
+        '0', '0', '0', '0',
+        '0', '0', '0', '0', '0', '0'
+    ].join('\n') + '\n');
+});
@@ -0,0 +1,64 @@
+// Transports carry CI-V bytes between Radio and the IC-7300.
+//
+// A transport has:
+//   open()              - open the link
+//   close()             - close the link
+//   write(bytes)        - send a Uint8Array
+//   readable            - ReadableStream of Uint8Array chunks (valid after open)
+//   setSignals(signals) - set { dataTerminalReady, requestToSend } (CW keying)
+//
+// WebSerialTransport wraps a Web Serial SerialPort. SimulatedIC7300 in
+// simulator.js is an in-memory radio with the same shape.
+
+export class WebSerialTransport {
+    constructor(port, options = {}) {
+        this.port = port;
+        this.options = {
+            baudRate: 19200,
+            dataBits: 8,
+            stopBits: 1,
+            parity: 'none',
+            flowControl: 'none',
+            ...options
+        };
+        this.writer = null;
+    }
+
+    // Ask the user to pick a serial port
+    static async request(options = {}) {
+        const port = await navigator.serial.requestPort();
+        return new WebSerialTransport(port, options);
+    }
+
+    get readable() {
+        return this.port.readable;
+    }
+
+    async open() {
+        await this.port.open(this.options);
+        this.writer = this.port.writable.getWriter();
+    }
+
+    // The port is closed even when the writer cannot be (the device was
+    // unplugged), so it can be opened again
+    async close() {
+        const writer = this.writer;
+        this.writer = null;
+        try {
+            await writer?.close();
+        } catch (error) {
+            console.error('Serial writer close failed:', error);
+        } finally {
+            writer?.releaseLock();
+        }
+        await this.port.close();
+    }
+
+    async write(bytes) {
+        await this.writer.write(bytes);
+    }
+
+    async setSignals(signals) {
+        await this.port.setSignals(signals);
+    }
+}
@@ -0,0 +1,74 @@
+// WAV (RIFF) audio files
+// Reads recordings for the CW decoder: PCM of 8, 16, 24 or 32 bits and 32/64
+// bit float, any number of channels (mixed to mono). No DOM access.
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xFFFE;
+
+// { sampleRate, channels, samples } with samples as a mono Float32Array
+// (-1..1); throws on files that are not WAV or use another encoding
+export function parseWAV(buffer) {
+    const view = new DataView(buffer);
+    const text = (offset, length) => String.fromCharCode(...new Uint8Array(buffer, offset, length));
+
+    if (buffer.byteLength < 12 || text(0, 4) !== 'RIFF' || text(8, 4) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let data = null;
+    for (let offset = 12; offset + 8 <= buffer.byteLength; ) {
+        const id = text(offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const start = offset + 8;
+        if (id === 'fmt ') {
+            let code = view.getUint16(start, true);
+            if (code === FORMAT_EXTENSIBLE) code = view.getUint16(start + 24, true);
+            format = {
+                code,
+                channels: view.getUint16(start + 2, true),
+                sampleRate: view.getUint32(start + 4, true),
+                bits: view.getUint16(start + 14, true)
+            };
+        } else if (id === 'data') {
+            // Recorders that stop early leave the size too large
+            data = { start, size: Math.min(size, buffer.byteLength - start) };
+        }
+        offset = start + size + (size % 2);  // Chunks are padded to even sizes
+    }
+
+    if (!format || !data) throw new Error('WAV file without format or data');
+
+    const readSample = sampleReader(view, format);
+    if (!readSample) throw new Error(`Unsupported WAV encoding (format ${format.code}, ${format.bits} bits)`);
+
+    const bytes = format.bits / 8;
+    const frames = Math.floor(data.size / (bytes * format.channels));
+    const samples = new Float32Array(frames);
+    for (let frame = 0; frame < frames; frame++) {
+        let sum = 0;
+        for (let channel = 0; channel < format.channels; channel++) {
+            sum += readSample(data.start + (frame * format.channels + channel) * bytes);
+        }
+        samples[frame] = sum / format.channels;
+    }
+
+    return { sampleRate: format.sampleRate, channels: format.channels, samples };
+}
+
+function sampleReader(view, { code, bits }) {
+    if (code === FORMAT_PCM) {
+        if (bits === 8) return offset => (view.getUint8(offset) - 128) / 128;
+        if (bits === 16) return offset => view.getInt16(offset, true) / 32768;
+        if (bits === 24) {
+            return offset => ((view.getInt8(offset + 2) << 16) | view.getUint16(offset, true)) / 8388608;
+        }
+        if (bits === 32) return offset => view.getInt32(offset, true) / 2147483648;
+    }
+    if (code === FORMAT_FLOAT) {
+        if (bits === 32) return offset => view.getFloat32(offset, true);
+        if (bits === 64) return offset => view.getFloat64(offset, true);
+    }
+    return null;
+}